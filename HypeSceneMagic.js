@@ -1,5 +1,5 @@
 /*!
- * Hype SceneMagic 2.7.3 (GSAP Version)
+ * Hype SceneMagic 2.9.8 (GSAP Version)
  * Copyright (c) 2025 Max Ziebell, (https://maxziebell.de). MIT-license
  * Requires GSAP animation library (https://greensock.com/gsap/)
  */
@@ -42,22 +42,122 @@
  * 2.7.1 Added Hype IDE specific code to show visual indicators for magic elements.
  * 2.7.2 Removed angle normalization and shortest path logic for rotation.
  * 2.7.3 Added logic to recover lost rotation values from the pristine cache.
+ * 2.7.4 Added transition controller returned by showSceneNamedMagic and hypeDocument.magicTransition()
+ *       with pause, resume, seek, reverse and cancel (reverting to the source scene)
+ * 2.7.5 Added hypeDocument.magicGesture() for swipe and drag driven transitions with snap to complete or cancel
+ *       Refactored magicCard target resolution to be shared with gestures
+ * 2.7.6 Added interrupt policy option and default ('finish', 'retarget', 'queue' or 'ignore')
+ *       Retarget continues from the live interpolated state instead of jumping to the end
+ * 2.7.7 Made all magic navigation functions return awaitable controllers that resolve with a transition result
+ *       Made applyAnimation return a promise resolving with the animation result (the tween is exposed as tween)
+ * 2.7.8 Added global transition lifecycle events with HypeSceneMagic.on/off and matching DOM CustomEvents
+ *       (prepare, start, progress, pairStart, pairComplete, interrupt, end and cancel)
+ * 2.7.9 Added HypeSceneMagic.planTransition() dry run reporting pairs, fallbacks, timings, z-order and conflicts
+ *       Refactored matching into a transition plan that showSceneNamedMagic executes
+ * 2.8.0 Added HypeSceneMagic.validate() reporting duplicate, ambiguous and unmatched identifiers,
+ *       unparseable timings, unknown animations and timings running past the total duration
+ * 2.8.1 Added debug overlay (setDefault('debug', true) or Alt+Shift+D) showing matched pairs, element status
+ *       and a waterfall of all tweens, with a slow-motion control setting debugTimeScale
+ * 2.8.2 Replaced parseSimpleAnimation with HypeSceneMagic.parseAnimation supporting quoted values, functions,
+ *       comments, per-property eases and unit conversion, reporting parse errors with element id and column
+ * 2.8.3 Added keyframe sequences (e.g. "scale:0 > @70% scale:1.2 > scale:1") to animation attributes,
+ *       registered animations and applyAnimation, fitted into the element's delay and duration window
+ * 2.8.4 Added data-transition-stagger attribute and stagger option to spread animations of groups
+ *       by amount, order (dom, position, distance, random) and ease, including matched pairs
+ * 2.8.5 Added data-transition-path and transitionPath default to move matched elements along arcs
+ *       or bezier curves (without the MotionPath plugin)
+ * 2.8.6 Added all Hype timing function names and CSS keywords to easingMap
+ *       Added cubic-bezier() and spring() eases, springs extend the duration until they have settled
+ * 2.8.7 Added navigation direction (option or inferred from the scene order) to hooks, events and controllers
+ *       Added directional animation attributes (e.g. data-transition-animation-from-back) and mirrorBack
+ * 2.8.8 Added sceneTransition option and default (push, slide, cover, uncover, zoom, cube and flip with direction),
+ *       matched elements are counter-transformed to keep morphing in place while their scenes move
+ * 2.8.9 Added reveal option, default and data-transition-reveal scene attribute (wipe, circle, diamond, blinds and
+ *       custom polygon clip-paths) with revealOrigin, replacing the crossfade of the target scene
+ * 2.9.0 Added expandFrom option and data-transition-expand to expand an element into the target scene,
+ *       navigating back collapses into the originating element (or collapseTo)
+ * 2.9.1 Added cross-container matching: pairs with different parent chains fly as a clone in scene space
+ *       on a layer above both scenes and hand off to the target element (crossContainer option and default)
+ * 2.9.2 Added full transform decomposition for matched elements: transforms are decomposed into perspective,
+ *       translate, rotate, skew and scale and interpolated individually (decomposeTransform 'rotate' keeps
+ *       the rotation extraction only), parseTransformMatrix supports 3D transform functions
+ * 2.9.3 Added border width and color, box-shadow, filter, backdrop-filter, clip-path and background image,
+ *       position and size to the magic properties (shadow and filter lists, gradient stops and clip-path
+ *       shapes are matched before tweening, other gradients crossfade), skipProperties accepts groups
+ * 2.9.4 Match elements of any type (svg, img, video, iframe), matched vector shapes morph their path data,
+ *       fill, stroke and stroke-width without plugins
+ * 2.9.5 Added data-transition-text and transitionText default to crossfade, scramble, type or count
+ *       the text of matched elements, the original content is restored after the transition
+ * 2.9.6 Added data-transition-carry and transitionCarry default to hand off media playback, input values,
+ *       scroll offsets and focus to the target element, registerCarryHandler for custom state
+ * 2.9.7 Added data-transition-match and matchPolicy default (first, last, nearest or all) to resolve several
+ *       elements sharing an identifier, all splits a source into several targets or merges several sources
+ *       into a target with temporary clones of the shared element
+ * 2.9.8 Added data-transition-scope on containers, identifiers of their children only match within the same
+ *       scope, added wildcard (card-*) and index (item[n], resolved by DOM order) identifiers
+ *       Added HypeSceneMagic.getResolvedIdentifiers() returning the identifiers as they are matched
  */
 
 if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function() {	
     const _isHypeIDE = window.location.href.indexOf("/Hype/Scratch/HypeScratch.") != -1;
-	const _version = '2.7.3';
+	const _version = '2.9.8';
 	let _default = {
 		easingMap: {
 			'easein': 'power1.in',
 			'easeout': 'power1.out',
-			'easeinout': 'power1.inOut'
+			'easeinout': 'power1.inOut',
+			'linear': 'none',
+			// Hype timing functions
+			'easeinquad': 'power1.in',
+			'easeoutquad': 'power1.out',
+			'easeinoutquad': 'power1.inOut',
+			'easeincubic': 'power2.in',
+			'easeoutcubic': 'power2.out',
+			'easeinoutcubic': 'power2.inOut',
+			'easeinquart': 'power3.in',
+			'easeoutquart': 'power3.out',
+			'easeinoutquart': 'power3.inOut',
+			'easeinquint': 'power4.in',
+			'easeoutquint': 'power4.out',
+			'easeinoutquint': 'power4.inOut',
+			'easeinsine': 'sine.in',
+			'easeoutsine': 'sine.out',
+			'easeinoutsine': 'sine.inOut',
+			'easeinexpo': 'expo.in',
+			'easeoutexpo': 'expo.out',
+			'easeinoutexpo': 'expo.inOut',
+			'easeincirc': 'circ.in',
+			'easeoutcirc': 'circ.out',
+			'easeinoutcirc': 'circ.inOut',
+			'easeinelastic': 'elastic.in',
+			'easeoutelastic': 'elastic.out',
+			'easeinoutelastic': 'elastic.inOut',
+			'easeinback': 'back.in',
+			'easeoutback': 'back.out',
+			'easeinoutback': 'back.inOut',
+			'easeinbounce': 'bounce.in',
+			'easeoutbounce': 'bounce.out',
+			'easeinoutbounce': 'bounce.inOut',
+			// CSS timing functions
+			'ease': 'cubic-bezier(0.25, 0.1, 0.25, 1)',
+			'ease-in': 'cubic-bezier(0.42, 0, 1, 1)',
+			'ease-out': 'cubic-bezier(0, 0, 0.58, 1)',
+			'ease-in-out': 'cubic-bezier(0.42, 0, 0.58, 1)'
 		},
 		defaultProperties: {
 			width: 'auto',
 			height: 'auto',
 			opacity: 1,
 			borderRadius: '0px',
+			borderWidth: '0px',
+			borderColor: 'transparent',
+			boxShadow: 'none',
+			filter: 'none',
+			backdropFilter: 'none',
+			clipPath: 'none',
+			backgroundImage: 'none',
+			backgroundPosition: '0% 0%',
+			backgroundSize: 'auto',
 			transform: '',
 			wordSpacing: 'normal',
 			backgroundColor: 'transparent',
@@ -71,9 +171,13 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 			textDecoration: 'none',
 		},
 		crossFadeFactor: 0.5,
+		sceneTransition: 'crossfade',
+		reveal: null,
+		revealOrigin: 'click',
 		durationTransition: 0.5,
 		durationAnimation: 0.25,
 		registeredAnimations: {},
+		registeredCarryHandlers: {},
 		hypePropertyMap: {
 			x: 'left',
 			y: 'top',
@@ -89,6 +193,25 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		skipProperties: [],
 		decomposeTransform: true,
 		highlightSceneMagic: true,
+		gestureThreshold: 0.5,
+		gestureVelocity: 0.5,
+		interrupt: 'finish',
+		debug: false,
+		debugTimeScale: 1,
+		debugShortcut: null,
+		mirrorBack: false,
+		transitionPath: 'straight',
+		transitionText: null,
+		transitionCarry: null,
+		matchPolicy: null,
+		crossContainer: 'auto',
+		pathBend: 0.2,
+		staggerDefaults: {
+			amount: 0.5,
+			order: 'dom',
+			ease: 'none',
+			origin: 'click'
+		},
 	};
 
 	// --- Two-Cache System ---
@@ -100,6 +223,72 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	// store document related state
 	const _documentStates = new WeakMap();
 
+	// groups of magic properties that can be listed in skipProperties as a whole
+	const _propertyGroups = {
+		borders: ['borderWidth', 'borderColor', 'borderRadius'],
+		shadows: ['boxShadow'],
+		filters: ['filter', 'backdropFilter'],
+		clipPaths: ['clipPath'],
+		backgrounds: ['backgroundImage', 'backgroundPosition', 'backgroundSize']
+	};
+
+	// selectors for elements taking part in magic transitions
+	const _magicSelector = '[class*="magic"], [data-transition-id]';
+	// classes of the helper elements added during transitions, never identifiers (their elements are never matched)
+	const _helperClasses = ['magicExpandLayer', 'magicFlyingLayer', 'magicTextLayers', 'magicMatchClone'];
+	const _helperSelector = _helperClasses.map(className => '.' + className).join(', ');
+	const _animationAttributes = ['', '-from', '-to'].reduce((attributes, side) => attributes.concat(
+		['', '-forward', '-back'].map(direction => 'data-transition-animation' + side + direction)
+	), []);
+	const _animationSelector = _animationAttributes.map(attr => `[${attr}]`).join(', ');
+
+	// properties flipped when mirroring animations for backward navigation
+	const _mirrorProperties = ['x', 'xPercent', 'rotation', 'rotate', 'rotateZ', 'rotationZ', 'rotateY', 'rotationY', 'skewX', 'skewY'];
+
+	// properties whose percentages are factors, angle properties and time properties in animation strings
+	const _unitlessProperties = ['scale', 'scaleX', 'scaleY', 'scaleZ', 'opacity', 'autoAlpha'];
+	const _angleProperties = ['rotation', 'rotate', 'rotateX', 'rotateY', 'rotateZ', 'rotationX', 'rotationY', 'rotationZ', 'skewX', 'skewY'];
+	const _angleUnits = { deg: 1, turn: 360, rad: 180 / Math.PI, grad: 0.9 };
+	const _timeProperties = ['duration', 'delay', 'repeatDelay', 'stagger'];
+
+	// simulated springs by their parameters
+	const _springCache = new Map();
+
+	// last pointer down position, used as origin for distance staggering
+	let _lastPointer = null;
+
+	// global transition lifecycle event handlers by event name
+	const _eventHandlers = {};
+
+	// colors of the debug overlay by element status
+	const _debugColors = {
+		matched: '#2ecc71',
+		fallback: '#f39c12',
+		unmatched: '#e74c3c',
+		other: '#95a5a6'
+	};
+
+	/**
+	 * Gets the state object for a Hype document, creating it if needed.
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @returns {Object} The state object for the document
+	 */
+	function getDocumentState(hypeDocument) {
+		if (!_documentStates.has(hypeDocument)) {
+			_documentStates.set(hypeDocument, {});
+		}
+		return _documentStates.get(hypeDocument);
+	}
+
+	/**
+	 * Checks if a property is listed in skipProperties, either by name or by its group.
+	 * @param {string} key - The property name
+	 * @returns {boolean} True if the property is skipped
+	 */
+	function isSkippedProperty(key) {
+		return getDefault('skipProperties').some(name => name === key || (_propertyGroups[name] || []).includes(key));
+	}
+
 	/**
 	 * Gets the current magic properties by reading the element's inline style attribute.
 	 * This is a direct, non-cached read of the element's live state.
@@ -110,12 +299,31 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		const properties = {};
 		const defaultProperties = getDefault('defaultProperties');
 		for (let key in defaultProperties) {
-			if (getDefault('skipProperties').includes(key)) continue;
+			if (isSkippedProperty(key)) continue;
 			properties[key] = element.style[key] || defaultProperties[key];
 		}
 		return properties;
 	}
 
+	/**
+	 * Restores cached magic properties of an element. Properties that still have their inline value, and
+	 * properties at their default that were never written inline, are left alone.
+	 * @param {HTMLElement} element - The element to restore
+	 * @param {Object} properties - The cached properties from getCurrentMagicProperties
+	 */
+	function restoreMagicProperties(element, properties) {
+		const defaultProperties = getDefault('defaultProperties');
+		const changed = {};
+		for (let key in properties) {
+			const current = element.style[key];
+			if (!current && properties[key] === defaultProperties[key]) continue;
+			// The transform is always set, so GSAP's cached transform components are in sync again
+			if (key !== 'transform' && current === String(properties[key])) continue;
+			changed[key] = properties[key];
+		}
+		gsap.set(element, changed);
+	}
+
 	/**
 	 * Clears the pristine cached properties for an element or all cached properties if no element is provided.
 	 * @param {HTMLElement} [element] - Optional element to clear cache for. If not provided, clears entire cache.
@@ -128,6 +336,24 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		}
 	}
 
+	/**
+	 * Toggles the debug overlay if the key event matches the debug shortcut
+	 * @param {KeyboardEvent} event - The keydown event
+	 */
+	function onDebugShortcut(event) {
+		if (matchesShortcut(event, getDefault('debugShortcut'))) {
+			setDefault('debug', !getDefault('debug'));
+		}
+	}
+
+	/**
+	 * Installs the keydown listener of the debug shortcut while debugShortcut is set and removes it otherwise
+	 */
+	function updateDebugShortcutListener() {
+		window.removeEventListener('keydown', onDebugShortcut);
+		if (getDefault('debugShortcut')) window.addEventListener('keydown', onDebugShortcut);
+	}
+
 	/**
 	 * Sets default configuration values for HypeSceneMagic
 	 * @param {(string|Object)} key - Either a string key or an object containing multiple key-value pairs
@@ -137,9 +363,10 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	function setDefault(key, value) {
 		if (typeof(key) == 'object') {
 			_default = key;
-			return;
+		} else {
+			_default[key] = value;
 		}
-		_default[key] = value;
+		if (typeof(key) == 'object' || key === 'debugShortcut') updateDebugShortcutListener();
 	}
 
 	/**
@@ -154,14 +381,146 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 
 	/**
 	 * Gets the mapped easing function name based on the provided ease string
-	 * @param {string} [ease='power1.inOut'] - The easing function name to map
-	 * @returns {string} The mapped easing function name from easingMap or the original ease if no mapping exists
+	 * @param {string|Function} [ease='power1.inOut'] - The easing function name to map, or an ease function (passed through)
+	 * @returns {string|Function} The mapped easing function name from easingMap or the original ease if no mapping exists
 	 */
 	function getEase(ease) {
 		ease = ease || 'power1.inOut';
+		if (typeof ease !== 'string') return ease;
 		return getDefault('easingMap')[ease.toLowerCase()] || ease;
 	}
 
+	/**
+	 * Creates an ease function for a CSS cubic-bezier timing function.
+	 * @param {number} x1 - X of the first control point (0-1)
+	 * @param {number} y1 - Y of the first control point
+	 * @param {number} x2 - X of the second control point (0-1)
+	 * @param {number} y2 - Y of the second control point
+	 * @returns {Function} Ease function mapping progress to eased progress
+	 */
+	function createCubicBezierEase(x1, y1, x2, y2) {
+		x1 = Math.min(1, Math.max(0, parseFloat(x1) || 0));
+		x2 = Math.min(1, Math.max(0, parseFloat(x2) || 0));
+		y1 = parseFloat(y1) || 0;
+		y2 = parseFloat(y2) || 0;
+
+		const bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+		const slope = (t, p1, p2) => 3 * (1 - t) * (1 - t) * p1 + 6 * (1 - t) * t * (p2 - p1) + 3 * t * t * (1 - p2);
+
+		return function(p) {
+			if (p <= 0 || p >= 1) return p <= 0 ? 0 : 1;
+
+			// Solve x(t) = p with Newton's method and fall back to bisection
+			let t = p;
+			for (let i = 0; i < 8; i++) {
+				const error = bezier(t, x1, x2) - p;
+				const derivative = slope(t, x1, x2);
+				if (Math.abs(error) < 1e-6) return bezier(t, y1, y2);
+				if (Math.abs(derivative) < 1e-6) break;
+				t -= error / derivative;
+			}
+
+			let low = 0;
+			let high = 1;
+			t = p;
+			for (let i = 0; i < 30; i++) {
+				const x = bezier(t, x1, x2);
+				if (Math.abs(x - p) < 1e-6) break;
+				if (x < p) low = t; else high = t;
+				t = (low + high) / 2;
+			}
+			return bezier(t, y1, y2);
+		};
+	}
+
+	/**
+	 * Simulates a damped spring moving from 0 to 1.
+	 * @param {number} [mass=1] - Mass of the spring
+	 * @param {number} [stiffness=100] - Stiffness of the spring
+	 * @param {number} [damping=10] - Damping of the spring
+	 * @param {number} [velocity=0] - Initial velocity
+	 * @returns {{position: Function, settleTime: number}} Position at a time in seconds and the time to settle
+	 */
+	function createSpring(mass, stiffness, damping, velocity) {
+		mass = parseFloat(mass) > 0 ? parseFloat(mass) : 1;
+		stiffness = parseFloat(stiffness) > 0 ? parseFloat(stiffness) : 100;
+		damping = parseFloat(damping) >= 0 ? parseFloat(damping) : 10;
+		velocity = parseFloat(velocity) || 0;
+
+		const key = [mass, stiffness, damping, velocity].join(',');
+		if (_springCache.has(key)) return _springCache.get(key);
+
+		const omega = Math.sqrt(stiffness / mass);
+		const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+		let displacement;
+
+		// Displacement from the rest position, starting at -1 with the initial velocity
+		if (zeta < 1) {
+			const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+			const b = (velocity - zeta * omega) / omegaD;
+			displacement = (t) => Math.exp(-zeta * omega * t) * (-Math.cos(omegaD * t) + b * Math.sin(omegaD * t));
+		} else if (zeta === 1) {
+			const b = velocity - omega;
+			displacement = (t) => Math.exp(-omega * t) * (-1 + b * t);
+		} else {
+			const root = Math.sqrt(zeta * zeta - 1);
+			const r1 = -omega * (zeta - root);
+			const r2 = -omega * (zeta + root);
+			const c2 = (velocity + r1) / (r2 - r1);
+			const c1 = -1 - c2;
+			displacement = (t) => c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t);
+		}
+
+		// The spring has settled once it stays within 0.1% of the rest position (capped at 10 seconds)
+		const step = 1 / 60;
+		let settleTime = step;
+		for (let t = 0; t <= 10; t += step) {
+			if (Math.abs(displacement(t)) >= 0.001) settleTime = t + step;
+		}
+
+		const spring = { position: (t) => 1 + displacement(t), settleTime };
+		_springCache.set(key, spring);
+		return spring;
+	}
+
+	/**
+	 * Creates an ease function for a spring. The spring plays over its settle time, so use
+	 * getEaseDuration to let the tween last long enough.
+	 * @param {number} [mass=1] - Mass of the spring
+	 * @param {number} [stiffness=100] - Stiffness of the spring
+	 * @param {number} [damping=10] - Damping of the spring
+	 * @param {number} [velocity=0] - Initial velocity
+	 * @returns {Function} Ease function mapping progress to eased progress
+	 */
+	function createSpringEase(mass, stiffness, damping, velocity) {
+		const spring = createSpring(mass, stiffness, damping, velocity);
+		return (p) => p >= 1 ? 1 : spring.position(p * spring.settleTime);
+	}
+
+	/**
+	 * Registers the cubic-bezier() and spring() eases with GSAP, so they can be used in any ease string.
+	 */
+	function registerEases() {
+		if (gsap.parseEase()['spring']) return;
+		const cubicBezier = createCubicBezierEase(0.25, 0.1, 0.25, 1);
+		cubicBezier.config = createCubicBezierEase;
+		gsap.registerEase('cubic-bezier', cubicBezier);
+		const spring = createSpringEase();
+		spring.config = createSpringEase;
+		gsap.registerEase('spring', spring);
+	}
+
+	/**
+	 * Gets the duration an ease needs to play naturally. Springs need their settle time, all other eases fit any duration.
+	 * @param {string|Function} ease - The (mapped) ease
+	 * @returns {number} Minimum duration in seconds or 0
+	 */
+	function getEaseDuration(ease) {
+		const match = typeof ease === 'string' && ease.trim().match(/^spring\(([^)]*)\)$/i);
+		if (!match) return ease === 'spring' ? createSpring().settleTime : 0;
+		return createSpring(...match[1].split(',')).settleTime;
+	}
+
 	/**
 	 * Finds the appropriate element to apply z-index to, checking if parent is a HYPE container
 	 * @param {HTMLElement} element - The element to check
@@ -197,12 +556,14 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	}
 
 	/**
-	 * Gets all transition identifiers from an element
+	 * Gets the identifiers declared by the magic classes and data-transition-id of an element
+	 * (index patterns like item[n] unresolved and without scope). Helper elements and their contents have none.
 	 * @param {HTMLElement} element - The DOM element
 	 * @returns {string[]} Array of cleaned identifiers
 	 */
 	function getTransitionIdentifiers(element) {
 		const identifiers = [];
+		if (element.closest(_helperSelector)) return identifiers;
 		
 		// Get identifiers from magic classes
 		element.classList.forEach(className => {
@@ -224,6 +585,117 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		return [...new Set(identifiers)]; // Remove duplicates
 	}
 
+	/**
+	 * Gets the elements of a container matching a selector, without the helper elements added during
+	 * transitions (like the clones of split and merge pairs) and their contents
+	 * @param {HTMLElement} container - The container to search in
+	 * @param {string} [selector] - The selector, defaults to the magic selector
+	 * @returns {HTMLElement[]} Array of elements
+	 */
+	function queryMagicElements(container, selector = _magicSelector) {
+		return Array.from(container.querySelectorAll(selector)).filter(element => !element.closest(_helperSelector));
+	}
+
+	/**
+	 * Gets the scope container of an element, the closest ancestor with a data-transition-scope
+	 * @param {HTMLElement} element - The DOM element
+	 * @returns {HTMLElement|null} The scope container or null
+	 */
+	function getScopeElement(element) {
+		return element.parentElement && element.parentElement.closest('[data-transition-scope]:not([data-transition-scope=""])');
+	}
+
+	/**
+	 * Gets the scope of an element from the data-transition-scope of its scope containers, outermost first
+	 * @param {HTMLElement} element - The DOM element
+	 * @returns {string} The scope (e.g. 'shop/product-42') or an empty string outside of scopes
+	 */
+	function getScopePath(element) {
+		const scopes = [];
+		for (let scopeElm = getScopeElement(element); scopeElm; scopeElm = getScopeElement(scopeElm)) {
+			scopes.unshift(scopeElm.getAttribute('data-transition-scope').trim().toLowerCase());
+		}
+		return scopes.join('/');
+	}
+
+	/**
+	 * Resolves an index identifier like item[n] to the position of the element among the elements of its
+	 * scope (or scene) declaring the same identifier, in DOM order starting at 1 (item1, item2, ...)
+	 * @param {HTMLElement} element - The DOM element
+	 * @param {string} identifier - The index identifier
+	 * @param {Map} [indexCache] - Cache of the index identifier groups per container, shared by the lookups of one pass
+	 * @returns {string} The resolved identifier
+	 */
+	function resolveIndexIdentifier(element, identifier, indexCache) {
+		const scopeElm = getScopeElement(element);
+		const container = scopeElm || element.closest('.HYPE_scene') || element.ownerDocument;
+		let groups = indexCache && indexCache.get(container);
+		if (!groups) {
+			// Group the elements of the scope (or scene) by their index identifiers, in DOM order
+			groups = new Map();
+			queryMagicElements(container).forEach(el => {
+				if (getScopeElement(el) !== scopeElm) return;
+				getTransitionIdentifiers(el).filter(id => id.includes('[n]')).forEach(id => {
+					if (!groups.has(id)) groups.set(id, []);
+					groups.get(id).push(el);
+				});
+			});
+			if (indexCache) indexCache.set(container, groups);
+		}
+		return identifier.replace(/\[n\]/g, (groups.get(identifier) || []).indexOf(element) + 1);
+	}
+
+	/**
+	 * Gets the identifiers an element is matched with. Index identifiers are resolved and identifiers
+	 * of elements in a scope are prefixed with it (e.g. 'product-42/title').
+	 * @param {HTMLElement} element - The DOM element
+	 * @param {Map} [indexCache] - Cache for resolving index identifiers, pass the same Map while resolving many elements
+	 * @returns {string[]} Array of cleaned identifiers
+	 */
+	function getResolvedIdentifiers(element, indexCache) {
+		const scope = getScopePath(element);
+		return [...new Set(getTransitionIdentifiers(element).map(id => {
+			const identifier = id.includes('[n]') ? resolveIndexIdentifier(element, id, indexCache) : id;
+			return scope ? scope + '/' + identifier : identifier;
+		}))];
+	}
+
+	// Regular expressions of wildcard identifiers
+	const _identifierPatterns = new Map();
+
+	/**
+	 * Checks if two identifiers match. A * in an identifier matches any characters within its scope.
+	 * @param {string} id - The identifier
+	 * @param {string} otherId - The other identifier
+	 * @returns {boolean} True if the identifiers match
+	 */
+	function identifiersMatch(id, otherId) {
+		if (id === otherId) return true;
+		const test = (pattern, value) => {
+			if (!pattern.includes('*')) return false;
+			if (!_identifierPatterns.has(pattern)) {
+				const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+				_identifierPatterns.set(pattern, new RegExp('^' + source + '$'));
+			}
+			return _identifierPatterns.get(pattern).test(value);
+		};
+		return test(id, otherId) || test(otherId, id);
+	}
+
+	/**
+	 * Gets the identifiers two elements share, wildcards are replaced by the identifier they match.
+	 * @param {string[]} ids - The identifiers of one element
+	 * @param {string[]} otherIds - The identifiers of the other element
+	 * @returns {string[]} The shared identifiers
+	 */
+	function getSharedIdentifiers(ids, otherIds) {
+		const shared = [];
+		ids.forEach(id => otherIds.forEach(otherId => {
+			if (identifiersMatch(id, otherId)) shared.push(id.includes('*') ? otherId : id);
+		}));
+		return [...new Set(shared)];
+	}
+
 	/**
 	 * Calculates timing values for transitions based on percentages/factors and total duration
 	 * @param {string|number} delayValue - Delay as percentage (with %), factor, or time value (s/ms)
@@ -266,42 +738,386 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 			style.id = 'magicTransitionStyle';
 			style.textContent = [
 				'.magicTransition, .magicTransition * { pointer-events: none !important; }',
-				'.magicTransition > .HYPE_scene { transform: none !important; }',
+				'.magicTransition > .HYPE_scene { transform: var(--scene-transform, none) !important; transform-origin: 0 0 !important; }',
+				'.magicTransition[data-scene-transition] { overflow: hidden !important; }',
+				'.magicTransition[data-scene-transition] > .HYPE_scene { overflow: visible !important; }',
+				'.magicTransition[data-scene-transition="flip"] > .HYPE_scene { backface-visibility: hidden !important; }',
+				'.magicTransition[data-scene-transition="uncover"] > .HYPE_scene.targetScene { z-index: 0 !important; }',
+				'.magicTransition[data-scene-reveal] > .HYPE_scene.targetScene { clip-path: var(--scene-clip, none) !important; }',
+				'.magicTransition[data-scene-reveal="collapse"] > .HYPE_scene.targetScene { z-index: 0 !important; }',
+				'.magicTransition[data-scene-reveal="collapse"] > .HYPE_scene.currentScene { clip-path: var(--scene-clip, none) !important; opacity: var(--scene-opacity, 1) !important; }',
+				'.magicExpandLayer { position: absolute; z-index: 100000; pointer-events: none; box-sizing: border-box; }',
+				'.magicFlyingLayer { position: absolute; z-index: 3; pointer-events: none; overflow: visible; }',
 				'.magicTransition > .HYPE_scene.currentScene { z-index: 1 !important; display: block !important; }',
 				'.magicTransition > .HYPE_scene.targetScene { z-index: 2 !important; display: block !important; opacity: var(--scene-opacity, 0) !important; }',
 				'.magicTransition > .HYPE_document > .HYPE_element_container { z-index: 1000 !important; }',
 				'.magicTransition > .HYPE_scene.currentScene.fadeComplete { display: none !important; }',
-				'.magicTransition > .HYPE_scene.targetScene.fadeComplete { opacity: 1 !important; }'
+				'.magicTransition > .HYPE_scene.targetScene.fadeComplete { opacity: 1 !important; clip-path: none !important; }'
 			].join('');
 			document.head.appendChild(style);
 		}
 	}
 
 	/**
-	 * Parses a string of animation properties into an object
-	 * @param {string} dataString - String containing animation properties in format "prop1:value1;prop2:value2"
-	 * @returns {Object|null} Animation object with parsed properties and values, or null if no data
+	 * Converts a parsed animation value. Quoted values become plain strings, percentages of unitless
+	 * properties become factors, angles become degrees and times become seconds.
+	 * @param {string} property - The property name
+	 * @param {string} value - The raw value
+	 * @returns {*} The converted value (other values are passed to GSAP for parsing)
+	 */
+	function convertAnimationValue(property, value) {
+		const quoted = value.match(/^(["'])([\s\S]*)\1$/);
+		if (quoted) return quoted[2].replace(/\\(.)/g, '$1');
+		if (value === 'true' || value === 'false') return value === 'true';
+
+		const match = value.match(/^([+-]=)?(-?(?:\d+\.?\d*|\.\d+))([a-z%]*)$/i);
+		if (!match) return value;
+		const relative = match[1] || '';
+		const number = parseFloat(match[2]);
+		const unit = match[3].toLowerCase();
+		let converted = unit ? null : number;
+
+		if (_unitlessProperties.includes(property) && unit === '%') {
+			converted = number / 100;
+		} else if (_angleProperties.includes(property) && _angleUnits[unit]) {
+			converted = (number * _angleUnits[unit]) + 'deg';
+		} else if (_timeProperties.includes(property) && (unit === 'ms' || unit === 's')) {
+			converted = unit === 'ms' ? number / 1000 : number;
+		}
+
+		if (converted === null) return value;
+		return relative ? relative + converted : converted;
+	}
+
+	/**
+	 * Creates GSAP percent keyframes from a list of steps. Steps without a position are spread
+	 * evenly between their neighbours, the first step defaults to 0% and the last one to 100%.
+	 * @param {Object[]} steps - Steps with an animation object and an optional position (0-100)
+	 * @returns {Object} Percent keyframes (e.g. {'0%': {...}, '50%': {...}, '100%': {...}})
+	 */
+	function createKeyframes(steps) {
+		const positions = steps.map(step => step.position === undefined ? null : step.position);
+		if (positions[0] === null) positions[0] = 0;
+		if (positions[positions.length - 1] === null) positions[positions.length - 1] = 100;
+		for (let i = 1; i < positions.length - 1; i++) {
+			if (positions[i] !== null) continue;
+			let next = i + 1;
+			while (positions[next] === null) next++;
+			positions[i] = positions[i - 1] + (positions[next] - positions[i - 1]) / (next - i + 1);
+		}
+
+		const keyframes = {};
+		steps.forEach((step, i) => {
+			keyframes[+positions[i].toFixed(4) + '%'] = step.animation;
+		});
+		return keyframes;
+	}
+
+	/**
+	 * Gets the steps of GSAP keyframes (array or percent keyframes) in order.
+	 * @param {Object[]|Object} keyframes - The keyframes
+	 * @returns {Object[]} The keyframe steps
+	 */
+	function getKeyframeSteps(keyframes) {
+		if (Array.isArray(keyframes)) return keyframes;
+		return Object.keys(keyframes)
+			.filter(key => key.endsWith('%'))
+			.sort((a, b) => parseFloat(a) - parseFloat(b))
+			.map(key => keyframes[key]);
+	}
+
+	/**
+	 * Gets the state an animation ends in. For keyframe sequences the steps are merged in order,
+	 * so the final step wins over earlier ones.
+	 * @param {Object} animationData - The animation object
+	 * @returns {Object} The final animation properties
+	 */
+	function getFinalAnimationState(animationData) {
+		if (!animationData.keyframes) return animationData;
+		const state = {};
+		getKeyframeSteps(animationData.keyframes).forEach(step => {
+			Object.keys(step).forEach(key => {
+				if (key !== 'ease') state[key] = step[key];
+			});
+		});
+		return state;
+	}
+
+	/**
+	 * Converts an animation given as an array of steps into keyframes, other animations are returned unchanged.
+	 * @param {Object|Object[]} animation - Animation object or array of evenly spaced steps
+	 * @returns {Object} The animation object
+	 */
+	function normalizeAnimation(animation) {
+		if (!Array.isArray(animation)) return animation;
+		return { keyframes: createKeyframes(animation.map(step => ({ animation: step }))) };
+	}
+
+	/**
+	 * Parses the animation mini-language into an animation object and a list of errors. Declarations are
+	 * separated by semicolons and written as "property: value [ease=name]". Values may be quoted or contain
+	 * functions like rgba() or url(), and comments are written as /* ... *\/. Keyframe steps are separated
+	 * by ">" and may start with a position like "@70%" or "@0.7" (e.g. "scale: 0 > @70% scale: 1.2 > scale: 1").
+	 * @param {string} dataString - The animation string (e.g. "x: 100 ease=back.out; opacity: 50%")
+	 * @returns {{animation: Object, errors: Object[]}} The animation (per-property eases in propertyEases,
+	 *   keyframe sequences in keyframes) and the parse errors with column and message
+	 */
+	function parseAnimationSource(dataString) {
+		const source = String(dataString || '');
+		const errors = [];
+
+		// Split into keyframe steps and declarations, remembering the column of every character and if it is at the top level
+		const steps = [];
+		let declarations = [];
+		let stepColumn = 1;
+		let chars = [];
+		let quote = null;
+		const parentheses = [];
+		for (let i = 0; i < source.length; i++) {
+			const char = source[i];
+			const column = i + 1;
+
+			if (quote) {
+				if (char === '\\' && i + 1 < source.length) {
+					chars.push({ char, column, top: false }, { char: source[i + 1], column: column + 1, top: false });
+					i++;
+					continue;
+				}
+				if (char === quote.char) quote = null;
+				chars.push({ char, column, top: false });
+				continue;
+			}
+
+			if (char === '/' && source[i + 1] === '*') {
+				const end = source.indexOf('*/', i + 2);
+				if (end === -1) {
+					errors.push({ column, message: 'Unterminated comment' });
+					break;
+				}
+				i = end + 1;
+				continue;
+			}
+
+			if ((char === ';' || char === '>') && parentheses.length === 0) {
+				declarations.push(chars);
+				chars = [];
+				if (char === '>') {
+					steps.push({ declarations, column: stepColumn });
+					declarations = [];
+					stepColumn = column + 1;
+				}
+				continue;
+			}
+
+			if (char === '"' || char === "'") {
+				quote = { char, column };
+			} else if (char === '(') {
+				parentheses.push(column);
+			} else if (char === ')') {
+				if (parentheses.length === 0) {
+					errors.push({ column, message: "Unexpected ')'" });
+				} else {
+					parentheses.pop();
+				}
+			}
+			chars.push({ char, column, top: !quote && parentheses.length === 0 && char !== ')' });
+		}
+
+		// An open quote or parenthesis swallows the rest, so the last declaration is dropped
+		if (quote) {
+			errors.push({ column: quote.column, message: 'Unterminated quote' });
+		} else if (parentheses.length) {
+			errors.push({ column: parentheses[0], message: "Missing ')'" });
+		} else {
+			declarations.push(chars);
+		}
+		steps.push({ declarations, column: stepColumn });
+
+		const text = (list) => list.map(c => c.char).join('');
+
+		// Parses a single declaration into the animation object of a step
+		const parseDeclaration = (chars, animation) => {
+			const first = chars.find(c => !/\s/.test(c.char));
+			if (!first) return;
+
+			const colon = chars.findIndex(c => c.top && c.char === ':');
+			if (colon === -1) {
+				errors.push({ column: first.column, message: `Expected ':' after "${text(chars).trim()}"` });
+				return;
+			}
+
+			const key = text(chars.slice(0, colon)).trim();
+			if (!/^(--)?[a-zA-Z_$][\w$-]*$/.test(key)) {
+				errors.push({ column: first.column, message: `Invalid property name "${key}"` });
+				return;
+			}
+			// CSS custom properties keep their name, other kebab-case names are camel-cased for GSAP
+			const property = key.startsWith('--') ? key : key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+			// Split the value into whitespace separated tokens at the top level
+			const tokens = [];
+			let token = null;
+			chars.slice(colon + 1).forEach(c => {
+				if (c.top && /\s/.test(c.char)) {
+					token = null;
+					return;
+				}
+				if (!token) tokens.push(token = { text: '', column: c.column });
+				token.text += c.char;
+			});
+
+			// Extract a per-property ease
+			let ease = null;
+			const valueTokens = tokens.filter(token => {
+				if (!token.text.startsWith('ease=')) return true;
+				ease = token.text.slice(5);
+				if (!ease) errors.push({ column: token.column, message: `Missing ease name for "${key}"` });
+				return false;
+			});
+
+			if (valueTokens.length === 0) {
+				errors.push({ column: chars[colon].column, message: `Missing value for "${key}"` });
+				return;
+			}
+
+			animation[property] = convertAnimationValue(property, valueTokens.map(token => token.text).join(' '));
+			if (ease) {
+				animation.propertyEases = animation.propertyEases || {};
+				animation.propertyEases[property] = ease;
+			}
+		};
+
+		const parsedSteps = steps.map(step => {
+			const animation = {};
+			let position;
+
+			// Extract the step position (e.g. @70% or @0.7) in front of the first declaration
+			const firstDeclaration = step.declarations[0];
+			const at = firstDeclaration.findIndex(c => !/\s/.test(c.char));
+			if (at !== -1 && firstDeclaration[at].char === '@') {
+				let end = at;
+				while (end < firstDeclaration.length && !/\s/.test(firstDeclaration[end].char)) end++;
+				const positionText = text(firstDeclaration.slice(at + 1, end));
+				position = positionText.endsWith('%') ? parseFloat(positionText) : parseFloat(positionText) * 100;
+				if (!/^(\d+\.?\d*|\.\d+)%?$/.test(positionText) || position > 100) {
+					errors.push({ column: firstDeclaration[at].column, message: `Invalid keyframe position "@${positionText}"` });
+					position = undefined;
+				}
+				step.declarations[0] = firstDeclaration.slice(end);
+			}
+
+			step.declarations.forEach(chars => parseDeclaration(chars, animation));
+			return { animation, position, column: step.column };
+		});
+
+		let animation = parsedSteps[0].animation;
+
+		if (parsedSteps.length > 1) {
+			// Keyframe steps ease into their values, so per-property eases become the ease of the step
+			const keyframeSteps = parsedSteps.filter(step => {
+				if (Object.keys(step.animation).length > 0) return true;
+				errors.push({ column: step.column, message: 'Empty keyframe step' });
+				return false;
+			});
+			keyframeSteps.forEach(step => {
+				const propertyEases = step.animation.propertyEases;
+				if (!propertyEases) return;
+				delete step.animation.propertyEases;
+				step.animation.ease = step.animation.ease || Object.values(propertyEases).pop();
+			});
+
+			// Positions must increase from step to step
+			let lastPosition = -1;
+			keyframeSteps.forEach(step => {
+				if (step.position === undefined) return;
+				if (step.position <= lastPosition) {
+					errors.push({ column: step.column, message: `Keyframe position ${step.position}% does not increase` });
+					step.position = undefined;
+				} else {
+					lastPosition = step.position;
+				}
+			});
+
+			animation = keyframeSteps.length > 1 ? { keyframes: createKeyframes(keyframeSteps) } : (keyframeSteps[0] || {}).animation || {};
+		}
+
+		errors.sort((a, b) => a.column - b.column);
+		return { animation, errors };
+	}
+
+	/**
+	 * Reports animation parse errors in the console.
+	 * @param {Object[]} errors - The parse errors with column and message
+	 * @param {string} dataString - The animation string
+	 * @param {HTMLElement} [element] - The element the animation belongs to
 	 */
-	function parseSimpleAnimation(dataString) {
+	function reportAnimationErrors(errors, dataString, element) {
+		const elementInfo = element ? ` on ${element.id || 'an element without id'}` : '';
+		console.warn(
+			`%cHypeSceneMagic: %cCould not parse animation "${dataString}"${elementInfo}\n%c` + errors.map(error => `column ${error.column}: ${error.message}`).join('\n'),
+			"font-weight: bold;",
+			"font-weight: normal;",
+			"font-family: monospace; font-size: 11px; line-height: 1.8;"
+		);
+	}
+
+	/**
+	 * Parses an animation string into an animation object. Parse errors are reported in the console
+	 * with the element id and column, and the valid declarations are still used.
+	 * @param {string} dataString - The animation string (e.g. "x: 100 ease=back.out; opacity: 50%")
+	 * @param {HTMLElement} [element] - The element the animation belongs to (used in error reports)
+	 * @param {boolean} [quiet] - Skips the console report (for callers collecting the errors themselves)
+	 * @returns {Object|null} Animation object or null if it contains no valid declarations
+	 */
+	function parseAnimation(dataString, element, quiet) {
 		if (!dataString) return null;
-		
-		const properties = dataString.split(';').filter(Boolean);
-		const animation = {};
-		const percentageProps = ['scale', 'scaleX', 'scaleY', 'scaleZ'];
-		
-		properties.forEach(prop => {
-			const [key, value] = prop.trim().split(':').map(s => s.trim());
-			
-			// Handle percentage values for scale properties
-			if (percentageProps.includes(key) && value.endsWith('%')) {
-				animation[key] = parseFloat(value) / 100;
-			} else {
-				// Pass other values directly to GSAP for parsing
-				animation[key] = value;
+		const { animation, errors } = parseAnimationSource(dataString);
+		if (errors.length && !quiet) reportAnimationErrors(errors, dataString, element);
+		return Object.keys(animation).length ? animation : null;
+	}
+
+	/**
+	 * Adds the tweens of an animation to a timeline. Properties with their own ease (propertyEases)
+	 * get a tween of their own with the same timing. Keyframe sequences always play forward.
+	 * @param {gsap.core.Timeline|Object} timeline - The timeline or gsap itself
+	 * @param {string} method - Either 'to' or 'from'
+	 * @param {HTMLElement|NodeList} target - The element(s) to animate
+	 * @param {Object} vars - Tween vars including the animation properties
+	 * @param {number} [position] - Position on the timeline
+	 * @returns {Object[]} The created tweens, the first one carries the callbacks
+	 */
+	function addAnimationTweens(timeline, method, target, vars, position) {
+		const { propertyEases, ...mainVars } = vars;
+		mainVars.ease = getEase(mainVars.ease);
+
+		if (mainVars.keyframes) {
+			// Keyframes describe every step including the first one, so entrances show the first step right away
+			if (method === 'from') {
+				const { ease, ...firstStep } = getKeyframeSteps(mainVars.keyframes)[0];
+				timeline.set(target, { ...firstStep, immediateRender: true }, position === undefined ? undefined : 0);
+			}
+			method = 'to';
+			// The ease applies to each step instead of the whole sequence
+			if (!Array.isArray(mainVars.keyframes)) {
+				mainVars.keyframes = { easeEach: mainVars.ease, ...mainVars.keyframes };
+				mainVars.ease = 'none';
 			}
+		}
+
+		const easedVars = Object.keys(propertyEases || {}).filter(key => key in mainVars).map(key => {
+			const tweenVars = { [key]: mainVars[key], ease: getEase(propertyEases[key]) };
+			['duration', 'delay', 'repeat', 'repeatDelay', 'yoyo', 'stagger'].forEach(timingKey => {
+				if (timingKey in mainVars) tweenVars[timingKey] = mainVars[timingKey];
+			});
+			delete mainVars[key];
+			return tweenVars;
+		});
+		return [mainVars, ...easedVars].map(tweenVars => {
+			// Springs extend the duration until they have settled
+			const easeDuration = getEaseDuration(tweenVars.ease);
+			if (easeDuration > (tweenVars.duration || 0)) tweenVars.duration = easeDuration;
+			return timeline[method](target, tweenVars, position);
 		});
-		
-		return animation;
 	}
 
 	/**
@@ -311,11 +1127,23 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	 */
 	function registerAnimation(name, animation) {
 		if (typeof animation === 'string') {
-			animation = parseSimpleAnimation(animation);
+			animation = parseAnimation(animation);
 		}
+		animation = normalizeAnimation(animation);
 		_default.registeredAnimations[name.toLowerCase()] = animation;
 	}
 
+	/**
+	 * Registers a handler carrying custom state from the source to the target element of matched pairs
+	 * listing its name in data-transition-carry.
+	 * @param {string} name - Name of the state
+	 * @param {Function} handler - Called with the source element, the target element and the transition
+	 *   info (including the pair) when the pair starts, may return a function undoing it if the transition is cancelled
+	 */
+	function registerCarryHandler(name, handler) {
+		_default.registeredCarryHandlers[name.toLowerCase()] = handler;
+	}
+
 	/**
 	 * Gets a registered animation by name
 	 * @param {string} name - Name of the animation
@@ -326,42 +1154,2905 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	}
 
 	/**
-	 * Logs a warning about an interrupted magic transition, including details about the elements involved.
-	 * @param {object} documentState - The state object for the current Hype document.
+	 * Resolves an animation attribute value to animation data.
+	 * @param {string} animation - Registered animation name or animation string
+	 * @param {HTMLElement} [element] - The element the animation belongs to (used in error reports)
+	 * @param {boolean} [mirror] - Mirrors registered animations horizontally
+	 * @param {boolean} [quiet] - Skips the console report of errors
+	 * @returns {Object|null} Animation object or null if it can not be resolved
 	 */
-	function logInterruptedTransition(documentState) {
-		// inform the user that the transition was ended and why
-		const allTweens = documentState.masterTimeline.getChildren();
-		const interruptedElements = [];
+	function getAnimationData(animation, element, mirror, quiet) {
+		if (!animation) return null;
 
-		allTweens.forEach(tween => {
-			if (tween.progress() !== 1 && tween._targets && Array.isArray(tween._targets)) {
-				tween._targets.forEach(target => {
-					if (target && target.id) {
-						const magicIds = getTransitionIdentifiers(target);
-						
-						// Check animation attributes
-						const animations = [
-							target.getAttribute('data-transition-animation') && `animation: ${target.getAttribute('data-transition-animation')}`,
-							target.getAttribute('data-transition-animation-from') && `animation-from: ${target.getAttribute('data-transition-animation-from')}`,
-							target.getAttribute('data-transition-animation-to') && `animation-to: ${target.getAttribute('data-transition-animation-to')}`
-						].filter(Boolean);
-						
-						// Build element info string
-						let elementInfo = `${target.id} (magic: ${magicIds.length > 0 ? magicIds.join(', ') : 'none'})`;
-						
-						const details = [
-							target.getAttribute('data-transition-delay') && `delay: ${target.getAttribute('data-transition-delay')}`,
-							target.getAttribute('data-transition-duration') && `duration: ${target.getAttribute('data-transition-duration')}`,
-							animations.length > 0 && animations.join(', ')
-						].filter(Boolean);
-						
-						if (details.length > 0) elementInfo += ` - ${details.join(', ')}`;
-						
-						interruptedElements.push(elementInfo);
-					}
-				});
-			}
+		// Check if animation is a registered animation name
+		if (!animation.includes(':')) {
+			const animationData = getRegisteredAnimation(animation);
+			if (!animationData && !quiet) reportAnimationErrors([{ column: 1, message: 'Not a registered animation' }], animation, element);
+			return animationData && mirror ? mirrorAnimation(animationData) : animationData;
+		}
+
+		// If not a registered animation name, parse as animation string
+		return parseAnimation(animation, element, quiet);
+	}
+
+	/**
+	 * Mirrors a single value by flipping its sign (relative values switch between += and -=).
+	 * @param {*} value - The value to mirror
+	 * @returns {*} The mirrored value (non-numeric values are returned unchanged)
+	 */
+	function mirrorValue(value) {
+		if (typeof value === 'number') return -value;
+		if (typeof value !== 'string') return value;
+		const trimmed = value.trim();
+		const relative = trimmed.match(/^([+-])=(.*)$/);
+		if (relative) return (relative[1] === '+' ? '-=' : '+=') + relative[2];
+		if (/^-[\d.]/.test(trimmed)) return trimmed.slice(1);
+		if (/^[\d.]/.test(trimmed)) return '-' + trimmed;
+		return value;
+	}
+
+	/**
+	 * Mirrors an animation horizontally by flipping x offsets, rotations and skews (including keyframe steps).
+	 * @param {Object} animation - The animation object
+	 * @returns {Object} A mirrored copy of the animation
+	 */
+	function mirrorAnimation(animation) {
+		const mirrored = { ...animation };
+		_mirrorProperties.forEach(key => {
+			if (key in mirrored) mirrored[key] = mirrorValue(mirrored[key]);
+		});
+		if (animation.keyframes) {
+			mirrored.keyframes = Array.isArray(animation.keyframes) ? animation.keyframes.map(mirrorAnimation) : Object.fromEntries(
+				Object.entries(animation.keyframes).map(([key, step]) => [key, step && typeof step === 'object' ? mirrorAnimation(step) : step])
+			);
+		}
+		return mirrored;
+	}
+
+	/**
+	 * Gets the animation attribute of an element for a side and direction. The most specific
+	 * attribute wins: data-transition-animation-{from|to}-{forward|back}, data-transition-animation-{from|to},
+	 * data-transition-animation-{forward|back} and data-transition-animation.
+	 * @param {HTMLElement} element - The element
+	 * @param {string} method - Either 'from' (entering) or 'to' (leaving)
+	 * @param {string} [direction] - Either 'forward' or 'back'
+	 * @returns {string|null} The attribute value or null
+	 */
+	function getAnimationAttribute(element, method, direction) {
+		const names = direction ? [`-${method}-${direction}`, `-${method}`, `-${direction}`, ''] : [`-${method}`, ''];
+		for (const name of names) {
+			const value = element.getAttribute('data-transition-animation' + name);
+			if (value) return value;
+		}
+		return null;
+	}
+
+	/**
+	 * Gets the navigation direction of a transition.
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {string} targetSceneName - Name of the target scene
+	 * @param {string} [direction] - Explicit direction ('forward' or 'back'), otherwise inferred from the scene order
+	 * @returns {string} Either 'forward' or 'back'
+	 */
+	function getDirection(hypeDocument, targetSceneName, direction) {
+		if (direction === 'forward' || direction === 'back') return direction;
+		const sceneNames = hypeDocument.sceneNames();
+		return sceneNames.indexOf(targetSceneName) > sceneNames.indexOf(hypeDocument.currentSceneName()) ? 'forward' : 'back';
+	}
+
+	/**
+	 * Gets the direction of a magicCard navigation target.
+	 * @param {string} name - Navigation target
+	 * @returns {string|undefined} 'forward' for '>' targets, 'back' for '<' targets, otherwise undefined
+	 */
+	function getMagicCardDirection(name) {
+		if (name.startsWith('>')) return 'forward';
+		if (name.startsWith('<')) return 'back';
+	}
+
+	/**
+	 * Gets a transition attribute of a matched pair. The source element decides,
+	 * but can defer to the target element with the value 'target'.
+	 * @param {HTMLElement} sourceElement - The source element of the pair
+	 * @param {HTMLElement} targetElement - The target element of the pair
+	 * @param {string} attr - The attribute name
+	 * @param {*} defaultValue - Value if the attribute is not set
+	 * @returns {*} The attribute value or the default value
+	 */
+	function getPairAttribute(sourceElement, targetElement, attr, defaultValue) {
+		let sourceValue = sourceElement.getAttribute(attr);
+		if (sourceValue === 'target') {
+			return targetElement.getAttribute(attr) || defaultValue;
+		}
+		return sourceValue || defaultValue;
+	}
+
+	/**
+	 * Resolves the timing of a single element from its transition attributes.
+	 * @param {HTMLElement} element - The element with optional data-transition-delay/duration/ease
+	 * @param {number} duration - Total transition duration in seconds
+	 * @param {string} ease - Fallback ease
+	 * @returns {{delay: number, duration: number, ease: string}} The resolved timing
+	 */
+	function getElementTiming(element, duration, ease) {
+		const delayPercentage = element.getAttribute('data-transition-delay') || 0;
+		const durationPercentage = element.getAttribute('data-transition-duration') || 1;
+		const timing = calculateTimingValues(delayPercentage, durationPercentage, duration);
+		const easing = getEase(element.getAttribute('data-transition-ease') || ease);
+		// Springs extend the duration until they have settled
+		return { delay: timing.delay, duration: Math.max(timing.duration, getEaseDuration(easing)), ease: easing };
+	}
+
+	/**
+	 * Finds the layout matching a given layout, by name, then by dimensions and falling back to the first layout.
+	 * @param {Object[]} layouts - The layouts to search (from layoutsForSceneNamed)
+	 * @param {Object} layout - The layout to match
+	 * @returns {Object} The matching layout
+	 */
+	function findMatchingLayout(layouts, layout) {
+		// Find matching layout in priority order:
+		return (
+			// 1. Match by exact name
+			layouts.find(candidate => candidate.name === layout.name) || 
+			// 2. Match by dimensions
+			layouts.find(candidate => candidate.width === layout.width && candidate.height === layout.height) || 
+			// 3. Fallback to first layout
+			layouts[0]
+		);
+	}
+
+	/**
+	 * Gets the scene element of a layout using the scene index from layout._
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {Object} layout - The layout (from layoutsForSceneNamed)
+	 * @returns {HTMLElement|null} The scene element
+	 */
+	function getLayoutSceneElement(hypeDocument, layout) {
+		return document.querySelector(`#${hypeDocument.documentId()} > [hype_scene_index="${layout._}"]`);
+	}
+
+	/**
+	 * Gets the scene elements for a transition from the current scene to a target scene,
+	 * matching the target layout by name, then by dimensions and falling back to the first layout.
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {string} targetSceneName - Name of the target scene
+	 * @returns {{currentSceneElm: HTMLElement, targetSceneElm: HTMLElement}} The scene elements
+	 */
+	function getTransitionScenes(hypeDocument, targetSceneName) {
+		const currentSceneName = hypeDocument.currentSceneName();
+		const currentLayoutName = hypeDocument.currentLayoutName();
+
+		// Get current layout info
+		const currentLayouts = hypeDocument.layoutsForSceneNamed(currentSceneName);
+		const currentLayout = currentLayouts.find(layout => layout.name === currentLayoutName) || currentLayouts[0];
+
+		// Find matching target layout by name or dimensions
+		const targetLayout = findMatchingLayout(hypeDocument.layoutsForSceneNamed(targetSceneName), currentLayout);
+
+		return {
+			currentSceneElm: getLayoutSceneElement(hypeDocument, currentLayout),
+			targetSceneElm: getLayoutSceneElement(hypeDocument, targetLayout)
+		};
+	}
+
+	/**
+	 * Resolves a motion path into the offsets of two cubic bezier control points from their positions
+	 * on the straight line. A quadratic control point is elevated to two cubic control points.
+	 * @param {string} path - 'straight', 'arc', 'arc-cw' or 'arc-ccw' (optionally followed by a bend like 30%),
+	 *   a bend ('30%' is clockwise, '-30%' counterclockwise), a quadratic control point offset from the
+	 *   midpoint ('dx,dy') or two cubic control point offsets ('dx1,dy1 dx2,dy2') in pixels
+	 * @param {number} dx - Horizontal distance between the source and target position
+	 * @param {number} dy - Vertical distance between the source and target position
+	 * @returns {Object|null} Offsets x1, y1, x2, y2 or null for a straight path
+	 */
+	function getPathOffsets(path, dx, dy) {
+		const parts = String(path || 'straight').trim().toLowerCase().split(/\s+/);
+		const distance = Math.hypot(dx, dy);
+		const toFactor = (value) => value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+		let bend = null;
+		let direction = 1;
+
+		if (parts[0] === 'straight' || !distance) return null;
+
+		if (['arc', 'arc-cw', 'arc-ccw'].includes(parts[0])) {
+			// A plain arc bends upwards for horizontal movements
+			direction = parts[0] === 'arc-ccw' ? -1 : (parts[0] === 'arc-cw' || dx >= 0 ? 1 : -1);
+			bend = parts[1] !== undefined ? toFactor(parts[1]) : getDefault('pathBend');
+		} else if (parts.length === 1 && !parts[0].includes(',')) {
+			bend = toFactor(parts[0]);
+		} else {
+			const points = parts.map(part => part.split(',').map(value => parseFloat(value)));
+			if (points.length > 2 || points.some(point => point.length !== 2 || point.some(isNaN))) {
+				console.warn('HypeSceneMagic: Can not resolve transition path "' + path + '".');
+				return null;
+			}
+			if (points.length === 1) {
+				return { x1: points[0][0] * 2 / 3, y1: points[0][1] * 2 / 3, x2: points[0][0] * 2 / 3, y2: points[0][1] * 2 / 3 };
+			}
+			return { x1: points[0][0], y1: points[0][1], x2: points[1][0], y2: points[1][1] };
+		}
+
+		if (isNaN(bend)) {
+			console.warn('HypeSceneMagic: Can not resolve transition path "' + path + '".');
+			return null;
+		}
+
+		// The control point lies on the normal to the left of the direction of travel (clockwise on screen),
+		// twice as far as the peak deviation of the curve from the straight line
+		const offset = 2 * bend * direction * (2 / 3);
+		return { x1: dy * offset, y1: -dx * offset, x2: dy * offset, y2: -dx * offset };
+	}
+
+	/**
+	 * Offsets elements from their straight motion to follow a curved path using the CSS translate property,
+	 * which is applied on top of the tweened transform.
+	 * @param {HTMLElement[]} elements - The elements to offset
+	 * @param {Object} offsets - The control point offsets from getPathOffsets
+	 * @param {number} t - Eased progress of the motion between 0 and 1
+	 */
+	function setPathOffset(elements, offsets, t) {
+		// Difference between the cubic bezier and the straight line
+		const x = 3 * (1 - t) * (1 - t) * t * offsets.x1 + 3 * (1 - t) * t * t * offsets.x2;
+		const y = 3 * (1 - t) * (1 - t) * t * offsets.y1 + 3 * (1 - t) * t * t * offsets.y2;
+		elements.forEach(element => {
+			if (Math.abs(x) < 0.01 && Math.abs(y) < 0.01) {
+				element.style.removeProperty('translate');
+			} else {
+				element.style.translate = `${x}px ${y}px`;
+			}
+		});
+	}
+
+	// --- Scene Transition Styles ---
+	// Matrices are column-major arrays of 16 numbers, like the arguments of CSS matrix3d()
+
+	/**
+	 * Multiplies 4x4 matrices from left to right.
+	 * @param {...number[]} matrices - The matrices
+	 * @returns {number[]} The product
+	 */
+	function multiplyMatrices(...matrices) {
+		return matrices.reduce((a, b) => {
+			const result = new Array(16);
+			for (let col = 0; col < 4; col++) {
+				for (let row = 0; row < 4; row++) {
+					let sum = 0;
+					for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+					result[col * 4 + row] = sum;
+				}
+			}
+			return result;
+		});
+	}
+
+	/**
+	 * Creates a translation matrix.
+	 * @param {number} x - Horizontal translation in pixels
+	 * @param {number} y - Vertical translation in pixels
+	 * @param {number} [z=0] - Depth translation in pixels
+	 * @returns {number[]} The matrix
+	 */
+	function translateMatrix(x, y, z = 0) {
+		return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+	}
+
+	/**
+	 * Creates a 2D scale matrix.
+	 * @param {number} scaleX - The horizontal scale factor
+	 * @param {number} [scaleY=scaleX] - The vertical scale factor
+	 * @returns {number[]} The matrix
+	 */
+	function scaleMatrix(scaleX, scaleY = scaleX) {
+		return [scaleX, 0, 0, 0, 0, scaleY, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+	}
+
+	/**
+	 * Creates a rotation matrix around the x, y or z axis (same direction as CSS rotateX, rotateY and rotateZ).
+	 * @param {string} axis - Either 'x', 'y' or 'z'
+	 * @param {number} degrees - The angle in degrees
+	 * @returns {number[]} The matrix
+	 */
+	function rotateMatrix(axis, degrees) {
+		const c = Math.cos(degrees * Math.PI / 180);
+		const s = Math.sin(degrees * Math.PI / 180);
+		if (axis === 'z') return [c, s, 0, 0, -s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+		return axis === 'x'
+			? [1, 0, 0, 0, 0, c, s, 0, 0, -s, c, 0, 0, 0, 0, 1]
+			: [c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, 0, 1];
+	}
+
+	/**
+	 * Creates a rotation matrix around an arbitrary axis (same as CSS rotate3d()).
+	 * @param {number} x - X component of the axis
+	 * @param {number} y - Y component of the axis
+	 * @param {number} z - Z component of the axis
+	 * @param {number} degrees - The angle in degrees
+	 * @returns {number[]} The matrix
+	 */
+	function rotateAxisMatrix(x, y, z, degrees) {
+		const length = Math.hypot(x, y, z);
+		if (!length) return translateMatrix(0, 0);
+		[x, y, z] = [x / length, y / length, z / length];
+		const c = Math.cos(degrees * Math.PI / 180);
+		const s = Math.sin(degrees * Math.PI / 180);
+		const t = 1 - c;
+		return [
+			t * x * x + c, t * x * y + s * z, t * x * z - s * y, 0,
+			t * x * y - s * z, t * y * y + c, t * y * z + s * x, 0,
+			t * x * z + s * y, t * y * z - s * x, t * z * z + c, 0,
+			0, 0, 0, 1
+		];
+	}
+
+	/**
+	 * Converts a transform into a matrix. Supports all CSS transform functions, percentages are
+	 * resolved against the size of the element.
+	 * @param {string} transform - The transform value (e.g. 'translateX(10px) rotateZ(45deg) scaleX(2)')
+	 * @param {number} width - Width of the element (for percentages)
+	 * @param {number} height - Height of the element (for percentages)
+	 * @returns {number[]} The matrix
+	 */
+	function parseTransformMatrix(transform, width, height) {
+		const length = (value, size) => value !== undefined && value.trim().endsWith('%') ? parseFloat(value) / 100 * size : parseFloat(value) || 0;
+		const angle = value => {
+			const number = parseFloat(value) || 0;
+			if (value.includes('grad')) return number * 0.9;
+			if (value.includes('rad')) return number * 180 / Math.PI;
+			if (value.includes('turn')) return number * 360;
+			return number;
+		};
+		const skew = degrees => Math.tan(degrees * Math.PI / 180);
+		const matrices = [];
+		(transform || '').replace(/([a-zA-Z0-9]+)\(([^)]*)\)/g, (match, name, args) => {
+			const values = args.split(',');
+			const numbers = values.map(parseFloat);
+			switch (name) {
+				case 'translate': matrices.push(translateMatrix(length(values[0], width), length(values[1], height))); break;
+				case 'translate3d': matrices.push(translateMatrix(length(values[0], width), length(values[1], height), length(values[2], 0))); break;
+				case 'translateX': matrices.push(translateMatrix(length(values[0], width), 0)); break;
+				case 'translateY': matrices.push(translateMatrix(0, length(values[0], height))); break;
+				case 'translateZ': matrices.push(translateMatrix(0, 0, length(values[0], 0))); break;
+				case 'rotate': case 'rotateZ': matrices.push(rotateMatrix('z', angle(values[0]))); break;
+				case 'rotateX': matrices.push(rotateMatrix('x', angle(values[0]))); break;
+				case 'rotateY': matrices.push(rotateMatrix('y', angle(values[0]))); break;
+				case 'rotate3d': matrices.push(rotateAxisMatrix(numbers[0], numbers[1], numbers[2], angle(values[3] || '0'))); break;
+				case 'scale': matrices.push(scaleMatrix(numbers[0], isNaN(numbers[1]) ? numbers[0] : numbers[1])); break;
+				case 'scale3d': matrices.push(multiplyMatrices(scaleMatrix(numbers[0], numbers[1]), [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, numbers[2], 0, 0, 0, 0, 1])); break;
+				case 'scaleX': matrices.push(scaleMatrix(numbers[0], 1)); break;
+				case 'scaleY': matrices.push(scaleMatrix(1, numbers[0])); break;
+				case 'scaleZ': matrices.push([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, numbers[0], 0, 0, 0, 0, 1]); break;
+				case 'skew': matrices.push([1, skew(angle(values[1] || '0')), 0, 0, skew(angle(values[0])), 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]); break;
+				case 'skewX': matrices.push([1, 0, 0, 0, skew(angle(values[0])), 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]); break;
+				case 'skewY': matrices.push([1, skew(angle(values[0])), 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]); break;
+				case 'perspective': if (numbers[0]) matrices.push(perspectiveMatrix(numbers[0])); break;
+				case 'matrix': matrices.push([numbers[0], numbers[1], 0, 0, numbers[2], numbers[3], 0, 0, 0, 0, 1, 0, numbers[4], numbers[5], 0, 1]); break;
+				case 'matrix3d': if (numbers.length === 16) matrices.push(numbers); break;
+			}
+			return match;
+		});
+		return matrices.length ? multiplyMatrices(...matrices) : translateMatrix(0, 0);
+	}
+
+	/**
+	 * Creates a perspective matrix (same as CSS perspective()).
+	 * @param {number} distance - Distance of the viewer in pixels
+	 * @returns {number[]} The matrix
+	 */
+	function perspectiveMatrix(distance) {
+		return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, -1 / distance, 0, 0, 0, 1];
+	}
+
+	/**
+	 * Inverts a 4x4 matrix.
+	 * @param {number[]} m - The matrix
+	 * @returns {number[]|null} The inverse or null if the matrix is singular
+	 */
+	function invertMatrix(m) {
+		const inv = new Array(16);
+		inv[0] = m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+		inv[4] = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+		inv[8] = m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+		inv[12] = -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+		inv[1] = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+		inv[5] = m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+		inv[9] = -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+		inv[13] = m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+		inv[2] = m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6];
+		inv[6] = -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6];
+		inv[10] = m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5];
+		inv[14] = -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5];
+		inv[3] = -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6];
+		inv[7] = m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6];
+		inv[11] = -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] - m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5];
+		inv[15] = m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] + m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5];
+		const det = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+		if (Math.abs(det) < 1e-12) return null;
+		return inv.map(value => value / det);
+	}
+
+	/**
+	 * Inverts how a matrix maps the plane of an element (z = 0), including perspective. Children of
+	 * a transformed scene are flattened into its plane, so this exactly cancels the scene transform.
+	 * @param {number[]} m - The matrix
+	 * @returns {number[]|null} The inverse plane mapping as a 4x4 matrix or null if it is degenerate
+	 */
+	function invertPlaneMatrix(m) {
+		const [a, b, c, d, e, f, g, h, i] = [m[0], m[4], m[12], m[1], m[5], m[13], m[3], m[7], m[15]];
+		const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+		if (Math.abs(det) < 1e-9) return null;
+		return [
+			(e * i - f * h) / det, (f * g - d * i) / det, 0, (d * h - e * g) / det,
+			(c * h - b * i) / det, (a * i - c * g) / det, 0, (b * g - a * h) / det,
+			0, 0, 1, 0,
+			(b * f - c * e) / det, (c * d - a * f) / det, 0, (a * e - b * d) / det
+		];
+	}
+
+	// Scene transition styles. Each frame function gets the eased progress, the movement vector and the
+	// scene size, and returns the transforms of both scenes (around the scene center). Flags: fade keeps
+	// the crossfade of the target scene and directions lists the valid directions (the first two are the
+	// defaults for forward and back navigation).
+	const _sceneTransitions = {
+		push: {
+			frame: (p, [vx, vy], w, h) => ({
+				current: translateMatrix(vx * w * p, vy * h * p),
+				target: translateMatrix(vx * w * (p - 1), vy * h * (p - 1))
+			})
+		},
+		slide: {
+			frame: (p, [vx, vy], w, h) => ({
+				current: translateMatrix(vx * w * p / 3, vy * h * p / 3),
+				target: translateMatrix(vx * w * (p - 1), vy * h * (p - 1))
+			})
+		},
+		cover: {
+			frame: (p, [vx, vy], w, h) => ({
+				target: translateMatrix(vx * w * (p - 1), vy * h * (p - 1))
+			})
+		},
+		uncover: {
+			frame: (p, [vx, vy], w, h) => ({
+				current: translateMatrix(vx * w * p, vy * h * p)
+			})
+		},
+		zoom: {
+			fade: true,
+			directions: ['in', 'out'],
+			frame: (p, vector) => ({
+				current: scaleMatrix(1 + vector[2] * 0.5 * p),
+				target: scaleMatrix(1 - vector[2] * 0.5 * (1 - p))
+			})
+		},
+		cube: {
+			frame: (p, [vx, vy], w, h) => {
+				const axis = vx ? 'y' : 'x';
+				const depth = (vx ? w : h) / 2;
+				const angle = vx ? 90 * vx : -90 * vy;
+				const face = degrees => multiplyMatrices(perspectiveMatrix(Math.max(w, h) * 2), translateMatrix(0, 0, -depth), rotateMatrix(axis, degrees), translateMatrix(0, 0, depth));
+				return { current: face(angle * p), target: face(angle * (p - 1)) };
+			}
+		},
+		flip: {
+			frame: (p, [vx, vy], w, h) => {
+				const axis = vx ? 'y' : 'x';
+				const angle = vx ? 180 * vx : -180 * vy;
+				const face = degrees => multiplyMatrices(perspectiveMatrix(Math.max(w, h) * 2), rotateMatrix(axis, degrees));
+				return { current: face(angle * p), target: face(angle * (p - 1)) };
+			}
+		}
+	};
+
+	// Movement vectors of the scene transition directions (zoom uses the third component)
+	const _sceneTransitionVectors = {
+		left: [-1, 0, 0],
+		right: [1, 0, 0],
+		up: [0, -1, 0],
+		down: [0, 1, 0],
+		in: [0, 0, 1],
+		out: [0, 0, -1]
+	};
+
+	/**
+	 * Resolves a scene transition style.
+	 * @param {string|Object} sceneTransition - Style name optionally followed by a direction ('push left', 'cube up',
+	 *   'zoom out') or an object with style and direction
+	 * @param {string} direction - The navigation direction ('forward' or 'back') used for the default direction
+	 * @returns {Object|null} The resolved style with name, style, direction and vector or null for a crossfade
+	 */
+	function getSceneTransition(sceneTransition, direction) {
+		let name = sceneTransition;
+		let styleDirection;
+		if (sceneTransition && typeof sceneTransition === 'object') {
+			name = sceneTransition.style;
+			styleDirection = sceneTransition.direction;
+		} else if (typeof sceneTransition === 'string') {
+			[name, styleDirection] = sceneTransition.trim().toLowerCase().split(/\s+/);
+		}
+		if (!name || name === 'crossfade') return null;
+
+		const style = _sceneTransitions[name];
+		if (!style) {
+			console.warn('HypeSceneMagic: Unknown scene transition "' + name + '", using crossfade.');
+			return null;
+		}
+
+		const directions = style.directions || ['left', 'right', 'up', 'down'];
+		if (!directions.includes(styleDirection)) {
+			if (styleDirection) console.warn('HypeSceneMagic: Unknown direction "' + styleDirection + '" for scene transition "' + name + '".');
+			styleDirection = directions[direction === 'back' ? 1 : 0];
+		}
+		return { name, style, direction: styleDirection, vector: _sceneTransitionVectors[styleDirection] };
+	}
+
+	/**
+	 * Creates the renderer of a scene transition style. Matched elements are counter-transformed through
+	 * their HYPE_element_container, so they keep morphing in place while their scenes move.
+	 * @param {Object} sceneTransition - The resolved scene transition style
+	 * @param {HTMLElement} currentSceneElm - The current scene element
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @param {HTMLElement[]} matchedElements - Matched elements of both scenes
+	 * @param {number} sceneScale - Scale to convert measured distances into scene pixels
+	 * @returns {Object} Renderer with render and destroy functions
+	 */
+	function createSceneTransitionRenderer(sceneTransition, currentSceneElm, targetSceneElm, matchedElements, sceneScale) {
+		const width = currentSceneElm.offsetWidth;
+		const height = currentSceneElm.offsetHeight;
+		const center = translateMatrix(width / 2, height / 2);
+		const uncenter = translateMatrix(-width / 2, -height / 2);
+
+		// Only the outermost matched elements need a counter transform, nested ones move with them
+		const containers = matchedElements.filter(element =>
+			!matchedElements.some(other => other !== element && other.contains(element)) &&
+			element.parentElement && element.parentElement.classList.contains('HYPE_element_container')
+		).map(element => {
+			const container = element.parentElement;
+			const sceneElm = currentSceneElm.contains(container) ? currentSceneElm : targetSceneElm;
+			const sceneRect = sceneElm.getBoundingClientRect();
+			const rect = container.getBoundingClientRect();
+			return {
+				container,
+				side: sceneElm === currentSceneElm ? 'current' : 'target',
+				x: (rect.left - sceneRect.left) * sceneScale,
+				y: (rect.top - sceneRect.top) * sceneScale,
+				transform: container.style.transform,
+				transformOrigin: container.style.transformOrigin
+			};
+		});
+
+		return {
+			/**
+			 * Renders the scenes at an eased progress
+			 * @param {number} progress - Progress between 0 and 1
+			 */
+			render(progress) {
+				const frame = sceneTransition.style.frame(progress, sceneTransition.vector, width, height);
+				[['current', currentSceneElm], ['target', targetSceneElm]].forEach(([side, sceneElm]) => {
+					const matrix = frame[side] ? multiplyMatrices(center, frame[side], uncenter) : null;
+					if (matrix) {
+						sceneElm.style.setProperty('--scene-transform', `matrix3d(${matrix.join(',')})`);
+					} else {
+						sceneElm.style.removeProperty('--scene-transform');
+					}
+
+					const inverse = matrix && invertPlaneMatrix(matrix);
+					containers.filter(entry => entry.side === side).forEach(entry => {
+						// A degenerate scene (edge-on) is invisible, so its elements do not need a counter transform
+						if (!inverse) {
+							entry.container.style.transform = entry.transform;
+							return;
+						}
+						const counter = multiplyMatrices(translateMatrix(-entry.x, -entry.y), inverse, translateMatrix(entry.x, entry.y));
+						entry.container.style.transformOrigin = '0 0';
+						entry.container.style.transform = `matrix3d(${counter.join(',')})`;
+					});
+				});
+				targetSceneElm.style.setProperty('--scene-opacity', sceneTransition.style.fade ? progress : 1);
+			},
+
+			/** Removes the scene transforms and counter transforms */
+			destroy() {
+				currentSceneElm.style.removeProperty('--scene-transform');
+				targetSceneElm.style.removeProperty('--scene-transform');
+				containers.forEach(entry => {
+					entry.container.style.transform = entry.transform;
+					entry.container.style.transformOrigin = entry.transformOrigin;
+				});
+			}
+		};
+	}
+
+	// Reveal styles of the target scene. Each returns the clip-path for the eased progress, the resolved
+	// reveal, the origin and the scene size.
+	const _sceneReveals = {
+		wipe: (p, reveal, origin, w, h) => {
+			const [vx, vy] = reveal.vector;
+			const rest = (1 - p) * 100 + '%';
+			return `inset(${vy < 0 ? rest : 0} ${vx > 0 ? rest : 0} ${vy > 0 ? rest : 0} ${vx < 0 ? rest : 0})`;
+		},
+		circle: (p, reveal, origin, w, h) => {
+			const radius = Math.max(...getCornerDistances(origin, w, h, Math.hypot));
+			return `circle(${radius * p}px at ${origin.x}px ${origin.y}px)`;
+		},
+		diamond: (p, reveal, origin, w, h) => {
+			const distance = Math.max(...getCornerDistances(origin, w, h, (dx, dy) => Math.abs(dx) + Math.abs(dy))) * p;
+			return toPolygon([[origin.x, origin.y - distance], [origin.x + distance, origin.y], [origin.x, origin.y + distance], [origin.x - distance, origin.y]]);
+		},
+		blinds: (p, reveal, origin, w, h) => {
+			const [vx, vy] = reveal.vector;
+			const size = (vx ? w : h) / reveal.slats;
+			const points = [];
+			// Trace all slats in one polygon, connected along the scene edge (the connections have no area)
+			for (let i = 0; i < reveal.slats; i++) {
+				const start = (vx || vy) > 0 ? i * size : (i + 1 - p) * size;
+				const end = start + size * p;
+				points.push(...(vx ? [[start, h], [start, 0], [end, 0], [end, h]] : [[w, start], [0, start], [0, end], [w, end]]));
+			}
+			return toPolygon(points);
+		},
+		polygon: (p, reveal, origin, w, h) => {
+			// Scale the shape around the origin until its inner radius covers the farthest corner
+			const size = Math.max(...getCornerDistances(origin, w, h, Math.hypot)) / reveal.radius * p;
+			return toPolygon(reveal.points.map(([x, y]) => [origin.x + (x - 0.5) * size, origin.y + (y - 0.5) * size]));
+		}
+	};
+
+	/**
+	 * Gets the distances from an origin to the corners of a scene.
+	 * @param {{x: number, y: number}} origin - The origin
+	 * @param {number} width - Scene width
+	 * @param {number} height - Scene height
+	 * @param {Function} measure - Distance function of dx and dy
+	 * @returns {number[]} The four distances
+	 */
+	function getCornerDistances(origin, width, height, measure) {
+		return [[0, 0], [width, 0], [0, height], [width, height]].map(([x, y]) => measure(x - origin.x, y - origin.y));
+	}
+
+	/**
+	 * Converts points into a clip-path polygon.
+	 * @param {number[][]} points - The points in pixels
+	 * @returns {string} The polygon() value
+	 */
+	function toPolygon(points) {
+		return `polygon(${points.map(([x, y]) => `${x}px ${y}px`).join(', ')})`;
+	}
+
+	/**
+	 * Gets the smallest distance from the center of a unit shape to its edges.
+	 * @param {number[][]} points - The shape points between 0 and 1
+	 * @returns {number} The inner radius
+	 */
+	function getInnerRadius(points) {
+		return Math.min(...points.map((a, index) => {
+			const b = points[(index + 1) % points.length];
+			const dx = b[0] - a[0];
+			const dy = b[1] - a[1];
+			const t = Math.min(1, Math.max(0, ((0.5 - a[0]) * dx + (0.5 - a[1]) * dy) / (dx * dx + dy * dy || 1)));
+			return Math.hypot(a[0] + t * dx - 0.5, a[1] + t * dy - 0.5);
+		}));
+	}
+
+	/**
+	 * Resolves a reveal of the target scene.
+	 * @param {string|Object} reveal - 'wipe', 'circle' (or 'iris'), 'diamond' or 'blinds' optionally followed by a direction and
+	 *   a slat count ('wipe up', 'blinds 12 left'), a custom shape ('polygon(50% 0%, 100% 100%, 0% 100%)') or an object with
+	 *   style, direction, slats and points
+	 * @param {string} direction - The navigation direction ('forward' or 'back') used for the default direction
+	 * @returns {Object|null} The resolved reveal with name, direction, vector, slats and points or null for none
+	 */
+	function getSceneReveal(reveal, direction) {
+		if (!reveal || reveal === 'none') return null;
+		let config = reveal;
+		if (typeof reveal === 'string') {
+			const polygon = reveal.trim().match(/^polygon\((.*)\)$/i);
+			if (polygon) {
+				config = {
+					style: 'polygon',
+					points: polygon[1].split(',').map(point => point.trim().split(/\s+/).map(value => parseFloat(value) / (value.endsWith('%') ? 100 : 1)))
+				};
+			} else {
+				const tokens = reveal.trim().toLowerCase().split(/\s+/);
+				config = {
+					style: tokens[0],
+					direction: tokens.find(token => _sceneTransitionVectors[token]),
+					slats: parseInt(tokens.find(token => /^\d+$/.test(token)), 10)
+				};
+			}
+		}
+
+		const name = config.style === 'iris' ? 'circle' : config.style;
+		if (!_sceneReveals[name]) {
+			console.warn('HypeSceneMagic: Unknown reveal "' + config.style + '".');
+			return null;
+		}
+		const resolved = { name, style: _sceneReveals[name] };
+
+		if (name === 'wipe' || name === 'blinds') {
+			resolved.direction = ['left', 'right', 'up', 'down'].includes(config.direction) ? config.direction : (direction === 'back' ? 'right' : 'left');
+			resolved.vector = _sceneTransitionVectors[resolved.direction];
+			resolved.slats = config.slats > 0 ? config.slats : 8;
+		}
+
+		if (name === 'polygon') {
+			resolved.points = (config.points || []).filter(point => point.length === 2 && !point.some(isNaN));
+			if (resolved.points.length < 3) {
+				console.warn('HypeSceneMagic: A reveal polygon needs at least three points.');
+				return null;
+			}
+			resolved.radius = Math.max(getInnerRadius(resolved.points), 0.05);
+		}
+		return resolved;
+	}
+
+	/**
+	 * Gets the reveal option of a transition. The data-transition-reveal attribute of the target scene
+	 * takes precedence over the default, the reveal option over both.
+	 * @param {Object} options - The transition options
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @returns {string|Object|null} The reveal option
+	 */
+	function getRevealOption(options, targetSceneElm) {
+		if (options.reveal !== undefined) return options.reveal;
+		return targetSceneElm.getAttribute('data-transition-reveal') || getDefault('reveal');
+	}
+
+	/**
+	 * Gets a readable name of a resolved reveal (e.g. 'wipe left').
+	 * @param {Object|null} reveal - The resolved reveal
+	 * @returns {string|null} The name or null without a reveal
+	 */
+	function getRevealName(reveal) {
+		if (!reveal) return null;
+		return reveal.direction ? reveal.name + ' ' + reveal.direction : reveal.name;
+	}
+
+	/**
+	 * Creates the renderer of a reveal, which clips the target scene.
+	 * @param {Object} reveal - The resolved reveal
+	 * @param {HTMLElement} currentSceneElm - The current scene element (used to measure the origin)
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @param {string|Object|HTMLElement} origin - The reveal origin (see getSceneOrigin)
+	 * @returns {Object} Renderer with render and destroy functions
+	 */
+	function createRevealRenderer(reveal, currentSceneElm, targetSceneElm, origin) {
+		const width = currentSceneElm.offsetWidth;
+		const height = currentSceneElm.offsetHeight;
+		const point = getSceneOrigin(origin, currentSceneElm);
+
+		return {
+			/**
+			 * Renders the reveal at an eased progress
+			 * @param {number} progress - Progress between 0 and 1
+			 */
+			render(progress) {
+				targetSceneElm.style.setProperty('--scene-clip', reveal.style(progress, reveal, point, width, height));
+				targetSceneElm.style.setProperty('--scene-opacity', 1);
+			},
+
+			/** Removes the clip-path */
+			destroy() {
+				targetSceneElm.style.removeProperty('--scene-clip');
+			}
+		};
+	}
+
+	/**
+	 * Gets the element a transition expands from or collapses into. An element expands with the expandFrom option or
+	 * if it has data-transition-expand set to the target scene (the last clicked one wins). Navigating back from an
+	 * expanded scene collapses into the originating element, as does the collapseTo option.
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {Object} options - The transition options
+	 * @param {HTMLElement} currentSceneElm - The current scene element
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @param {string} targetSceneName - Name of the target scene
+	 * @returns {Object|null} The expand with name ('expand' or 'collapse') and element or null
+	 */
+	function getExpand(hypeDocument, options, currentSceneElm, targetSceneElm, targetSceneName) {
+		if (options.expandFrom === false) return null;
+		const toElement = value => typeof value === 'string' ? document.getElementById(value) : value;
+
+		const expandFrom = toElement(options.expandFrom);
+		if (expandFrom && currentSceneElm.contains(expandFrom)) return { name: 'expand', element: expandFrom };
+		const collapseTo = toElement(options.collapseTo);
+		if (collapseTo && targetSceneElm.contains(collapseTo)) return { name: 'collapse', element: collapseTo };
+
+		// Elements expanding into the target scene, preferring the last clicked one
+		const candidates = Array.from(currentSceneElm.querySelectorAll('[data-transition-expand]'))
+			.filter(element => element.getAttribute('data-transition-expand').trim() === targetSceneName);
+		if (candidates.length) {
+			const clicked = _lastPointer && candidates.find(element => element.contains(_lastPointer.target));
+			return { name: 'expand', element: clicked || candidates[0] };
+		}
+
+		// Collapse back into the element the current scene was expanded from
+		const expansion = getDocumentState(hypeDocument).expansion;
+		if (expansion && expansion.from === targetSceneName && expansion.to === hypeDocument.currentSceneName() && targetSceneElm.contains(expansion.element)) {
+			return { name: 'collapse', element: expansion.element };
+		}
+		const origin = Array.from(targetSceneElm.querySelectorAll('[data-transition-expand]'))
+			.find(element => element.getAttribute('data-transition-expand').trim() === hypeDocument.currentSceneName());
+		return origin ? { name: 'collapse', element: origin } : null;
+	}
+
+	/**
+	 * Gets the background color of a scene (white if it is transparent).
+	 * @param {HTMLElement} sceneElm - The scene element
+	 * @returns {string} The background color
+	 */
+	function getSceneBackground(sceneElm) {
+		const background = getComputedStyle(sceneElm).backgroundColor;
+		return !background || background === 'transparent' || background === 'rgba(0, 0, 0, 0)' ? 'rgb(255, 255, 255)' : background;
+	}
+
+	/**
+	 * Creates the renderer of an expand or collapse. A layer morphs between the bounds, radius and background of
+	 * the element and the full scene frame, while the content of the expanded scene is clipped to the layer and
+	 * fades in (expand) or out (collapse). The element itself is hidden meanwhile.
+	 * @param {Object} expand - The expand with name and element
+	 * @param {HTMLElement} currentSceneElm - The current scene element
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @param {number} sceneScale - Scale to convert measured distances into scene pixels
+	 * @returns {Object} Renderer with render and destroy functions
+	 */
+	function createExpandRenderer(expand, currentSceneElm, targetSceneElm, sceneScale) {
+		const collapse = expand.name === 'collapse';
+		const element = expand.element;
+		const width = currentSceneElm.offsetWidth;
+		const height = currentSceneElm.offsetHeight;
+
+		// The expanded scene is clipped to the layer, the layer lives in the scene of the element
+		const contentSceneElm = collapse ? currentSceneElm : targetSceneElm;
+		const layerSceneElm = collapse ? targetSceneElm : currentSceneElm;
+
+		const sceneRect = layerSceneElm.getBoundingClientRect();
+		const rect = element.getBoundingClientRect();
+		const elementStyle = getComputedStyle(element);
+		const elementBox = {
+			x: (rect.left - sceneRect.left) * sceneScale,
+			y: (rect.top - sceneRect.top) * sceneScale,
+			width: rect.width * sceneScale,
+			height: rect.height * sceneScale,
+			radius: parseFloat(elementStyle.borderTopLeftRadius) || 0,
+			background: elementStyle.backgroundColor || 'rgba(0, 0, 0, 0)'
+		};
+		const sceneBox = { x: 0, y: 0, width, height, radius: 0, background: getSceneBackground(contentSceneElm) };
+		const interpolate = gsap.utils.interpolate(collapse ? sceneBox : elementBox, collapse ? elementBox : sceneBox);
+
+		const layer = document.createElement('div');
+		layer.className = 'magicExpandLayer';
+		layerSceneElm.appendChild(layer);
+		const visibility = element.style.visibility;
+		element.style.visibility = 'hidden';
+
+		return {
+			/**
+			 * Renders the expand or collapse at an eased progress
+			 * @param {number} progress - Progress between 0 and 1
+			 */
+			render(progress) {
+				const box = interpolate(progress);
+				Object.assign(layer.style, {
+					left: box.x + 'px',
+					top: box.y + 'px',
+					width: box.width + 'px',
+					height: box.height + 'px',
+					borderRadius: box.radius + 'px',
+					backgroundColor: box.background
+				});
+				contentSceneElm.style.setProperty('--scene-clip', `inset(${box.y}px ${width - box.x - box.width}px ${height - box.y - box.height}px ${box.x}px round ${box.radius}px)`);
+
+				// The content fades in after the layer started growing and fades out before it stopped shrinking
+				const fade = collapse ? 1 - Math.min(1, progress / 0.75) : Math.max(0, (progress - 0.25) / 0.75);
+				contentSceneElm.style.setProperty('--scene-opacity', fade);
+				if (collapse) targetSceneElm.style.setProperty('--scene-opacity', 1);
+			},
+
+			/** Removes the layer and clip-path and shows the element again */
+			destroy() {
+				layer.remove();
+				element.style.visibility = visibility;
+				contentSceneElm.style.removeProperty('--scene-clip');
+				if (collapse) contentSceneElm.style.removeProperty('--scene-opacity');
+			}
+		};
+	}
+
+	// --- Morphable Properties ---
+	// Values are brought into matching structures (same functions, list lengths and units) so GSAP can
+	// interpolate them as complex strings. Values that can not be matched are left out of the tween.
+
+	const _filterIdentities = {
+		blur: 0, brightness: 1, contrast: 1, grayscale: 0, 'hue-rotate': 0,
+		invert: 0, opacity: 1, saturate: 1, sepia: 0, 'drop-shadow': null
+	};
+
+	/**
+	 * Splits a CSS value at a separator outside of parentheses.
+	 * @param {string} value - The value
+	 * @param {string} separator - Either ',' or ' ' (any whitespace)
+	 * @returns {string[]} The trimmed parts
+	 */
+	function splitValue(value, separator) {
+		const parts = [];
+		let depth = 0;
+		let part = '';
+		for (let char of String(value)) {
+			if (char === '(') depth++;
+			if (char === ')') depth--;
+			const split = depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator);
+			if (split) {
+				if (part.trim()) parts.push(part.trim());
+				part = '';
+			} else {
+				part += char;
+			}
+		}
+		if (part.trim()) parts.push(part.trim());
+		return parts;
+	}
+
+	/**
+	 * Parses a color into rgba components.
+	 * @param {string} value - The color (hex, rgb, rgba, hsl, hsla or a named color)
+	 * @returns {number[]|null} The components or null if the value is not a color
+	 */
+	function parseColor(value) {
+		if (!/^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.*\)|[a-z]+)$/i.test(value) || value === 'inset') return null;
+		const color = gsap.utils.splitColor(value);
+		// GSAP resolves unknown names to transparent white
+		if (color.length === 4 && !color[3] && !/^(transparent|#|(rgb|hsl)a)/i.test(value)) return null;
+		return color.length === 4 ? color : [...color, 1];
+	}
+
+	/**
+	 * Formats rgba components as a color.
+	 * @param {number[]} color - The components
+	 * @param {number} [alpha=1] - Factor for the alpha channel
+	 * @returns {string} The rgba() color
+	 */
+	function formatColor(color, alpha = 1) {
+		return `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${+(color[3] * alpha).toFixed(4)})`;
+	}
+
+	/**
+	 * Expands a box shorthand (one to four values) to four values.
+	 * @param {string} value - The value
+	 * @returns {string[]} The top, right, bottom and left values
+	 */
+	function expandBox(value) {
+		const [top, right = top, bottom = top, left = right] = splitValue(value, ' ');
+		return [top, right, bottom, left];
+	}
+
+	/**
+	 * Replaces all numbers of a value, so values that only differ in numbers can be detected.
+	 * @param {string} value - The value
+	 * @returns {string} The skeleton of the value
+	 */
+	function getValueSkeleton(value) {
+		return String(value).replace(/-?(\d+\.?\d*|\.\d+)(e-?\d+)?/g, '#');
+	}
+
+	/**
+	 * Parses a single shadow of box-shadow or drop-shadow().
+	 * @param {string} value - The shadow
+	 * @param {number[]} [currentColor] - Components of the element's color, used for shadows without a color
+	 * @returns {Object|null} The shadow or null if it uses other units than pixels
+	 */
+	function parseShadow(value, currentColor = [0, 0, 0, 1]) {
+		const shadow = { inset: false, lengths: [], color: null };
+		for (let token of splitValue(value, ' ')) {
+			if (token === 'inset') {
+				shadow.inset = true;
+			} else if (/^-?(\d+\.?\d*|\.\d+)(px)?$/.test(token)) {
+				shadow.lengths.push(parseFloat(token));
+			} else if (!shadow.color && token.toLowerCase() === 'currentcolor') {
+				shadow.color = currentColor;
+			} else if (!shadow.color && (shadow.color = parseColor(token))) {
+				continue;
+			} else {
+				return null;
+			}
+		}
+		if (shadow.lengths.length < 2) return null;
+		shadow.lengths = [...shadow.lengths, 0, 0].slice(0, 4);
+		shadow.color = shadow.color || currentColor;
+		return shadow;
+	}
+
+	/**
+	 * Formats a shadow.
+	 * @param {Object} shadow - The shadow from parseShadow
+	 * @param {number} [count=4] - Number of lengths (drop-shadow() has no spread)
+	 * @returns {string} The shadow
+	 */
+	function formatShadow(shadow, count = 4) {
+		return [formatColor(shadow.color), ...shadow.lengths.slice(0, count).map(length => length + 'px')].join(' ') + (shadow.inset ? ' inset' : '');
+	}
+
+	/**
+	 * Gets an invisible counterpart of a shadow, used to fade a shadow in or out.
+	 * @param {Object} shadow - The shadow from parseShadow
+	 * @returns {Object} The transparent shadow
+	 */
+	function getHiddenShadow(shadow) {
+		return { ...shadow, color: [...shadow.color.slice(0, 3), 0] };
+	}
+
+	/**
+	 * Matches two box-shadow lists, the shorter list is padded with transparent shadows.
+	 * @param {string} from - The start value
+	 * @param {string} to - The end value
+	 * @param {number[][]} [currentColors] - Colors of both elements for shadows without a color
+	 * @returns {string[]|null} The matched values or null if they can not be interpolated
+	 */
+	function matchShadows(from, to, currentColors = []) {
+		const parse = (value, currentColor) => value === 'none' ? [] : splitValue(value, ',').map(shadow => parseShadow(shadow, currentColor));
+		const fromShadows = parse(from, currentColors[0]);
+		const toShadows = parse(to, currentColors[1]);
+		if (fromShadows.includes(null) || toShadows.includes(null)) return null;
+		const result = [[], []];
+		for (let i = 0; i < Math.max(fromShadows.length, toShadows.length); i++) {
+			const a = fromShadows[i] || getHiddenShadow(toShadows[i]);
+			const b = toShadows[i] || getHiddenShadow(fromShadows[i]);
+			if (a.inset !== b.inset) return null;
+			result[0].push(formatShadow(a));
+			result[1].push(formatShadow(b));
+		}
+		return result.map(shadows => shadows.join(', '));
+	}
+
+	/**
+	 * Parses a filter function list.
+	 * @param {string} value - The filter value
+	 * @param {number[]} [currentColor] - Components of the element's color, used for drop shadows without a color
+	 * @returns {Object[]|null} Name and value of each function or null if the list can not be interpolated
+	 */
+	function parseFilters(value, currentColor) {
+		if (value === 'none') return [];
+		const filters = [];
+		for (let token of splitValue(value, ' ')) {
+			const match = token.match(/^([a-z-]+)\((.*)\)$/);
+			if (!match || !(match[1] in _filterIdentities) || filters.some(filter => filter.name === match[1])) return null;
+			const [, name, args] = match;
+			let filterValue;
+			if (name === 'drop-shadow') {
+				filterValue = parseShadow(args, currentColor);
+				if (!filterValue) return null;
+			} else if (name === 'hue-rotate') {
+				filterValue = parseFloat(args) * (args.includes('turn') ? 360 : args.includes('rad') ? 180 / Math.PI : 1) || 0;
+			} else {
+				filterValue = args.trim().endsWith('%') ? parseFloat(args) / 100 : parseFloat(args);
+				if (isNaN(filterValue)) return null;
+			}
+			filters.push({ name, value: filterValue });
+		}
+		return filters;
+	}
+
+	/**
+	 * Formats a filter function.
+	 * @param {Object} filter - Name and value from parseFilters
+	 * @returns {string} The filter function
+	 */
+	function formatFilter({ name, value }) {
+		if (name === 'drop-shadow') return `drop-shadow(${formatShadow(value, 3)})`;
+		if (name === 'blur') return `blur(${value}px)`;
+		if (name === 'hue-rotate') return `hue-rotate(${value}deg)`;
+		return `${name}(${value})`;
+	}
+
+	/**
+	 * Matches two filter lists. Functions missing on one side are added with their identity value
+	 * while keeping the order of both lists. If the shared functions are ordered differently, both
+	 * sides use the order of the end value.
+	 * @param {string} from - The start value
+	 * @param {string} to - The end value
+	 * @param {number[][]} [currentColors] - Colors of both elements for drop shadows without a color
+	 * @returns {string[]|null} The matched values or null if they can not be interpolated
+	 */
+	function matchFilters(from, to, currentColors = []) {
+		const fromFilters = parseFilters(from, currentColors[0]);
+		const toFilters = parseFilters(to, currentColors[1]);
+		if (!fromFilters || !toFilters) return null;
+
+		// Merge the names, shared functions need the same order on both sides
+		let names = [];
+		let index = 0;
+		for (let { name } of toFilters) {
+			const fromIndex = fromFilters.findIndex(filter => filter.name === name);
+			if (fromIndex === -1) {
+				names.push(name);
+			} else if (fromIndex < index) {
+				names = null;
+				break;
+			} else {
+				names.push(...fromFilters.slice(index, fromIndex + 1).map(filter => filter.name));
+				index = fromIndex + 1;
+			}
+		}
+		if (names) {
+			names.push(...fromFilters.slice(index).map(filter => filter.name));
+		} else {
+			names = [...toFilters, ...fromFilters.filter(filter => !toFilters.some(other => other.name === filter.name))].map(filter => filter.name);
+		}
+
+		const result = [[], []];
+		names.forEach(name => {
+			const a = fromFilters.find(filter => filter.name === name);
+			const b = toFilters.find(filter => filter.name === name);
+			const identity = filter => name === 'drop-shadow' ? { name, value: getHiddenShadow(filter.value) } : { name, value: _filterIdentities[name] };
+			result[0].push(formatFilter(a || identity(b)));
+			result[1].push(formatFilter(b || identity(a)));
+		});
+		return result.map(filters => filters.join(' ') || 'none');
+	}
+
+	/**
+	 * Matches two clip-path shapes of the same type. A missing clip-path is matched to an inset,
+	 * circle or ellipse that does not clip.
+	 * @param {string} from - The start value
+	 * @param {string} to - The end value
+	 * @returns {string[]|null} The matched values or null if they can not be interpolated
+	 */
+	function matchClipPaths(from, to) {
+		const normalize = (value, other) => {
+			const match = value.match(/^(inset|circle|ellipse|polygon)\((.*)\)$/);
+			if (value === 'none' && other) {
+				const [, shape, args] = other.match(/^(inset|circle|ellipse|polygon)\((.*)\)$/) || [];
+				const position = args && args.includes(' at ') ? ' at ' + args.split(' at ')[1] : '';
+				if (shape === 'inset') return other.replace(/-?(\d+\.?\d*|\.\d+)/g, '0');
+				if (shape === 'circle') return `circle(71%${position})`;
+				if (shape === 'ellipse') return `ellipse(71% 71%${position})`;
+				return null;
+			}
+			if (!match) return null;
+			if (match[1] !== 'inset') return value;
+			// Expand the insets and radii to four values each
+			const [insets, radius] = match[2].split(/\s+round\s+/);
+			return `inset(${expandBox(insets).join(' ')}${radius ? ' round ' + expandBox(radius).join(' ') : ''})`;
+		};
+		const fromShape = normalize(from, to !== 'none' && normalize(to));
+		const toShape = normalize(to, from !== 'none' && normalize(from));
+		if (!fromShape || !toShape || getValueSkeleton(fromShape) !== getValueSkeleton(toShape)) return null;
+		return [fromShape, toShape];
+	}
+
+	/**
+	 * Parses a linear, radial or conic gradient with color stops in percent.
+	 * @param {string} value - The background-image value
+	 * @returns {Object|null} Type, prelude and stops or null if the value is not a single gradient
+	 */
+	function parseGradient(value) {
+		const match = splitValue(value, ',').length === 1 && value.match(/^((?:repeating-)?(linear|radial|conic)-gradient)\((.*)\)$/);
+		if (!match) return null;
+		const args = splitValue(match[3], ',');
+		const stops = [];
+		let prelude = '';
+		if (args.length && !parseColor(splitValue(args[0], ' ')[0])) prelude = args.shift();
+		for (let arg of args) {
+			const [colorValue, ...positions] = splitValue(arg, ' ');
+			const color = parseColor(colorValue);
+			if (!color || positions.some(position => !/^-?[\d.]+%$/.test(position))) return null;
+			if (!positions.length) positions.push(null);
+			positions.forEach(position => stops.push({ color, position: position === null ? null : parseFloat(position) }));
+		}
+		if (stops.length < 2) return null;
+
+		// Resolve missing positions like the browser does
+		if (stops[0].position === null) stops[0].position = 0;
+		if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 100;
+		stops.forEach((stop, i) => {
+			if (stop.position !== null) return;
+			const next = stops.findIndex((candidate, j) => j > i && candidate.position !== null);
+			const previous = stops[i - 1].position;
+			stop.position = previous + (stops[next].position - previous) / (next - i + 1);
+		});
+
+		// Directions of linear gradients as angles
+		if (match[2] === 'linear') {
+			const sides = { top: 0, right: 90, bottom: 180, left: 270 };
+			if (!prelude) prelude = '180deg';
+			if (prelude.startsWith('to ') && prelude.split(' ').length === 2) prelude = sides[prelude.split(' ')[1]] + 'deg';
+			if (prelude.endsWith('turn')) prelude = parseFloat(prelude) * 360 + 'deg';
+		}
+		return { type: match[1], prelude, stops };
+	}
+
+	/**
+	 * Formats a gradient.
+	 * @param {Object} gradient - The gradient from parseGradient
+	 * @param {number|Function} [alpha=1] - Factor for the alpha channel of all stops, or a function returning it for a stop
+	 * @returns {string} The gradient
+	 */
+	function formatGradient({ type, prelude, stops }, alpha = 1) {
+		const parts = stops.map(stop => `${formatColor(stop.color, typeof alpha === 'function' ? alpha(stop) : alpha)} ${+stop.position.toFixed(4)}%`);
+		return `${type}(${[prelude, ...parts].filter(Boolean).join(', ')})`;
+	}
+
+	/**
+	 * Adds stops to a gradient without changing its appearance, each one splits the largest gap.
+	 * @param {Object} gradient - The gradient from parseGradient
+	 * @param {number} count - The number of stops needed
+	 */
+	function padGradientStops(gradient, count) {
+		const stops = gradient.stops;
+		while (stops.length < count) {
+			let index = 1;
+			for (let i = 1; i < stops.length; i++) {
+				if (stops[i].position - stops[i - 1].position > stops[index].position - stops[index - 1].position) index = i;
+			}
+			const [a, b] = [stops[index - 1], stops[index]];
+			stops.splice(index, 0, {
+				color: a.color.map((value, i) => value + (b.color[i] - value) / 2),
+				position: (a.position + b.position) / 2
+			});
+		}
+	}
+
+	/**
+	 * Matches two gradients of the same type and prelude, the one with fewer stops gets more.
+	 * @param {string} from - The start value
+	 * @param {string} to - The end value
+	 * @returns {string[]|null} The matched values or null if they can not be interpolated
+	 */
+	function matchGradients(from, to) {
+		const fromGradient = parseGradient(from);
+		const toGradient = parseGradient(to);
+		if (!fromGradient || !toGradient || fromGradient.type !== toGradient.type) return null;
+		if (getValueSkeleton(fromGradient.prelude) !== getValueSkeleton(toGradient.prelude)) return null;
+		const count = Math.max(fromGradient.stops.length, toGradient.stops.length);
+		padGradientStops(fromGradient, count);
+		padGradientStops(toGradient, count);
+		return [formatGradient(fromGradient), formatGradient(toGradient)];
+	}
+
+	/**
+	 * Gets the alpha of a gradient at a position along its gradient line.
+	 * @param {Object} gradient - The gradient from parseGradient
+	 * @param {number} position - Position in percent
+	 * @returns {number} The alpha between 0 and 1
+	 */
+	function getGradientAlpha({ stops }, position) {
+		const next = stops.findIndex(stop => stop.position >= position);
+		if (next <= 0) return stops[next === -1 ? stops.length - 1 : 0].color[3];
+		const [a, b] = [stops[next - 1], stops[next]];
+		return a.color[3] + (b.color[3] - a.color[3]) * ((position - a.position) / (b.position - a.position || 1));
+	}
+
+	/**
+	 * Creates a crossfade between two backgrounds that can not be interpolated. The end gradient is
+	 * layered over the start gradient and fades in with the progress. The start gradient fades out
+	 * by what the end gradient does not already cover, so the combined alpha does not dip midway.
+	 * @param {string} from - The start value (a gradient or none)
+	 * @param {string} to - The end value (a gradient or none)
+	 * @returns {Function|null} Function returning the background-image for a progress or null if
+	 *   one of the values is not a gradient
+	 */
+	function getGradientCrossfade(from, to) {
+		const fromGradient = from === 'none' ? null : parseGradient(from);
+		const toGradient = to === 'none' ? null : parseGradient(to);
+		if ((from !== 'none' && !fromGradient) || (to !== 'none' && !toGradient)) return null;
+		return t => {
+			if (t >= 1) return to;
+			if (t <= 0) return from;
+			// Over an opaque end layer the start layer stays opaque, without an end layer it fades out
+			const fromAlpha = stop => {
+				const covered = toGradient ? t * getGradientAlpha(toGradient, stop.position) : 0;
+				return (1 - t) / (1 - covered);
+			};
+			const layers = [toGradient && formatGradient(toGradient, t), fromGradient && formatGradient(fromGradient, fromAlpha)];
+			return layers.filter(Boolean).join(', ');
+		};
+	}
+
+	/**
+	 * Matches two values that only differ in their numbers (after resolving position keywords).
+	 * @param {string} from - The start value
+	 * @param {string} to - The end value
+	 * @returns {string[]|null} The values or null if they can not be interpolated
+	 */
+	function matchSkeletons(from, to) {
+		const keywords = { left: '0%', top: '0%', center: '50%', right: '100%', bottom: '100%' };
+		const resolve = value => splitValue(value, ' ').map(token => keywords[token] || token).join(' ');
+		[from, to] = [resolve(from), resolve(to)];
+		return getValueSkeleton(from) === getValueSkeleton(to) ? [from, to] : null;
+	}
+
+	/**
+	 * Matches two background positions after bringing each layer into the two value form
+	 * (e.g. center becomes 50% 50% and top left becomes 0% 0%).
+	 * @param {string} from - The start value
+	 * @param {string} to - The end value
+	 * @returns {string[]|null} The values or null if they can not be interpolated
+	 */
+	function matchPositions(from, to) {
+		const horizontal = { left: '0%', center: '50%', right: '100%' };
+		const vertical = { top: '0%', center: '50%', bottom: '100%' };
+		const normalize = value => splitValue(value, ',').map(layer => {
+			let [x, y = 'center', ...rest] = splitValue(layer, ' ');
+			if (rest.length) return layer;
+			// A single vertical keyword or a vertical keyword first swaps the values
+			if (x in vertical && !(x in horizontal) || y in horizontal && !(y in vertical)) [x, y] = [y, x];
+			return (horizontal[x] || x) + ' ' + (vertical[y] || y);
+		}).join(', ');
+		return matchSkeletons(normalize(from), normalize(to));
+	}
+
+	// Matching of morphable properties, each returns the matched values or null
+	const _morphMatchers = {
+		borderWidth: (from, to) => matchSkeletons(expandBox(from).join(' '), expandBox(to).join(' ')),
+		borderColor: (from, to) => {
+			const [fromColors, toColors] = [expandBox(from).map(parseColor), expandBox(to).map(parseColor)];
+			if (fromColors.includes(null) || toColors.includes(null)) return null;
+			return [fromColors.map(color => formatColor(color)).join(' '), toColors.map(color => formatColor(color)).join(' ')];
+		},
+		boxShadow: matchShadows,
+		filter: matchFilters,
+		backdropFilter: matchFilters,
+		clipPath: matchClipPaths,
+		backgroundImage: matchGradients,
+		backgroundPosition: matchPositions,
+		backgroundSize: matchSkeletons
+	};
+
+	/**
+	 * Brings the morphable properties of a pair into matching structures. Properties that are equal or
+	 * can not be interpolated are removed from both sides, so the elements keep their own values.
+	 * Gradients that can not be interpolated are crossfaded instead.
+	 * @param {Object} fromProperties - The start properties (modified)
+	 * @param {Object} toProperties - The end properties (modified)
+	 * @param {HTMLElement[]} [elements] - The source and target element, their colors replace currentColor in shadows
+	 * @returns {Function|null} The background crossfade from getGradientCrossfade if needed
+	 */
+	function matchMorphProperties(fromProperties, toProperties, elements = []) {
+		const currentColors = elements.map(element => parseColor(getComputedStyle(element).color) || undefined);
+		let crossfade = null;
+		for (let key in _morphMatchers) {
+			if (!(key in fromProperties) || !(key in toProperties)) continue;
+			const from = String(fromProperties[key]).trim();
+			const to = String(toProperties[key]).trim();
+			const matched = from !== to && _morphMatchers[key](from, to, currentColors);
+			if (matched) {
+				[fromProperties[key], toProperties[key]] = matched;
+				continue;
+			}
+			if (key === 'backgroundImage' && from !== to) crossfade = getGradientCrossfade(from, to);
+			delete fromProperties[key];
+			delete toProperties[key];
+		}
+		return crossfade;
+	}
+
+	// --- Vector Shape Morphing ---
+	// Paths are converted to cubic curves, subpaths and curves are added until both paths have the same
+	// structure, so the d attribute can be interpolated number by number.
+
+	/**
+	 * Converts an elliptical arc to cubic curves (SVG implementation notes, endpoint to center parameterization).
+	 * @param {number} x1 - Start x
+	 * @param {number} y1 - Start y
+	 * @param {number} rx - Radius x
+	 * @param {number} ry - Radius y
+	 * @param {number} angle - Rotation of the ellipse in degrees
+	 * @param {number} largeArc - Large arc flag
+	 * @param {number} sweep - Sweep flag
+	 * @param {number} x2 - End x
+	 * @param {number} y2 - End y
+	 * @returns {number[][]} The curves as [c1x, c1y, c2x, c2y, x, y]
+	 */
+	function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+		if (x1 === x2 && y1 === y2) return [];
+		rx = Math.abs(rx);
+		ry = Math.abs(ry);
+		if (!rx || !ry) return [[x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3, x1 + (x2 - x1) * 2 / 3, y1 + (y2 - y1) * 2 / 3, x2, y2]];
+		const cos = Math.cos(angle * Math.PI / 180);
+		const sin = Math.sin(angle * Math.PI / 180);
+		const dx = (x1 - x2) / 2;
+		const dy = (y1 - y2) / 2;
+		const x1p = cos * dx + sin * dy;
+		const y1p = -sin * dx + cos * dy;
+
+		// Scale up radii that are too small to reach the end point
+		const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+		if (lambda > 1) {
+			rx *= Math.sqrt(lambda);
+			ry *= Math.sqrt(lambda);
+		}
+		const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+		const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+		const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+		const cxp = coefficient * rx * y1p / ry;
+		const cyp = -coefficient * ry * x1p / rx;
+		const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+		const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+		const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+		const theta = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+		let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+		if (!sweep && delta > 0) delta -= 2 * Math.PI;
+		if (sweep && delta < 0) delta += 2 * Math.PI;
+
+		// One curve per quarter turn
+		const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+		const step = delta / count;
+		const k = 4 / 3 * Math.tan(step / 4);
+		const point = t => [cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos];
+		const tangent = t => [-rx * Math.sin(t) * cos - ry * Math.cos(t) * sin, -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos];
+		const curves = [];
+		for (let i = 0; i < count; i++) {
+			const [t1, t2] = [theta + i * step, theta + (i + 1) * step];
+			const [p1, p2, d1, d2] = [point(t1), point(t2), tangent(t1), tangent(t2)];
+			curves.push([p1[0] + k * d1[0], p1[1] + k * d1[1], p2[0] - k * d2[0], p2[1] - k * d2[1], p2[0], p2[1]]);
+		}
+		curves[count - 1].splice(4, 2, x2, y2);
+		return curves;
+	}
+
+	/**
+	 * Parses path data into subpaths of cubic curves.
+	 * @param {string} d - The path data
+	 * @returns {Object[]|null} Subpaths with start point, curves and closed flag or null if the data is invalid
+	 */
+	function parsePathData(d) {
+		const subpaths = [];
+		const numberExp = /[\s,]*(-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)/iy;
+		const flagExp = /[\s,]*([01])/y;
+		let position = 0;
+		let command = null;
+		let x = 0, y = 0;
+		let subpath = null;
+		let control = null;
+
+		const read = (expression = numberExp) => {
+			expression.lastIndex = position;
+			const match = expression.exec(d);
+			if (!match) throw new Error('Invalid path data');
+			position = expression.lastIndex;
+			return parseFloat(match[1]);
+		};
+		const curve = (c1x, c1y, c2x, c2y, ex, ey) => {
+			if (!subpath || subpath.closed) {
+				subpath = { start: [x, y], curves: [], closed: false };
+				subpaths.push(subpath);
+			}
+			subpath.curves.push([c1x, c1y, c2x, c2y, ex, ey]);
+			x = ex;
+			y = ey;
+		};
+		const line = (ex, ey) => curve(x + (ex - x) / 3, y + (ey - y) / 3, x + (ex - x) * 2 / 3, y + (ey - y) * 2 / 3, ex, ey);
+		const quadratic = (qx, qy, ex, ey) => curve(x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3, ex + (qx - ex) * 2 / 3, ey + (qy - ey) * 2 / 3, ex, ey);
+
+		try {
+			while (true) {
+				const rest = d.slice(position).match(/^[\s,]*([a-z])?/i);
+				if (!rest[1] && rest[0].length === d.length - position) break;
+				if (rest[1]) {
+					command = rest[1];
+					position += rest[0].length;
+				} else if (!command) {
+					return null;
+				}
+				const relative = command === command.toLowerCase();
+				const ox = relative ? x : 0;
+				const oy = relative ? y : 0;
+				let nextControl = null;
+
+				switch (command.toUpperCase()) {
+					case 'M':
+						x = ox + read();
+						y = oy + read();
+						subpath = { start: [x, y], curves: [], closed: false };
+						subpaths.push(subpath);
+						// Following coordinate pairs are lines
+						command = relative ? 'l' : 'L';
+						break;
+					case 'L': line(ox + read(), oy + read()); break;
+					case 'H': line(ox + read(), y); break;
+					case 'V': line(x, oy + read()); break;
+					case 'C': {
+						const values = [read(), read(), read(), read(), read(), read()];
+						curve(ox + values[0], oy + values[1], ox + values[2], oy + values[3], ox + values[4], oy + values[5]);
+						nextControl = ['C', ox + values[2], oy + values[3]];
+						break;
+					}
+					case 'S': {
+						const values = [read(), read(), read(), read()];
+						const reflected = control && control[0] === 'C' ? [2 * x - control[1], 2 * y - control[2]] : [x, y];
+						curve(reflected[0], reflected[1], ox + values[0], oy + values[1], ox + values[2], oy + values[3]);
+						nextControl = ['C', ox + values[0], oy + values[1]];
+						break;
+					}
+					case 'Q': {
+						const values = [read(), read(), read(), read()];
+						quadratic(ox + values[0], oy + values[1], ox + values[2], oy + values[3]);
+						nextControl = ['Q', ox + values[0], oy + values[1]];
+						break;
+					}
+					case 'T': {
+						const values = [read(), read()];
+						const reflected = control && control[0] === 'Q' ? [2 * x - control[1], 2 * y - control[2]] : [x, y];
+						quadratic(reflected[0], reflected[1], ox + values[0], oy + values[1]);
+						nextControl = ['Q', reflected[0], reflected[1]];
+						break;
+					}
+					case 'A': {
+						const [rx, ry, angle, largeArc, sweep] = [read(), read(), read(), read(flagExp), read(flagExp)];
+						arcToCubics(x, y, rx, ry, angle, largeArc, sweep, ox + read(), oy + read()).forEach(values => curve(...values));
+						break;
+					}
+					case 'Z':
+						if (subpath && !subpath.closed) {
+							if (x !== subpath.start[0] || y !== subpath.start[1]) line(...subpath.start);
+							subpath.closed = true;
+							[x, y] = subpath.start;
+						}
+						command = null;
+						break;
+					default:
+						return null;
+				}
+				control = nextControl;
+			}
+		} catch (error) {
+			return null;
+		}
+		return subpaths.length ? subpaths : null;
+	}
+
+	/**
+	 * Splits the longest curves of a subpath in half until it has the given number of curves.
+	 * @param {Object} subpath - The subpath from parsePathData
+	 * @param {number} count - The number of curves needed
+	 */
+	function splitSubpathCurves(subpath, count) {
+		const curves = subpath.curves;
+		const startOf = i => i ? curves[i - 1].slice(4) : subpath.start;
+		while (curves.length < count) {
+			let index = 0;
+			let longest = -1;
+			curves.forEach((curve, i) => {
+				const [sx, sy] = startOf(i);
+				const length = Math.hypot(curve[4] - sx, curve[5] - sy);
+				if (length > longest) [index, longest] = [i, length];
+			});
+			// De Casteljau at t = 0.5
+			const [x0, y0] = startOf(index);
+			const [x1, y1, x2, y2, x3, y3] = curves[index];
+			const mid = (a, b) => (a + b) / 2;
+			const [ax, ay, bx, by, cx, cy] = [mid(x0, x1), mid(y0, y1), mid(x1, x2), mid(y1, y2), mid(x2, x3), mid(y2, y3)];
+			const [dx, dy, ex, ey] = [mid(ax, bx), mid(ay, by), mid(bx, cx), mid(by, cy)];
+			const [fx, fy] = [mid(dx, ex), mid(dy, ey)];
+			curves.splice(index, 1, [ax, ay, dx, dy, fx, fy], [ex, ey, cx, cy, x3, y3]);
+		}
+	}
+
+	/**
+	 * Reverses the direction of a closed subpath.
+	 * @param {Object} subpath - The subpath
+	 * @returns {Object} The reversed subpath
+	 */
+	function reverseSubpath(subpath) {
+		const points = [subpath.start, ...subpath.curves.map(curve => curve.slice(4))];
+		const curves = subpath.curves.map((curve, i) => [curve[2], curve[3], curve[0], curve[1], ...points[i]]).reverse();
+		return { ...subpath, start: points[points.length - 1], curves };
+	}
+
+	/**
+	 * Rotates and reverses a closed subpath so its points are closest to another closed subpath.
+	 * @param {Object} subpath - The subpath to align
+	 * @param {Object} other - The subpath to align to (same number of curves)
+	 * @returns {Object} The aligned subpath
+	 */
+	function alignSubpath(subpath, other) {
+		let best = subpath;
+		let bestDistance = Infinity;
+		[subpath, reverseSubpath(subpath)].forEach(candidate => {
+			const count = candidate.curves.length;
+			for (let shift = 0; shift < count; shift++) {
+				let distance = 0;
+				for (let i = 0; i < count; i++) {
+					const curve = candidate.curves[(i + shift) % count];
+					distance += Math.hypot(curve[4] - other.curves[i][4], curve[5] - other.curves[i][5]);
+				}
+				if (distance < bestDistance) {
+					const curves = [...candidate.curves.slice(shift), ...candidate.curves.slice(0, shift)];
+					best = { ...candidate, start: curves[count - 1].slice(4), curves };
+					bestDistance = distance;
+				}
+			}
+		});
+		return best;
+	}
+
+	/**
+	 * Formats subpaths as path data.
+	 * @param {Object[]} subpaths - The subpaths
+	 * @param {boolean[]} closed - Closed flag per subpath
+	 * @returns {string} The path data
+	 */
+	function formatPathData(subpaths, closed) {
+		const round = value => +value.toFixed(3);
+		return subpaths.map((subpath, i) => 'M ' + subpath.start.map(round).join(' ') +
+			subpath.curves.map(curve => ' C ' + curve.map(round).join(' ')).join('') + (closed[i] ? ' Z' : '')).join(' ');
+	}
+
+	/**
+	 * Matches two paths, so they have the same number of subpaths and curves. A missing subpath
+	 * grows from the center of its counterpart.
+	 * @param {string} from - The start path data
+	 * @param {string} to - The end path data
+	 * @returns {string[]|null} The matched path data or null if a path can not be parsed
+	 */
+	function matchPathData(from, to) {
+		const fromPaths = parsePathData(from || '');
+		const toPaths = parsePathData(to || '');
+		if (!fromPaths || !toPaths) return null;
+		const collapse = subpath => {
+			const points = [subpath.start, ...subpath.curves.map(curve => curve.slice(4))];
+			const center = [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+			return { start: center, curves: subpath.curves.map(() => [...center, ...center, ...center]), closed: subpath.closed };
+		};
+		const result = [[], []];
+		const closed = [];
+		for (let i = 0; i < Math.max(fromPaths.length, toPaths.length); i++) {
+			let a = fromPaths[i] || collapse(toPaths[i]);
+			const b = toPaths[i] || collapse(fromPaths[i]);
+			const count = Math.max(a.curves.length, b.curves.length, 1);
+			[a, b].forEach(subpath => {
+				if (!subpath.curves.length) subpath.curves.push([...subpath.start, ...subpath.start, ...subpath.start]);
+				splitSubpathCurves(subpath, count);
+			});
+			if (a.closed && b.closed) a = alignSubpath(a, b);
+			result[0].push(a);
+			result[1].push(b);
+			closed.push(b.closed);
+		}
+		return result.map(subpaths => formatPathData(subpaths, closed));
+	}
+
+	/**
+	 * Gets the vector shape of an element, the svg element itself or an svg that is a direct child.
+	 * @param {Element} element - The element
+	 * @returns {Object|null} The svg and its path elements or null if the element has no vector shape
+	 */
+	function getVectorShape(element) {
+		const svg = element.tagName.toLowerCase() === 'svg' ? element : element.querySelector(':scope > svg');
+		const paths = svg ? Array.from(svg.querySelectorAll('path')) : [];
+		return paths.length ? { svg, paths } : null;
+	}
+
+	/**
+	 * Creates the morph of two vector shapes, the path data and the fill, stroke and stroke-width
+	 * attributes of their paths and the viewBox of their svg elements.
+	 * @param {Element} sourceElement - The source element
+	 * @param {Element} targetElement - The target element
+	 * @param {Element[]} elements - The elements showing the morph (the pair or the clone of a flight)
+	 * @returns {Object|null} The morph or null if the pair has no vector shapes
+	 */
+	function createShapeMorph(sourceElement, targetElement, elements) {
+		const fromShape = getVectorShape(sourceElement);
+		const toShape = getVectorShape(targetElement);
+		if (!fromShape || !toShape) return null;
+
+		// Interpolators per attribute, addressed by path index (-1 is the svg)
+		const interpolators = [];
+		const add = (index, name, from, to, match) => {
+			if (from === null || to === null || from === to) return;
+			const matched = match(from, to);
+			if (matched) interpolators.push({ index, name, from, to, interpolate: gsap.utils.interpolate(...matched) });
+		};
+		add(-1, 'viewBox', fromShape.svg.getAttribute('viewBox'), toShape.svg.getAttribute('viewBox'), matchSkeletons);
+		for (let i = 0; i < Math.min(fromShape.paths.length, toShape.paths.length); i++) {
+			const [fromPath, toPath] = [fromShape.paths[i], toShape.paths[i]];
+			add(i, 'd', fromPath.getAttribute('d'), toPath.getAttribute('d'), matchPathData);
+			add(i, 'stroke-width', fromPath.getAttribute('stroke-width'), toPath.getAttribute('stroke-width'), matchSkeletons);
+			['fill', 'stroke'].forEach(name => {
+				add(i, name, fromPath.getAttribute(name), toPath.getAttribute(name), (from, to) => {
+					const colors = [parseColor(from), parseColor(to)];
+					return colors.includes(null) ? null : colors.map(color => formatColor(color));
+				});
+			});
+		}
+		if (!interpolators.length) return null;
+
+		// Remember the attributes of all elements showing the morph
+		const originals = [];
+		const shapes = new Map(elements.map(element => [element, getVectorShape(element)]));
+		shapes.forEach(shape => shape && interpolators.forEach(({ index, name }) => {
+			const node = index === -1 ? shape.svg : shape.paths[index];
+			if (node) originals.push({ node, name, value: node.getAttribute(name) });
+		}));
+
+		return {
+			/**
+			 * Renders the morph, ending on the attributes of the target
+			 * @param {number} t - Progress between 0 and 1
+			 */
+			update(t) {
+				// Elements taken over by another pair are left out
+				elements.map(element => shapes.get(element)).filter(Boolean).forEach(shape => interpolators.forEach(({ index, name, from, to, interpolate }) => {
+					const node = index === -1 ? shape.svg : shape.paths[index];
+					if (node) node.setAttribute(name, t >= 1 ? to : t <= 0 ? from : interpolate(t));
+				}));
+			},
+
+			/** Restores the attributes of all elements */
+			restore() {
+				originals.forEach(({ node, name, value }) => {
+					if (value === null) {
+						node.removeAttribute(name);
+					} else {
+						node.setAttribute(name, value);
+					}
+				});
+			}
+		};
+	}
+
+	// --- Text Morphing ---
+
+	const _textModes = ['crossfade', 'scramble', 'typewriter', 'count'];
+	const _scrambleCharacters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+	const _numberExp = /-?\d+(?:,\d{3})*(?:\.\d+)?/g;
+
+	/**
+	 * Creates a counter between the numbers of two texts that only differ in their numbers.
+	 * @param {string} from - The start text
+	 * @param {string} to - The end text
+	 * @returns {Function|null} Function returning the text for a progress or null if the texts do not match
+	 */
+	function getTextCounter(from, to) {
+		const fromNumbers = from.match(_numberExp) || [];
+		const toNumbers = to.match(_numberExp) || [];
+		if (!toNumbers.length || from.replace(_numberExp, '#') !== to.replace(_numberExp, '#')) return null;
+		const parse = value => parseFloat(value.replace(/,/g, ''));
+		return t => {
+			let index = 0;
+			return to.replace(_numberExp, target => {
+				const start = parse(fromNumbers[index++]);
+				const value = start + (parse(target) - start) * t;
+				// Format like the end value
+				const decimals = (target.split('.')[1] || '').length;
+				const [integer, fraction] = Math.abs(value).toFixed(decimals).split('.');
+				const grouped = target.includes(',') ? integer.replace(/\B(?=(\d{3})+(?!\d))/g, ',') : integer;
+				return (value < 0 && parseFloat(value.toFixed(decimals)) !== 0 ? '-' : '') + grouped + (fraction ? '.' + fraction : '');
+			});
+		};
+	}
+
+	/**
+	 * Creates the text of a scramble, characters of the end text are revealed from left to right
+	 * while the rest shows random characters.
+	 * @param {string} from - The start text
+	 * @param {string} to - The end text
+	 * @returns {Function} Function returning the text for a progress
+	 */
+	function getTextScramble(from, to) {
+		return t => {
+			const length = Math.round(from.length + (to.length - from.length) * t);
+			const revealed = Math.floor(to.length * t);
+			let text = '';
+			for (let i = 0; i < length; i++) {
+				const char = i < revealed ? to[i] : (to[i] || from[i] || '');
+				text += i < revealed || /\s/.test(char) ? char : _scrambleCharacters[Math.floor(Math.random() * _scrambleCharacters.length)];
+			}
+			return text;
+		};
+	}
+
+	/**
+	 * Creates the text of a typewriter, deleting the start text back to the common prefix and typing the end text.
+	 * @param {string} from - The start text
+	 * @param {string} to - The end text
+	 * @returns {Function} Function returning the text for a progress
+	 */
+	function getTextTypewriter(from, to) {
+		let prefix = 0;
+		while (prefix < from.length && from[prefix] === to[prefix]) prefix++;
+		const deleted = from.length - prefix;
+		const steps = deleted + to.length - prefix;
+		return t => {
+			const step = Math.round(steps * t);
+			return step <= deleted ? from.slice(0, from.length - step) : to.slice(0, prefix + step - deleted);
+		};
+	}
+
+	/**
+	 * Creates the text morph of a matched pair. Crossfades show both contents as overlapping layers
+	 * inside the element, the other modes render plain text. Font properties stay on the element, so
+	 * their interpolation keeps working.
+	 * @param {string} mode - The text mode ('crossfade', 'scramble', 'typewriter' or 'count')
+	 * @param {HTMLElement} sourceElement - The source element
+	 * @param {HTMLElement} targetElement - The target element
+	 * @param {HTMLElement[]} elements - The elements showing the morph (the pair or the clone of a flight)
+	 * @returns {Object|null} The morph or null if the pair has no different text to morph
+	 */
+	function createTextMorph(mode, sourceElement, targetElement, elements) {
+		if (!_textModes.includes(mode)) return null;
+		const hasContent = element => element.querySelector('.HYPE_element, svg, img, video, iframe');
+		if (hasContent(sourceElement) || hasContent(targetElement)) return null;
+		const [fromHTML, toHTML] = [sourceElement.innerHTML, targetElement.innerHTML];
+		const [fromText, toText] = [sourceElement.textContent, targetElement.textContent];
+		if (fromHTML === toHTML) return null;
+
+		let getText = null;
+		if (mode === 'count') getText = getTextCounter(fromText, toText);
+		if (mode === 'scramble') getText = getTextScramble(fromText, toText);
+		if (mode === 'typewriter') getText = getTextTypewriter(fromText, toText);
+
+		// Crossfade layers per element (also the fallback for texts that can not be counted)
+		const layers = new Map();
+		const crossfade = (element, t) => {
+			let [fromLayer, toLayer] = layers.get(element) || [];
+			if (!fromLayer || fromLayer.parentNode.parentNode !== element) {
+				const wrapper = document.createElement('div');
+				wrapper.className = 'magicTextLayers';
+				wrapper.style.display = 'grid';
+				[fromLayer, toLayer] = [fromHTML, toHTML].map(html => {
+					const layer = document.createElement('div');
+					layer.style.gridArea = '1 / 1';
+					layer.innerHTML = html;
+					return wrapper.appendChild(layer);
+				});
+				element.replaceChildren(wrapper);
+				layers.set(element, [fromLayer, toLayer]);
+			}
+			fromLayer.style.opacity = 1 - t;
+			toLayer.style.opacity = t;
+		};
+
+		const originals = elements.map(element => ({ element, html: element.innerHTML }));
+		return {
+			mode: getText ? mode : 'crossfade',
+
+			/**
+			 * Renders the text, starting on the content of the source and ending on the content of the target
+			 * @param {number} t - Progress between 0 and 1
+			 */
+			update(t) {
+				elements.forEach(element => {
+					if (t <= 0 || t >= 1) {
+						const html = t <= 0 ? fromHTML : toHTML;
+						if (element.innerHTML !== html) element.innerHTML = html;
+					} else if (getText) {
+						const text = getText(t);
+						if (element.textContent !== text || element.children.length) element.textContent = text;
+					} else {
+						crossfade(element, t);
+					}
+				});
+			},
+
+			/** Restores the original content of all elements */
+			restore() {
+				originals.forEach(({ element, html }) => {
+					if (element.innerHTML !== html) element.innerHTML = html;
+				});
+			}
+		};
+	}
+
+	// --- State Hand-off ---
+
+	/**
+	 * Gets the elements of a matched element that match a selector, the element itself or its descendants.
+	 * @param {Element} element - The element
+	 * @param {string} selector - The selector
+	 * @returns {Element[]} The elements
+	 */
+	function getCarryElements(element, selector) {
+		return element.matches(selector) ? [element] : Array.from(element.querySelectorAll(selector));
+	}
+
+	/**
+	 * Calls a function for the elements of both sides matching a selector, paired in document order.
+	 * @param {Element} sourceElement - The source element
+	 * @param {Element} targetElement - The target element
+	 * @param {string} selector - The selector
+	 * @param {Function} callback - Called with each source and target element
+	 */
+	function forEachCarryPair(sourceElement, targetElement, selector, callback) {
+		const sources = getCarryElements(sourceElement, selector);
+		const targets = getCarryElements(targetElement, selector);
+		for (let i = 0; i < Math.min(sources.length, targets.length); i++) callback(sources[i], targets[i]);
+	}
+
+	// Built-in state hand-offs for data-transition-carry, each returns a function undoing it
+	const _carryHandlers = {
+		/** Playback position, play state, muting, volume and rate of video and audio (the source is paused) */
+		media(sourceElement, targetElement) {
+			const undos = [];
+			forEachCarryPair(sourceElement, targetElement, 'video, audio', (source, target) => {
+				const playing = !source.paused && !source.ended;
+				const previous = {
+					currentTime: target.currentTime,
+					paused: target.paused,
+					muted: target.muted,
+					volume: target.volume,
+					playbackRate: target.playbackRate
+				};
+				const play = media => {
+					const promise = media.play();
+					if (promise) promise.catch(() => {});
+				};
+				const apply = () => {
+					target.currentTime = source.currentTime;
+					if (playing) {
+						play(target);
+					} else {
+						target.pause();
+					}
+				};
+				target.muted = source.muted;
+				target.volume = source.volume;
+				target.playbackRate = source.playbackRate;
+				// The position can only be set once the metadata is known
+				if (target.readyState >= 1) {
+					apply();
+				} else {
+					target.addEventListener('loadedmetadata', apply, { once: true });
+				}
+				source.pause();
+
+				undos.push(() => {
+					target.removeEventListener('loadedmetadata', apply);
+					if (previous.paused) {
+						target.pause();
+					} else {
+						play(target);
+					}
+					if (target.readyState >= 1) target.currentTime = previous.currentTime;
+					target.muted = previous.muted;
+					target.volume = previous.volume;
+					target.playbackRate = previous.playbackRate;
+					if (playing) play(source);
+				});
+			});
+			return () => undos.forEach(undo => undo());
+		},
+
+		/** Values of inputs, text areas and selects */
+		value(sourceElement, targetElement) {
+			const undos = [];
+			forEachCarryPair(sourceElement, targetElement, 'input, textarea, select', (source, target) => {
+				if (source.type === 'file') return;
+				if (source.type === 'checkbox' || source.type === 'radio') {
+					const checked = target.checked;
+					target.checked = source.checked;
+					undos.push(() => target.checked = checked);
+				} else if (source.tagName.toLowerCase() === 'select') {
+					const selected = Array.from(target.options).map(option => option.selected);
+					Array.from(target.options).forEach((option, i) => option.selected = !!(source.options[i] && source.options[i].selected));
+					undos.push(() => Array.from(target.options).forEach((option, i) => option.selected = selected[i]));
+				} else {
+					const value = target.value;
+					target.value = source.value;
+					undos.push(() => target.value = value);
+				}
+			});
+			return () => undos.forEach(undo => undo());
+		},
+
+		/** Scroll offsets of the element and its descendants */
+		scroll(sourceElement, targetElement) {
+			const undos = [];
+			const sources = [sourceElement, ...sourceElement.querySelectorAll('*')];
+			const targets = [targetElement, ...targetElement.querySelectorAll('*')];
+			sources.forEach((source, i) => {
+				const target = targets[i];
+				if (!target || (!source.scrollTop && !source.scrollLeft)) return;
+				const { scrollTop, scrollLeft } = target;
+				target.scrollTop = source.scrollTop;
+				target.scrollLeft = source.scrollLeft;
+				undos.push(() => {
+					target.scrollTop = scrollTop;
+					target.scrollLeft = scrollLeft;
+				});
+			});
+			return () => undos.forEach(undo => undo());
+		},
+
+		/** Focus and text selection of a focused input or text area */
+		focus(sourceElement, targetElement) {
+			const active = document.activeElement;
+			if (!active || !sourceElement.contains(active)) return null;
+			const selector = active.matches('input, textarea, select, button, a[href], [tabindex], [contenteditable]') ? active.tagName.toLowerCase() : null;
+			if (!selector) return null;
+			const index = getCarryElements(sourceElement, selector).indexOf(active);
+			const target = getCarryElements(targetElement, selector)[index];
+			if (!target) return null;
+			const selection = typeof active.selectionStart === 'number' ? [active.selectionStart, active.selectionEnd, active.selectionDirection || 'none'] : null;
+			const select = element => {
+				try {
+					if (selection) element.setSelectionRange(...selection);
+				} catch (error) {
+					// Input types without a selection
+				}
+			};
+			target.focus({ preventScroll: true });
+			select(target);
+			return () => {
+				active.focus({ preventScroll: true });
+				select(active);
+			};
+		}
+	};
+
+	/**
+	 * Parses the states listed in data-transition-carry.
+	 * @param {string|null} value - The attribute value (comma or space separated)
+	 * @returns {string[]} The state names
+	 */
+	function parseCarry(value) {
+		return value ? String(value).toLowerCase().split(/[\s,]+/).filter(Boolean) : [];
+	}
+
+	/**
+	 * Carries the listed states from the source to the target element of a matched pair.
+	 * @param {Object} pair - The pair with its carry list
+	 * @param {Object} info - The transition info passed to custom handlers
+	 * @returns {Function[]} Functions undoing the hand-offs (returned by the handlers)
+	 */
+	function carryState(pair, info) {
+		const undos = [];
+		pair.carry.forEach(name => {
+			const handler = _carryHandlers[name] || _default.registeredCarryHandlers[name];
+			if (!handler) {
+				console.warn(`HypeSceneMagic: Unknown state "${name}" in data-transition-carry`);
+				return;
+			}
+			try {
+				const undo = handler(pair.source, pair.target, info);
+				if (typeof undo === 'function') undos.push(undo);
+			} catch (error) {
+				console.error(`HypeSceneMagic: Could not carry state "${name}"`, error);
+			}
+		});
+		return undos;
+	}
+
+	// --- Cross-Container Matching ---
+
+	/**
+	 * Gets the matrix mapping the box of an element into its scene, composed from the inline
+	 * left, top, transform and transform-origin of the element and all of its ancestors.
+	 * @param {HTMLElement} element - The element (the scene itself results in the identity)
+	 * @param {HTMLElement} sceneElm - The scene element
+	 * @returns {number[]} The matrix
+	 */
+	function getSceneMatrix(element, sceneElm) {
+		let matrix = translateMatrix(0, 0);
+		for (let el = element; el && el !== sceneElm; el = el.parentElement) {
+			const width = parseFloat(el.style.width) || 0;
+			const height = parseFloat(el.style.height) || 0;
+			const origin = (el.style.transformOrigin || '50% 50%').split(/\s+/);
+			const originX = origin[0].endsWith('%') ? parseFloat(origin[0]) / 100 * width : parseFloat(origin[0]) || 0;
+			const originY = (origin[1] || '50%').endsWith('%') ? parseFloat(origin[1] || 50) / 100 * height : parseFloat(origin[1]) || 0;
+			matrix = multiplyMatrices(
+				translateMatrix((parseFloat(el.style.left) || 0) + originX, (parseFloat(el.style.top) || 0) + originY),
+				parseTransformMatrix(el.style.transform, width, height),
+				translateMatrix(-originX, -originY),
+				matrix
+			);
+		}
+		return matrix;
+	}
+
+	/**
+	 * Gets the number of Hype groups an element is nested in.
+	 * @param {HTMLElement} element - The element
+	 * @param {HTMLElement} sceneElm - The scene element
+	 * @returns {number} The group depth
+	 */
+	function getGroupDepth(element, sceneElm) {
+		let depth = 0;
+		for (let el = element.parentElement; el && el !== sceneElm; el = el.parentElement) {
+			if (el.classList.contains('HYPE_element')) depth++;
+		}
+		return depth;
+	}
+
+	/**
+	 * Checks if the parent chains of a matched pair differ, so their local properties can not be interpolated.
+	 * This is the case if they are nested in a different number of groups or their parents are placed,
+	 * scaled or rotated differently within their scenes.
+	 * @param {HTMLElement} sourceElement - The source element
+	 * @param {HTMLElement} targetElement - The target element
+	 * @param {HTMLElement} currentSceneElm - The current scene element
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @returns {boolean} True if the parent chains differ
+	 */
+	function parentChainsDiffer(sourceElement, targetElement, currentSceneElm, targetSceneElm) {
+		if (getGroupDepth(sourceElement, currentSceneElm) !== getGroupDepth(targetElement, targetSceneElm)) return true;
+		const source = getSceneMatrix(sourceElement.parentElement, currentSceneElm);
+		const target = getSceneMatrix(targetElement.parentElement, targetSceneElm);
+		return [0, 1, 4, 5].some(index => Math.abs(source[index] - target[index]) > 0.001) ||
+			[12, 13].some(index => Math.abs(source[index] - target[index]) > 0.5);
+	}
+
+	/**
+	 * Gets the position, rotation and scale of an element in its scene, decomposed for a top-level
+	 * element with a centered transform origin (like the clones on the flying layer).
+	 * @param {HTMLElement} element - The element
+	 * @param {HTMLElement} sceneElm - The scene element
+	 * @returns {Object} The frame with x, y, rotation, scaleX and scaleY
+	 */
+	function getSceneFrame(element, sceneElm) {
+		const m = getSceneMatrix(element, sceneElm);
+		const originX = (parseFloat(element.style.width) || 0) / 2;
+		const originY = (parseFloat(element.style.height) || 0) / 2;
+		const scaleX = Math.hypot(m[0], m[1]);
+		return {
+			x: m[12] - originX + m[0] * originX + m[4] * originY,
+			y: m[13] - originY + m[1] * originX + m[5] * originY,
+			rotation: Math.atan2(m[1], m[0]) * 180 / Math.PI,
+			scaleX,
+			scaleY: scaleX ? (m[0] * m[5] - m[1] * m[4]) / scaleX : 1
+		};
+	}
+
+	/**
+	 * Creates a flight of a matched pair in different containers. A clone of the target element flies from the
+	 * frame of the source to the frame of the target on a layer above both scenes (so no group clips it), while
+	 * both real elements are hidden. Once the flight has landed it hands off to the target element.
+	 * @param {HTMLElement} layer - The flying layer
+	 * @param {HTMLElement} sourceElement - The source element
+	 * @param {HTMLElement} targetElement - The target element
+	 * @param {Object} fromFrame - Scene frame of the source element
+	 * @param {Object} toFrame - Scene frame of the target element
+	 * @returns {Object} The flight with clone, handoff and land functions
+	 */
+	function createFlight(layer, sourceElement, targetElement, fromFrame, toFrame) {
+		const clone = targetElement.cloneNode(true);
+		clone.removeAttribute('id');
+		clone.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+		clone.style.left = '0px';
+		clone.style.top = '0px';
+		clone.style.visibility = '';
+		layer.appendChild(clone);
+
+		const sourceVisibility = sourceElement.style.visibility;
+		const targetVisibility = targetElement.style.visibility;
+		sourceElement.style.visibility = 'hidden';
+		targetElement.style.visibility = 'hidden';
+
+		return {
+			clone,
+			from: { ...fromFrame, transformOrigin: '50% 50%' },
+			to: toFrame,
+
+			/**
+			 * Shows the target element instead of the clone once the flight has landed
+			 * @param {boolean} landed - If the flight has landed
+			 */
+			handoff(landed) {
+				clone.style.visibility = landed ? 'hidden' : '';
+				targetElement.style.visibility = landed ? targetVisibility : 'hidden';
+			},
+
+			/** Removes the clone and shows both elements again */
+			land() {
+				clone.remove();
+				sourceElement.style.visibility = sourceVisibility;
+				targetElement.style.visibility = targetVisibility;
+			}
+		};
+	}
+
+	// --- Split and Merge Matching ---
+
+	// Policies of data-transition-match for identifiers shared by several elements of one scene
+	const _matchPolicies = ['first', 'last', 'nearest', 'all'];
+
+	/**
+	 * Gets the match policy of elements sharing an identifier. The attribute can be set on any of them,
+	 * otherwise the matchPolicy default is used.
+	 * @param {HTMLElement[]} elements - The elements of both scenes sharing the identifier
+	 * @returns {string|null} The policy or null (the first source is used, a shared source follows the last target)
+	 */
+	function getMatchPolicy(elements) {
+		const carrier = elements.find(el => el.hasAttribute('data-transition-match'));
+		const policy = carrier ? carrier.getAttribute('data-transition-match').trim().toLowerCase() : getDefault('matchPolicy');
+		return _matchPolicies.includes(policy) ? policy : null;
+	}
+
+	/**
+	 * Gets the center of an element in scene coordinates, including the transforms of the element and its parents.
+	 * @param {HTMLElement} element - The element
+	 * @param {HTMLElement} sceneElm - The scene element containing it
+	 * @returns {{x: number, y: number}} The center of the element
+	 */
+	function getSceneCenter(element, sceneElm) {
+		const m = getSceneMatrix(element, sceneElm);
+		const centerX = (parseFloat(element.style.width) || 0) / 2;
+		const centerY = (parseFloat(element.style.height) || 0) / 2;
+		return { x: m[0] * centerX + m[4] * centerY + m[12], y: m[1] * centerX + m[5] * centerY + m[13] };
+	}
+
+	/**
+	 * Finds the counterpart closest to an element, comparing their centers in scene coordinates.
+	 * @param {HTMLElement} element - The element
+	 * @param {HTMLElement} sceneElm - The scene element containing the element
+	 * @param {HTMLElement[]} counterparts - The elements of the other scene
+	 * @param {HTMLElement} counterpartSceneElm - The scene element containing the counterparts
+	 * @returns {HTMLElement} The nearest counterpart
+	 */
+	function findNearestElement(element, sceneElm, counterparts, counterpartSceneElm) {
+		const position = getSceneCenter(element, sceneElm);
+		let nearest = counterparts[0];
+		let nearestDistance = Infinity;
+		counterparts.forEach(counterpart => {
+			const { x, y } = getSceneCenter(counterpart, counterpartSceneElm);
+			const distance = Math.hypot(x - position.x, y - position.y);
+			if (distance < nearestDistance) {
+				nearest = counterpart;
+				nearestDistance = distance;
+			}
+		});
+		return nearest;
+	}
+
+	/**
+	 * Clones the shared element of a split or merge pair next to it (below it in the stacking order).
+	 * The clone shares the cached initial properties of the element and has no ids.
+	 * @param {HTMLElement} element - The shared element
+	 * @returns {HTMLElement} The clone
+	 */
+	function cloneMatchedElement(element) {
+		const clone = element.cloneNode(true);
+		clone.removeAttribute('id');
+		clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+		clone.classList.add('magicMatchClone');
+		clone.setAttribute('aria-hidden', 'true');
+		element.parentNode.insertBefore(clone, element);
+		if (_pristineElementCache.has(element)) _pristineElementCache.set(clone, _pristineElementCache.get(element));
+		return clone;
+	}
+
+	/**
+	 * Resolves a stagger configuration from a data-transition-stagger value or the stagger option.
+	 * @param {string|number|Object} stagger - Attribute value ("amount: 50%; order: position"), amount or object
+	 * @param {HTMLElement} [element] - The element the attribute belongs to (used in error reports)
+	 * @param {boolean} [quiet] - Skips the console report of errors
+	 * @returns {Object} Stagger configuration with amount, order, ease and origin
+	 */
+	function getStaggerConfig(stagger, element, quiet) {
+		let config = stagger;
+		if (typeof stagger === 'number' || (typeof stagger === 'string' && !stagger.includes(':'))) {
+			config = { amount: stagger };
+		} else if (typeof stagger === 'string') {
+			config = parseAnimation(stagger, element, quiet) || {};
+		}
+		return { ...getDefault('staggerDefaults'), ...config };
+	}
+
+	/**
+	 * Gets the center of an element in scene coordinates from its inline position and size.
+	 * Works for hidden scenes as it does not depend on the layout of the browser.
+	 * @param {HTMLElement} element - The element
+	 * @param {HTMLElement} sceneElm - The scene element containing it
+	 * @returns {{x: number, y: number}} The center of the element
+	 */
+	function getScenePosition(element, sceneElm) {
+		let x = (parseFloat(element.style.width) || 0) / 2;
+		let y = (parseFloat(element.style.height) || 0) / 2;
+		for (let el = element; el && el !== sceneElm; el = el.parentElement) {
+			x += parseFloat(el.style.left) || 0;
+			y += parseFloat(el.style.top) || 0;
+		}
+		return { x, y };
+	}
+
+	/**
+	 * Gets an origin (of a distance stagger or reveal) in scene coordinates.
+	 * @param {string|Object|HTMLElement} origin - 'click' (last pointer down, falls back to the center), 'element' (center of the
+	 *   last pointer down element), 'center', 'x,y', {x, y} or an element (its center)
+	 * @param {HTMLElement} sceneElm - The scene element the origin is in
+	 * @param {HTMLElement} [visibleSceneElm] - The visible scene element, a hidden scene (like the target scene
+	 *   before the transition) is placed where the visible scene is
+	 * @returns {{x: number, y: number}} The origin
+	 */
+	function getSceneOrigin(origin, sceneElm, visibleSceneElm) {
+		if (origin && typeof origin === 'object' && !(origin instanceof Element)) return origin;
+		if (typeof origin === 'string' && origin.includes(',')) {
+			const [x, y] = origin.split(',').map(value => parseFloat(value) || 0);
+			return { x, y };
+		}
+		const measuredElm = sceneElm.getBoundingClientRect().width || !visibleSceneElm ? sceneElm : visibleSceneElm;
+		const rect = measuredElm.getBoundingClientRect();
+		const width = sceneElm.offsetWidth || parseFloat(sceneElm.style.width) || rect.width;
+		const height = sceneElm.offsetHeight || parseFloat(sceneElm.style.height) || rect.height;
+
+		// Get a point in the viewport
+		let point = null;
+		if (origin === 'click' && _lastPointer) {
+			point = _lastPointer;
+		} else if (origin instanceof Element || (origin === 'element' && _lastPointer && _lastPointer.target instanceof Element)) {
+			const element = origin instanceof Element ? origin : (_lastPointer.target.closest('.HYPE_element') || _lastPointer.target);
+			const elementRect = element.getBoundingClientRect();
+			point = { x: elementRect.left + elementRect.width / 2, y: elementRect.top + elementRect.height / 2 };
+		}
+
+		if (point && rect.width) {
+			// Convert from the viewport to the (possibly scaled) scene
+			return {
+				x: (point.x - rect.left) * ((measuredElm.offsetWidth || rect.width) / rect.width),
+				y: (point.y - rect.top) * ((measuredElm.offsetHeight || rect.height) / rect.height)
+			};
+		}
+		return { x: width / 2, y: height / 2 };
+	}
+
+	/**
+	 * Staggers the animated elements of a plan. Groups are the children of elements with
+	 * data-transition-stagger (the innermost wins) or, with the stagger option, all elements of a scene.
+	 * Matched pairs are grouped by their target element first and their source element second.
+	 * The stagger offset is added to the delay of each pair and animation.
+	 * @param {Object} plan - The transition plan
+	 * @param {HTMLElement} currentSceneElm - The current scene element
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @param {number} duration - Total transition duration in seconds
+	 * @param {string|number|Object} [stagger] - Stagger option applied to whole scenes
+	 * @param {boolean} [quiet] - Skips the console report of stagger parse errors
+	 */
+	function applyStagger(plan, currentSceneElm, targetSceneElm, duration, stagger, quiet) {
+		const groups = new Map();
+
+		const addMember = (entry, element, sceneElm) => {
+			const container = element.parentElement && element.parentElement.closest('[data-transition-stagger]');
+			const key = container && sceneElm.contains(container) ? container : (stagger ? sceneElm : null);
+			if (!key) return false;
+			if (!groups.has(key)) {
+				groups.set(key, {
+					config: key === sceneElm ? getStaggerConfig(stagger, null, quiet) : getStaggerConfig(key.getAttribute('data-transition-stagger'), key, quiet),
+					sceneElm,
+					members: []
+				});
+			}
+			groups.get(key).members.push({ entry, element });
+			return true;
+		};
+
+		plan.pairs.forEach(pair => {
+			if (!addMember(pair, pair.target, targetSceneElm)) addMember(pair, pair.source, currentSceneElm);
+		});
+		plan.animations.filter(entry => entry.data).forEach(entry => {
+			addMember(entry, entry.element, entry.side === 'target' ? targetSceneElm : currentSceneElm);
+		});
+
+		groups.forEach(({ config, sceneElm, members }) => {
+			const position = (member) => getScenePosition(member.element, sceneElm);
+
+			switch (config.order) {
+				case 'position':
+					// Reading order, top to bottom and left to right
+					members.forEach(member => member.position = position(member));
+					members.sort((a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x));
+					break;
+
+				case 'distance': {
+					// Members are measured in their own scene, so is the origin
+					const origin = getSceneOrigin(config.origin, sceneElm, currentSceneElm);
+					members.forEach(member => {
+						const { x, y } = position(member);
+						member.distance = Math.hypot(x - origin.x, y - origin.y);
+					});
+					members.sort((a, b) => a.distance - b.distance);
+					break;
+				}
+
+				case 'random':
+					for (let i = members.length - 1; i > 0; i--) {
+						const j = Math.floor(Math.random() * (i + 1));
+						[members[i], members[j]] = [members[j], members[i]];
+					}
+					break;
+
+				default:
+					// Document order
+					members.sort((a, b) => a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+			}
+
+			const amount = calculateTimingValues(config.amount, 0, duration).delay || 0;
+			const ease = gsap.parseEase(getEase(config.ease)) || gsap.parseEase('none');
+			members.forEach((member, i) => {
+				const offset = members.length > 1 ? amount * ease(i / (members.length - 1)) : 0;
+				member.entry.stagger = offset;
+				member.entry.delay += offset;
+			});
+		});
+	}
+
+	/**
+	 * Plans a transition between two scene elements without animating anything. Matches magic
+	 * elements into pairs, resolves fallback and non-magic animations and computes all timings.
+	 * @param {HTMLElement} currentSceneElm - The current scene element
+	 * @param {HTMLElement} targetSceneElm - The target scene element
+	 * @param {number} duration - Total transition duration in seconds
+	 * @param {string} [ease] - Default ease of the transition
+	 * @param {Object} [options] - Plan options
+	 * @param {string|number|Object} [options.stagger] - Stagger option applied to whole scenes
+	 * @param {string} [options.direction] - Navigation direction ('forward' or 'back') for directional animations
+	 * @param {boolean} [options.mirror] - Mirrors registered animations (used for backward navigation)
+	 * @param {boolean|string} [options.crossContainer] - Flies pairs on a layer above both scenes: true, false or 'auto'
+	 *   (if their parent chains differ)
+	 * @param {boolean} [options.quiet] - Skips the console reports of animation parse errors (used by validate)
+	 * @returns {Object} The plan with pairs, animations, unmatched elements, z-order changes and conflicts
+	 */
+	function buildTransitionPlan(currentSceneElm, targetSceneElm, duration, ease, options = {}) {
+		const plan = { pairs: [], animations: [], unmatched: [], zOrder: [], conflicts: [] };
+
+		// Get all magic elements (with identifiers) in target and source scenes
+		const indexCache = new Map();
+		const withIdentifiers = (elements) => elements
+			.map(element => ({ element, ids: getResolvedIdentifiers(element, indexCache) }))
+			.filter(entry => entry.ids.length > 0);
+		const targetMagic = withIdentifiers(queryMagicElements(targetSceneElm));
+		const sourceMagic = withIdentifiers(queryMagicElements(currentSceneElm));
+
+		// Adds a fallback or non-magic animation to the plan
+		const addAnimation = (element, side, magic) => {
+			const method = side === 'target' ? 'from' : 'to';
+			const animation = getAnimationAttribute(element, method, options.direction);
+			const entry = { element, side, method, magic, animation: animation || null, data: null, restore: side === 'source' || !magic };
+			if (animation) {
+				entry.data = getAnimationData(animation, element, options.mirror, options.quiet);
+				if (entry.data) Object.assign(entry, getElementTiming(element, duration, ease));
+			}
+			plan.animations.push(entry);
+		};
+
+		// Adds a matched pair to the plan with its resolved timing and options
+		const addPair = ({ element: sourceElement, ids: sourceIds }, { element: targetElement, ids: targetIds }) => {
+			const delayPercentage = getPairAttribute(sourceElement, targetElement, 'data-transition-delay', 0);
+			const durationPercentage = getPairAttribute(sourceElement, targetElement, 'data-transition-duration', 1);
+			const timing = calculateTimingValues(delayPercentage, durationPercentage, duration);
+			const pairEase = getEase(getPairAttribute(sourceElement, targetElement, 'data-transition-ease', ease));
+			const order = getPairAttribute(sourceElement, targetElement, 'data-transition-order', null);
+			const path = getPairAttribute(sourceElement, targetElement, 'data-transition-path', getDefault('transitionPath'));
+			const text = getPairAttribute(sourceElement, targetElement, 'data-transition-text', getDefault('transitionText'));
+			const carry = parseCarry(getPairAttribute(sourceElement, targetElement, 'data-transition-carry', getDefault('transitionCarry')));
+			const crossContainer = options.crossContainer !== undefined ? options.crossContainer : getDefault('crossContainer');
+
+			plan.pairs.push({
+				source: sourceElement,
+				target: targetElement,
+				identifiers: getSharedIdentifiers(targetIds, sourceIds),
+				delay: timing.delay,
+				// Springs extend the duration until they have settled
+				duration: Math.max(timing.duration, getEaseDuration(pairEase)),
+				ease: pairEase,
+				order,
+				path,
+				text: _textModes.includes(text) ? text : null,
+				carry,
+				crossContainer: crossContainer === 'auto' ? parentChainsDiffer(sourceElement, targetElement, currentSceneElm, targetSceneElm) : !!crossContainer,
+				split: false,
+				merge: false
+			});
+		};
+
+		// Find the matching elements in the source scene for all targets
+		const targetCandidates = targetMagic.map(target => ({
+			...target,
+			candidates: sourceMagic.filter(source => getSharedIdentifiers(target.ids, source.ids).length > 0)
+		}));
+
+		// Sources left out by a match policy and the elements sharing the policy of a target
+		const droppedSources = new Set();
+		const policyElements = new Map();
+
+		// Handle elements in target scene that are also in source scene
+		targetCandidates.forEach(target => {
+			const { element: targetElement, candidates } = target;
+			if (candidates.length === 0) return;
+
+			// Several sources are resolved by the match policy, without a policy the first one wins
+			let chosen = [candidates[0]];
+			if (candidates.length > 1) {
+				// Targets with the same sources share the policy
+				const siblings = targetCandidates.filter(other => other.candidates.length === candidates.length &&
+					other.candidates.every((candidate, i) => candidate === candidates[i]));
+				policyElements.set(targetElement, [...siblings, ...candidates].map(entry => entry.element));
+				const policy = getMatchPolicy(policyElements.get(targetElement));
+				if (policy === 'last') {
+					chosen = [candidates[candidates.length - 1]];
+				} else if (policy === 'nearest') {
+					const nearest = findNearestElement(targetElement, targetSceneElm, candidates.map(candidate => candidate.element), currentSceneElm);
+					chosen = candidates.filter(candidate => candidate.element === nearest);
+				} else if (policy === 'all') {
+					// Targets with the same sources are paired in order, the last one merges the remaining sources
+					const index = Math.min(siblings.indexOf(target), candidates.length - 1);
+					chosen = target === siblings[siblings.length - 1] ? candidates.slice(index) : [candidates[index]];
+				} else if (!policy) {
+					plan.conflicts.push({
+						type: 'multipleSources',
+						element: targetElement,
+						chosen: candidates[0].element,
+						candidates: candidates.map(candidate => candidate.element)
+					});
+				}
+				if (policy) candidates.forEach(candidate => {
+					if (!chosen.includes(candidate)) droppedSources.add(candidate.element);
+				});
+			}
+
+			chosen.forEach(source => addPair(source, target));
+		});
+
+		// Sources matched by more than one target are resolved by the match policy, without a policy they follow the last match
+		const pairsBySource = new Map();
+		plan.pairs.forEach(pair => {
+			if (!pairsBySource.has(pair.source)) pairsBySource.set(pair.source, []);
+			pairsBySource.get(pair.source).push(pair);
+		});
+		pairsBySource.forEach((pairs, sourceElement) => {
+			if (pairs.length < 2) return;
+			const targets = pairs.map(pair => pair.target);
+			const policy = getMatchPolicy([sourceElement, ...targets.flatMap(targetElement => policyElements.get(targetElement) || [targetElement])]);
+			if (policy === 'all') {
+				// The other targets split from clones of the source
+				pairs.slice(1).forEach(pair => pair.split = true);
+			} else if (policy) {
+				const kept = policy === 'last' ? pairs[pairs.length - 1] :
+					policy === 'nearest' ? pairs[targets.indexOf(findNearestElement(sourceElement, currentSceneElm, targets, targetSceneElm))] : pairs[0];
+				plan.pairs = plan.pairs.filter(pair => pair === kept || !pairs.includes(pair));
+			} else {
+				plan.conflicts.push({ type: 'sharedSource', element: sourceElement, chosen: targets[targets.length - 1], candidates: targets });
+			}
+		});
+
+		// A target merging several sources is animated by its first pair, the other pairs animate clones of it
+		const pairedTargets = new Set();
+		plan.pairs.forEach(pair => {
+			pair.merge = pairedTargets.has(pair.target);
+			pairedTargets.add(pair.target);
+
+			if (pair.order !== null && !pair.merge) {
+				const zIndexElement = findZIndexElement(pair.target);
+				plan.zOrder.push({ element: zIndexElement, order: pair.order, zIndex: determineZIndex(zIndexElement, pair.order) });
+			}
+		});
+
+		// Handle elements in target scene without a pair
+		targetMagic.forEach(({ element: targetElement, ids: targetIds }) => {
+			if (pairedTargets.has(targetElement)) return;
+			plan.unmatched.push({ element: targetElement, side: 'target', identifiers: targetIds });
+			// Only unmatched targets with an animation take part in the transition
+			if (getAnimationAttribute(targetElement, 'from', options.direction)) {
+				addAnimation(targetElement, 'target', true);
+			}
+		});
+
+		// Handle elements in source scene that aren't in target scene (or were left out by a match policy)
+		const pairedSources = new Set(plan.pairs.map(pair => pair.source));
+		sourceMagic.forEach(({ element: sourceElement, ids: sourceIds }) => {
+			if (pairedSources.has(sourceElement)) return;
+			const hasMatch = !droppedSources.has(sourceElement) && targetMagic.some(target => getSharedIdentifiers(target.ids, sourceIds).length > 0);
+			if (!hasMatch) {
+				plan.unmatched.push({ element: sourceElement, side: 'source', identifiers: sourceIds });
+				addAnimation(sourceElement, 'source', true);
+			}
+		});
+
+		// Get all elements with transition animations in both scenes (excluding magic elements)
+		const nonMagic = (sceneElm) => queryMagicElements(sceneElm, _animationSelector)
+			.filter(element => getResolvedIdentifiers(element, indexCache).length === 0);
+		nonMagic(targetSceneElm).forEach(element => addAnimation(element, 'target', false));
+		nonMagic(currentSceneElm).forEach(element => addAnimation(element, 'source', false));
+
+		// Non-magic elements only take part if they have an animation for their side
+		plan.animations = plan.animations.filter(entry => entry.magic || entry.animation);
+
+		// Spread the delays of staggered groups
+		applyStagger(plan, currentSceneElm, targetSceneElm, duration, options.stagger, options.quiet);
+
+		return plan;
+	}
+
+	/**
+	 * Describes an element in a serializable way.
+	 * @param {HTMLElement} element - The element to describe
+	 * @param {Map} [indexCache] - Cache for resolving index identifiers
+	 * @returns {{id: string|null, identifiers: string[]}} The element description
+	 */
+	function describeElement(element, indexCache) {
+		return { id: element.id || null, identifiers: getResolvedIdentifiers(element, indexCache) };
+	}
+
+	/**
+	 * Converts a transition plan into a serializable object (elements become descriptions).
+	 * @param {Object} plan - The transition plan
+	 * @returns {Object} The serializable plan
+	 */
+	function serializePlan(plan) {
+		const indexCache = new Map();
+		const describe = element => describeElement(element, indexCache);
+		return {
+			from: plan.from,
+			to: plan.to,
+			direction: plan.direction,
+			sceneTransition: plan.sceneTransition,
+			reveal: plan.reveal,
+			expand: plan.expand ? { mode: plan.expand.name, element: describe(plan.expand.element) } : null,
+			duration: plan.duration,
+			ease: plan.ease,
+			pairs: plan.pairs.map(pair => ({
+				...pair,
+				source: describe(pair.source),
+				target: describe(pair.target)
+			})),
+			animations: plan.animations.map(entry => ({
+				...entry,
+				element: describe(entry.element),
+				data: entry.data ? { ...entry.data } : null
+			})),
+			unmatched: plan.unmatched.map(entry => ({ ...entry, element: describe(entry.element) })),
+			zOrder: plan.zOrder.map(entry => ({ ...entry, element: describe(entry.element) })),
+			conflicts: plan.conflicts.map(conflict => ({
+				...conflict,
+				element: describe(conflict.element),
+				chosen: describe(conflict.chosen),
+				candidates: conflict.candidates.map(describe)
+			}))
+		};
+	}
+
+	/**
+	 * Plans a magic transition from the current scene to a target scene without animating anything (dry run).
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {string} targetSceneName - Name of the scene to transition to
+	 * @param {Object} [options] - Transition options
+	 * @param {number} [options.duration] - Duration of the transition in seconds
+	 * @param {string} [options.ease] - Easing function to use
+	 * @param {string|number|Object} [options.stagger] - Staggers the animated elements of both scenes
+	 * @param {string} [options.direction] - Navigation direction ('forward' or 'back'), inferred from the scene order if omitted
+	 * @param {boolean} [options.mirror] - Mirrors registered animations for backward navigation
+	 * @param {string|Object} [options.sceneTransition] - Scene transition style ('crossfade', 'push left', 'cube', ...)
+	 * @param {string|Object} [options.reveal] - Reveal of the target scene ('wipe', 'circle', 'diamond', 'blinds' or a polygon)
+	 * @param {HTMLElement|string|boolean} [options.expandFrom] - Element (or id) of the current scene to expand into the target scene
+	 * @param {HTMLElement|string} [options.collapseTo] - Element (or id) of the target scene to collapse the current scene into
+	 * @param {boolean|string} [options.crossContainer] - Flies matched pairs on a layer above both scenes (true, false or 'auto')
+	 * @returns {Object|null} Serializable transition plan or null if the target scene can not be used
+	 */
+	function planTransition(hypeDocument, targetSceneName, options = {}) {
+		const currentSceneName = hypeDocument.currentSceneName();
+		if (targetSceneName === currentSceneName || !hypeDocument.sceneNames().includes(targetSceneName)) {
+			console.warn('HypeSceneMagic: Can not plan a transition to "' + targetSceneName + '".');
+			return null;
+		}
+
+		const duration = options.duration || getDefault('durationTransition');
+		const { currentSceneElm, targetSceneElm } = getTransitionScenes(hypeDocument, targetSceneName);
+		const direction = getDirection(hypeDocument, targetSceneName, options.direction);
+		const mirror = direction === 'back' && (options.mirror !== undefined ? options.mirror : getDefault('mirrorBack'));
+		const plan = buildTransitionPlan(currentSceneElm, targetSceneElm, duration, options.ease, { stagger: options.stagger, direction, mirror, crossContainer: options.crossContainer });
+		const sceneTransition = getSceneTransition(options.sceneTransition !== undefined ? options.sceneTransition : getDefault('sceneTransition'), direction);
+		Object.assign(plan, { from: currentSceneName, to: targetSceneName, direction, duration, ease: getEase(options.ease) });
+		plan.sceneTransition = sceneTransition ? sceneTransition.name + ' ' + sceneTransition.direction : 'crossfade';
+		const expand = getExpand(hypeDocument, options, currentSceneElm, targetSceneElm, targetSceneName);
+		plan.reveal = expand ? null : getRevealName(getSceneReveal(getRevealOption(options, targetSceneElm), direction));
+		plan.expand = expand;
+		if (expand) plan.sceneTransition = 'crossfade';
+		return serializePlan(plan);
+	}
+
+	/**
+	 * Checks if a timing attribute value can be parsed by calculateTimingValues.
+	 * @param {string} value - Factor, percentage (with %) or time value (s/ms)
+	 * @returns {boolean} True if the value is valid
+	 */
+	function isValidTimingValue(value) {
+		return /^-?(\d+\.?\d*|\.\d+)(%|ms|s)?$/.test(value);
+	}
+
+	/**
+	 * Validates all scenes and layouts of a Hype document for magic transitions. Reports duplicate
+	 * and ambiguous identifiers, unmatched identifiers across adjacent scenes, unparseable timing values,
+	 * unknown registered animations and timings that run past the total duration.
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {Object} [options] - Validation options
+	 * @param {number} [options.duration] - Total transition duration in seconds used for timing checks
+	 * @param {boolean} [options.log=false] - Prints a formatted report to the console
+	 * @returns {Object} Result with valid flag, error, warning and info counts and the list of issues
+	 */
+	function validate(hypeDocument, options = {}) {
+		const duration = options.duration || getDefault('durationTransition');
+		const sceneNames = hypeDocument.sceneNames();
+		const issues = [];
+		const ids = (elements) => elements.map(element => element.id || null);
+		const addIssue = (type, severity, message, details) => issues.push({ type, severity, message, ...details });
+
+		sceneNames.forEach((sceneName, sceneIndex) => {
+			hypeDocument.layoutsForSceneNamed(sceneName).forEach(layout => {
+				const sceneElm = getLayoutSceneElement(hypeDocument, layout);
+				if (!sceneElm) return;
+				const context = { scene: sceneName, layout: layout.name };
+
+				// Duplicate identifiers within the scene layout
+				const identifierMap = new Map();
+				const indexCache = new Map();
+				queryMagicElements(sceneElm).forEach(element => {
+					getResolvedIdentifiers(element, indexCache).forEach(id => {
+						if (!identifierMap.has(id)) identifierMap.set(id, []);
+						identifierMap.get(id).push(element);
+					});
+				});
+				identifierMap.forEach((elements, id) => {
+					// Elements sharing an identifier on purpose have a match policy
+					if (elements.length > 1 && !getMatchPolicy(elements)) {
+						addIssue('duplicateIdentifier', 'warning', `Identifier "${id}" is used by ${elements.length} elements (the first one is used as source)`, {
+							...context, identifier: id, elements: ids(elements)
+						});
+					}
+				});
+
+				queryMagicElements(sceneElm, _magicSelector + ', ' + _animationSelector).forEach(element => {
+					const elementContext = { ...context, elements: ids([element]) };
+
+					// Unparseable timing values
+					let timingValid = true;
+					['data-transition-delay', 'data-transition-duration'].forEach(attr => {
+						const value = element.getAttribute(attr);
+						if (value === null || value === 'target') return;
+						if (!isValidTimingValue(value)) {
+							timingValid = false;
+							addIssue('invalidTiming', 'error', `${attr}="${value}" can not be parsed`, { ...elementContext, attribute: attr, value });
+						}
+					});
+
+					// Timings running past the total duration
+					const delayValue = element.getAttribute('data-transition-delay');
+					const durationValue = element.getAttribute('data-transition-duration');
+					if (timingValid && (delayValue || durationValue) && delayValue !== 'target' && durationValue !== 'target') {
+						const timing = calculateTimingValues(delayValue || 0, durationValue || 1, duration);
+						const end = timing.delay + timing.duration;
+						if (end > duration + 0.0001) {
+							addIssue('timingOverrun', 'warning', `Delay and duration end at ${+end.toFixed(3)}s, past the total duration of ${duration}s`, {
+								...elementContext, delay: timing.delay, duration: timing.duration
+							});
+						}
+					}
+
+					// Unknown text modes
+					const textMode = element.getAttribute('data-transition-text');
+					if (textMode && textMode !== 'target' && !_textModes.includes(textMode)) {
+						addIssue('unknownTextMode', 'error', `data-transition-text="${textMode}" is not a text mode (${_textModes.join(', ')})`, {
+							...elementContext, attribute: 'data-transition-text', value: textMode
+						});
+					}
+
+					// Unknown match policies
+					const matchPolicy = element.getAttribute('data-transition-match');
+					if (matchPolicy !== null && !_matchPolicies.includes(matchPolicy.trim().toLowerCase())) {
+						addIssue('unknownMatchPolicy', 'error', `data-transition-match="${matchPolicy}" is not a match policy (${_matchPolicies.join(', ')})`, {
+							...elementContext, attribute: 'data-transition-match', value: matchPolicy
+						});
+					}
+
+					// Unknown states to carry
+					parseCarry(element.getAttribute('data-transition-carry')).forEach(name => {
+						if (name === 'target' || _carryHandlers[name] || _default.registeredCarryHandlers[name]) return;
+						addIssue('unknownCarry', 'error', `data-transition-carry names "${name}", which is neither built in nor registered`, {
+							...elementContext, attribute: 'data-transition-carry', value: name
+						});
+					});
+
+					// Unknown registered animations and animation parse errors
+					_animationAttributes.forEach(attr => {
+						const value = element.getAttribute(attr);
+						if (!value) return;
+						if (!value.includes(':')) {
+							if (!getRegisteredAnimation(value)) {
+								addIssue('unknownAnimation', 'error', `${attr}="${value}" is not a registered animation`, { ...elementContext, attribute: attr, value });
+							}
+							return;
+						}
+						parseAnimationSource(value).errors.forEach(error => {
+							addIssue('invalidAnimation', 'error', `${attr}="${value}" at column ${error.column}: ${error.message}`, {
+								...elementContext, attribute: attr, value, column: error.column
+							});
+						});
+					});
+				});
+
+				// Ambiguous and unmatched identifiers across the transition to the next scene
+				const nextSceneName = sceneNames[sceneIndex + 1];
+				if (nextSceneName === undefined) return;
+				const nextSceneElm = getLayoutSceneElement(hypeDocument, findMatchingLayout(hypeDocument.layoutsForSceneNamed(nextSceneName), layout));
+				if (!nextSceneElm) return;
+				const plan = buildTransitionPlan(sceneElm, nextSceneElm, duration, undefined, { quiet: true });
+				const transitionContext = { ...context, to: nextSceneName };
+
+				plan.conflicts.forEach(conflict => {
+					const message = conflict.type === 'multipleSources' ?
+						`Target element matches ${conflict.candidates.length} source elements (the first one is used, set data-transition-match to choose)` :
+						`Source element is matched by ${conflict.candidates.length} target elements (the last match wins, set data-transition-match to choose)`;
+					addIssue('ambiguousMatch', 'warning', message, {
+						...transitionContext, conflict: conflict.type, elements: ids([conflict.element, ...conflict.candidates])
+					});
+				});
+
+				plan.unmatched.forEach(entry => {
+					const otherSceneName = entry.side === 'source' ? nextSceneName : sceneName;
+					addIssue('unmatchedIdentifier', 'info', `Identifier "${entry.identifiers.join(', ')}" has no match in scene "${otherSceneName}"`, {
+						...transitionContext, side: entry.side, identifier: entry.identifiers.join(', '), elements: ids([entry.element])
+					});
+				});
+			});
+		});
+
+		const count = (severity) => issues.filter(issue => issue.severity === severity).length;
+		const result = { valid: count('error') === 0, errors: count('error'), warnings: count('warning'), infos: count('info'), issues };
+
+		if (options.log) logValidationResult(result);
+		return result;
+	}
+
+	/**
+	 * Logs a formatted validation report to the console.
+	 * @param {Object} result - The result returned by validate
+	 */
+	function logValidationResult(result) {
+		const baseMessage = `%cHypeSceneMagic: %cValidation found ${result.errors} error(s), ${result.warnings} warning(s) and ${result.infos} info(s).`;
+		const baseStyles = ["font-weight: bold;", "font-weight: normal;"];
+
+		if (result.issues.length === 0) {
+			console.log(baseMessage, ...baseStyles);
+			return;
+		}
+
+		const lines = result.issues.map((issue, i) => {
+			const location = issue.to ? `${issue.scene} → ${issue.to}` : issue.scene;
+			return `${i+1}. [${issue.severity}] ${location} (${issue.layout}): ${issue.message} - ${issue.elements.filter(Boolean).join(', ') || 'no id'}`;
+		});
+
+		console[result.errors > 0 || result.warnings > 0 ? 'warn' : 'log'](
+			baseMessage + "\n\n%cIssues:\n%c" + lines.join('\n'),
+			...baseStyles,
+			"font-weight: bold; margin-top: 8px;",
+			"font-family: monospace; font-size: 11px; line-height: 1.8; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.1);"
+		);
+	}
+
+	/**
+	 * Logs a warning about an interrupted magic transition, including details about the elements involved.
+	 * @param {object} documentState - The state object for the current Hype document.
+	 */
+	function logInterruptedTransition(documentState) {
+		// inform the user that the transition was ended and why
+		const allTweens = documentState.masterTimeline.getChildren();
+		const interruptedElements = [];
+
+		allTweens.forEach(tween => {
+			if (tween.progress() !== 1 && tween._targets && Array.isArray(tween._targets)) {
+				tween._targets.forEach(target => {
+					if (target && target.id) {
+						const magicIds = getResolvedIdentifiers(target);
+						
+						// Check animation attributes
+						const animations = [
+							target.getAttribute('data-transition-animation') && `animation: ${target.getAttribute('data-transition-animation')}`,
+							target.getAttribute('data-transition-animation-from') && `animation-from: ${target.getAttribute('data-transition-animation-from')}`,
+							target.getAttribute('data-transition-animation-to') && `animation-to: ${target.getAttribute('data-transition-animation-to')}`
+						].filter(Boolean);
+						
+						// Build element info string
+						let elementInfo = `${target.id} (magic: ${magicIds.length > 0 ? magicIds.join(', ') : 'none'})`;
+						
+						const details = [
+							target.getAttribute('data-transition-delay') && `delay: ${target.getAttribute('data-transition-delay')}`,
+							target.getAttribute('data-transition-duration') && `duration: ${target.getAttribute('data-transition-duration')}`,
+							animations.length > 0 && animations.join(', ')
+						].filter(Boolean);
+						
+						if (details.length > 0) elementInfo += ` - ${details.join(', ')}`;
+						
+						interruptedElements.push(elementInfo);
+					}
+				});
+			}
 		});
 
 		const baseMessage = "%cHypeSceneMagic: %cPrevious magic transition was interrupted by a new one. This indicates overlapping magic transitions in your Hype document.";
@@ -380,11 +4071,358 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	}
 
 	/**
-	 * Main document load handler for Hype Scene Magic functionality
-	 * @param {Object} hypeDocument - The Hype document instance
-	 * @param {HTMLElement} element - The document element
-	 * @param {Event} event - The load event
+	 * Adds CSS styles for the debug overlay.
+	 * Creates a style element with id 'magicDebugStyle' if it doesn't already exist
+	 * and appends it to the document head.
+	 * @returns {void}
+	 */
+	function addDebugOverlayCSS() {
+		if (!document.getElementById('magicDebugStyle')) {
+			let style = document.createElement('style');
+			style.id = 'magicDebugStyle';
+			style.textContent = [
+				'.magicDebugOverlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 2147483647; pointer-events: none; font: 10px/1.4 monospace; }',
+				'.magicDebugOverlay svg { position: absolute; top: 0; left: 0; width: 100%; height: 100%; overflow: visible; }',
+				'.magicDebugOverlay text { font: 10px monospace; paint-order: stroke; stroke: rgba(0,0,0,0.7); stroke-width: 3px; }',
+				'.magicDebugPanel { position: absolute; left: 8px; bottom: 8px; width: 340px; max-height: 50%; overflow: auto; padding: 8px; border-radius: 4px; background: rgba(0,0,0,0.8); color: #fff; pointer-events: auto; }',
+				'.magicDebugSpeed { margin-bottom: 6px; }',
+				'.magicDebugSpeed button { margin-right: 4px; padding: 1px 6px; border: 1px solid rgba(255,255,255,0.3); border-radius: 3px; background: none; color: #fff; font: inherit; cursor: pointer; }',
+				'.magicDebugSpeed button.active { background: rgba(255,255,255,0.3); }',
+				'.magicDebugWaterfall { position: relative; }',
+				'.magicDebugRow { display: flex; align-items: center; height: 14px; }',
+				'.magicDebugLabel { width: 120px; flex: none; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }',
+				'.magicDebugTrack { position: relative; flex: 1; height: 8px; background: rgba(255,255,255,0.1); }',
+				'.magicDebugBar { position: absolute; top: 0; bottom: 0; min-width: 1px; }',
+				'.magicDebugPlayhead { position: absolute; top: 0; bottom: 0; width: 1px; background: #fff; }'
+			].join('');
+			document.head.appendChild(style);
+		}
+	}
+
+	/**
+	 * Collects all tweens of a timeline including nested timelines with their absolute start time.
+	 * @param {gsap.core.Timeline} timeline - The timeline to collect the tweens of
+	 * @param {number} [offset=0] - Start time of the timeline within its parent
+	 * @returns {Object[]} Tweens with their start and duration in seconds
+	 */
+	function getTimelineTweens(timeline, offset = 0) {
+		const tweens = [];
+		timeline.getChildren(false, true, true).forEach(child => {
+			const start = offset + child.startTime();
+			if (child instanceof gsap.core.Timeline) {
+				tweens.push(...getTimelineTweens(child, start));
+			} else {
+				tweens.push({ tween: child, start, duration: child.duration() });
+			}
+		});
+		return tweens;
+	}
+
+	/**
+	 * Creates the debug overlay for a transition. It draws lines from each source element to its matched
+	 * target and color-coded badges for matched, fallback-animated and unmatched elements. Must be created
+	 * while both scenes are visible and before the pair tweens render their start values.
+	 * @param {Object} plan - The transition plan
+	 * @returns {Object} Overlay with render, update and destroy functions
+	 */
+	function createDebugOverlay(plan) {
+		addDebugOverlayCSS();
+		const svgNS = 'http://www.w3.org/2000/svg';
+		const overlay = document.createElement('div');
+		overlay.className = 'magicDebugOverlay';
+		const svg = document.createElementNS(svgNS, 'svg');
+		overlay.appendChild(svg);
+
+		const addShape = (tag, attributes) => {
+			const shape = document.createElementNS(svgNS, tag);
+			Object.entries(attributes).forEach(([key, value]) => shape.setAttribute(key, value));
+			svg.appendChild(shape);
+			return shape;
+		};
+
+		const addBadge = (element, status, label) => {
+			const rect = element.getBoundingClientRect();
+			if (!rect.width && !rect.height) return;
+			addShape('rect', { x: rect.left, y: rect.top, width: rect.width, height: rect.height, fill: 'none', stroke: _debugColors[status], 'stroke-dasharray': '4 2' });
+			addShape('text', { x: rect.left + 2, y: rect.top - 3, fill: _debugColors[status] }).textContent = `${status}: ${label}`;
+		};
+
+		// Lines from each source element to its matched target
+		plan.pairs.forEach(pair => {
+			const sourceRect = pair.source.getBoundingClientRect();
+			const targetRect = pair.target.getBoundingClientRect();
+			const x1 = sourceRect.left + sourceRect.width / 2;
+			const y1 = sourceRect.top + sourceRect.height / 2;
+			const x2 = targetRect.left + targetRect.width / 2;
+			const y2 = targetRect.top + targetRect.height / 2;
+			addShape('line', { x1, y1, x2, y2, stroke: _debugColors.matched, 'stroke-width': 2 });
+			addShape('circle', { cx: x2, cy: y2, r: 3, fill: _debugColors.matched });
+			addBadge(pair.target, 'matched', pair.identifiers.join(', '));
+		});
+
+		// Badges for fallback-animated and unmatched elements
+		const animated = plan.animations.filter(entry => entry.data);
+		animated.forEach(entry => addBadge(entry.element, 'fallback', entry.animation));
+		plan.unmatched.forEach(entry => {
+			if (!animated.some(animation => animation.element === entry.element)) {
+				addBadge(entry.element, 'unmatched', entry.identifiers.join(', '));
+			}
+		});
+
+		const panel = document.createElement('div');
+		panel.className = 'magicDebugPanel';
+		overlay.appendChild(panel);
+		document.body.appendChild(overlay);
+
+		let playhead = null;
+
+		return {
+			/**
+			 * Renders the slow-motion control and the waterfall of all tweens of the timeline
+			 * @param {gsap.core.Timeline} timeline - The master timeline of the transition
+			 * @param {HTMLElement} targetSceneElm - The target scene element (its tween is the crossfade)
+			 */
+			render(timeline, targetSceneElm) {
+				const speed = document.createElement('div');
+				speed.className = 'magicDebugSpeed';
+				speed.textContent = 'Speed ';
+				[1, 0.5, 0.25, 0.1].forEach(timeScale => {
+					const button = document.createElement('button');
+					button.textContent = timeScale + 'x';
+					button.classList.toggle('active', timeScale === timeline.timeScale());
+					button.addEventListener('click', () => {
+						setDefault('debugTimeScale', timeScale);
+						timeline.timeScale(timeScale);
+						speed.querySelectorAll('button').forEach(other => other.classList.toggle('active', other === button));
+					});
+					speed.appendChild(button);
+				});
+				panel.appendChild(speed);
+
+				const waterfall = document.createElement('div');
+				waterfall.className = 'magicDebugWaterfall';
+				const total = timeline.duration() || 1;
+
+				const indexCache = new Map();
+				getTimelineTweens(timeline).forEach(({ tween, start, duration }) => {
+					const target = (tween.targets() || [])[0];
+					let label = 'minimum duration';
+					let status = 'other';
+					if (target === targetSceneElm) {
+						label = 'scene crossfade';
+					} else if (target && target.sceneTransition) {
+						label = 'scene ' + target.sceneTransition;
+					} else if (target && target.path) {
+						label = 'path: ' + target.path;
+						status = 'matched';
+					} else if (target && target.transform) {
+						label = 'transform: ' + target.transform;
+						status = 'matched';
+					} else if (target && target.backgroundImage) {
+						label = 'background crossfade';
+						status = 'matched';
+					} else if (target && target.shape) {
+						label = 'shape morph';
+						status = 'matched';
+					} else if (target && target.text) {
+						label = 'text: ' + target.text;
+						status = 'matched';
+					} else if (target instanceof Element) {
+						const identifiers = getResolvedIdentifiers(target, indexCache);
+						label = target.id || identifiers.join(', ') || target.className;
+						if (plan.pairs.some(pair => pair.source === target || pair.target === target)) {
+							status = 'matched';
+						} else if (plan.animations.some(entry => entry.element === target)) {
+							status = 'fallback';
+						}
+					}
+
+					const row = document.createElement('div');
+					row.className = 'magicDebugRow';
+					row.title = `${label}: delay ${+start.toFixed(3)}s, duration ${+duration.toFixed(3)}s`;
+					row.innerHTML = '<div class="magicDebugLabel"></div><div class="magicDebugTrack"><div class="magicDebugBar"></div></div>';
+					row.firstChild.textContent = label;
+					Object.assign(row.querySelector('.magicDebugBar').style, {
+						left: (start / total * 100) + '%',
+						width: (duration / total * 100) + '%',
+						background: _debugColors[status]
+					});
+					waterfall.appendChild(row);
+				});
+
+				playhead = document.createElement('div');
+				playhead.className = 'magicDebugPlayhead';
+				waterfall.appendChild(playhead);
+				panel.appendChild(waterfall);
+				this.update(timeline.progress());
+			},
+
+			/**
+			 * Moves the waterfall playhead
+			 * @param {number} progress - Progress of the transition between 0 and 1
+			 */
+			update(progress) {
+				if (playhead) playhead.style.left = `calc(120px + (100% - 120px) * ${progress})`;
+			},
+
+			/** Removes the overlay */
+			destroy() {
+				overlay.remove();
+			}
+		};
+	}
+
+	/**
+	 * Checks if a keyboard event matches a shortcut like 'alt+shift+d'.
+	 * @param {KeyboardEvent} event - The keyboard event
+	 * @param {string} shortcut - Modifiers (ctrl, alt, shift, meta) and a key joined by +
+	 * @returns {boolean} True if the event matches the shortcut
+	 */
+	function matchesShortcut(event, shortcut) {
+		if (!shortcut) return false;
+		const keys = shortcut.toLowerCase().split('+').map(key => key.trim());
+		const key = keys.pop();
+		if (['ctrl', 'alt', 'shift', 'meta'].some(modifier => keys.includes(modifier) !== event[modifier + 'Key'])) return false;
+		// Compare the physical key as modifiers like alt change the produced character on some platforms
+		return event.code === 'Key' + key.toUpperCase() || (event.key || '').toLowerCase() === key;
+	}
+
+	/**
+	 * Kills all tweens of the given targets that do not belong to the given timeline.
+	 * Keeps the tweens of a running magic transition intact so it can still be reversed or seeked.
+	 * @param {HTMLElement[]|NodeList} targets - The elements to kill tweens for
+	 * @param {gsap.core.Timeline} timeline - The timeline whose tweens should be kept
+	 */
+	function killForeignTweensOf(targets, timeline) {
+		gsap.getTweensOf(targets).forEach(tween => {
+			let parent = tween.parent;
+			while (parent && parent !== timeline) parent = parent.parent;
+			if (!parent) tween.kill();
+		});
+	}
+
+	/**
+	 * Subscribes a handler to a transition lifecycle event of all Hype documents.
+	 * @param {string} event - Event name: prepare, start, progress, pairStart, pairComplete, interrupt, end or cancel
+	 * @param {Function} handler - Called with the event payload
+	 */
+	function on(event, handler) {
+		if (typeof handler !== 'function') return;
+		(_eventHandlers[event] = _eventHandlers[event] || []).push(handler);
+	}
+
+	/**
+	 * Unsubscribes a handler from a transition lifecycle event.
+	 * @param {string} event - Event name
+	 * @param {Function} [handler] - Handler to remove. If not provided, removes all handlers of the event.
+	 */
+	function off(event, handler) {
+		if (!_eventHandlers[event]) return;
+		if (!handler) {
+			delete _eventHandlers[event];
+			return;
+		}
+		_eventHandlers[event] = _eventHandlers[event].filter(h => h !== handler);
+	}
+
+	/**
+	 * Emits a transition lifecycle event to the global handlers and as a DOM CustomEvent on the document element.
+	 * The DOM event name is the event name prefixed with magicTransition (e.g. magicTransitionPairStart).
+	 * @param {string} event - Event name
+	 * @param {HTMLElement} hypeDocElm - The Hype document element to dispatch the DOM event on
+	 * @param {Object} payload - Event payload
+	 */
+	function emitEvent(event, hypeDocElm, payload) {
+		const detail = { type: event, ...payload };
+		(_eventHandlers[event] || []).slice().forEach(handler => {
+			// A failing handler should never break the transition
+			try {
+				handler(detail);
+			} catch (error) {
+				console.error('HypeSceneMagic: Error in "' + event + '" event handler.', error);
+			}
+		});
+		hypeDocElm.dispatchEvent(new CustomEvent('magicTransition' + event.charAt(0).toUpperCase() + event.slice(1), { detail }));
+	}
+
+	/**
+	 * Creates the result object a transition promise settles with.
+	 * @param {string} status - Either 'completed', 'cancelled', 'interrupted', 'skipped' or 'ignored'
+	 * @param {string} from - Name of the source scene
+	 * @param {string} to - Name of the target scene
+	 * @param {Object} [details] - Additional result fields like reason, pairs and duration
+	 * @returns {Object} The transition result
+	 */
+	function createTransitionResult(status, from, to, details) {
+		return { status, from: from || null, to: to || null, reason: null, pairs: [], duration: 0, ...details };
+	}
+
+	/**
+	 * Makes a controller awaitable by delegating then/catch/finally to its finished promise.
+	 * @param {Object} controller - Controller with a finished promise
+	 * @returns {Object} The same controller
+	 */
+	function makeThenable(controller) {
+		controller.then = (onFulfilled, onRejected) => controller.finished.then(onFulfilled, onRejected);
+		controller.catch = (onRejected) => controller.finished.catch(onRejected);
+		controller.finally = (onFinally) => controller.finished.finally(onFinally);
+		return controller;
+	}
+
+	/**
+	 * Creates a controller for a transition that is not running, either because it was skipped
+	 * or because it waits for another transition to end.
+	 * @param {string} state - State of the controller (e.g. 'skipped', 'ignored', 'queued')
+	 * @param {string} from - Name of the source scene
+	 * @param {string} to - Name of the target scene
+	 * @param {Promise} finished - Promise that settles with the transition result
+	 * @returns {Object} An awaitable controller with no-op controls
 	 */
+	function createIdleController(state, from, to, finished) {
+		return makeThenable({
+			state,
+			from: from || null,
+			to: to || null,
+			timeline: null,
+			finished,
+			pause() { return this; },
+			resume() { return this; },
+			seek() { return this; },
+			reverse() { return this; },
+			cancel() { return this; },
+			progress() { return 0; }
+		});
+	}
+
+	/**
+	 * Creates an already settled controller for a transition that did not start.
+	 * @param {string} status - Either 'skipped' or 'ignored'
+	 * @param {string} from - Name of the source scene
+	 * @param {string} to - Name of the target scene
+	 * @param {string} reason - Why the transition did not start
+	 * @returns {Object} An awaitable controller resolving with the result
+	 */
+	function createSkippedController(status, from, to, reason) {
+		return createIdleController(status, from, to, Promise.resolve(createTransitionResult(status, from, to, { reason })));
+	}
+
+	/**
+	 * Creates the promise returned by applyAnimation. It resolves with the animation result and exposes
+	 * the GSAP tween as its tween property (and on the result), null if nothing is animated.
+	 * @param {Function|null} createTween - Receives the resolve function and returns the tween, null if nothing is animated
+	 * @param {Object} [result] - Result to resolve with right away if nothing is animated
+	 * @returns {Promise<Object>} The promise of the animation result
+	 */
+	function createAnimationPromise(createTween, result) {
+		let tween = null;
+		const finished = createTween
+			? new Promise(resolve => tween = createTween(resolve))
+			: Promise.resolve({ elements: [], duration: 0, ...result });
+		const promise = finished.then(animationResult => ({ ...animationResult, tween }));
+		promise.tween = tween;
+		return promise;
+	}
+
 	/**
 	 * Extracts and strips rotation properties from a CSS transform string.
 	 * @param {string} transform - The CSS transform string.
@@ -403,12 +4441,193 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	    return { rotations, transform: newTransform };
 	}
 
+	/**
+	 * Decomposes a matrix into perspective, translate, rotate (Euler angles in the order rotateX rotateY
+	 * rotateZ), skew and scale components, following the unmatrix algorithm of CSS Transforms Level 2.
+	 * @param {number[]} matrix - The matrix
+	 * @returns {Object|null} The components or null if the matrix can not be decomposed
+	 */
+	function decomposeMatrix(matrix) {
+		if (!matrix[15]) return null;
+		const m = matrix.map(value => value / matrix[15]);
+
+		// Solve the perspective partition against the matrix without it
+		const perspective = [0, 0, 0, 1];
+		if (m[3] || m[7] || m[11]) {
+			const inverse = invertMatrix([...m.slice(0, 3), 0, ...m.slice(4, 7), 0, ...m.slice(8, 11), 0, ...m.slice(12, 15), 1]);
+			if (!inverse) return null;
+			const rhs = [m[3], m[7], m[11], m[15]];
+			for (let i = 0; i < 4; i++) {
+				perspective[i] = inverse[i * 4] * rhs[0] + inverse[i * 4 + 1] * rhs[1] + inverse[i * 4 + 2] * rhs[2] + inverse[i * 4 + 3] * rhs[3];
+			}
+		}
+
+		const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+		const combine = (a, b, factor) => a.map((value, i) => value - b[i] * factor);
+		const normalize = (a, length) => a.map(value => value / length);
+
+		// Orthonormalize the rows while collecting scale and skew
+		let rows = [m.slice(0, 3), m.slice(4, 7), m.slice(8, 11)];
+		const scale = [0, 0, 0];
+		const skew = [0, 0, 0];
+		scale[0] = Math.hypot(...rows[0]);
+		if (!scale[0]) return null;
+		rows[0] = normalize(rows[0], scale[0]);
+		skew[0] = dot(rows[0], rows[1]);
+		rows[1] = combine(rows[1], rows[0], skew[0]);
+		scale[1] = Math.hypot(...rows[1]);
+		if (!scale[1]) return null;
+		rows[1] = normalize(rows[1], scale[1]);
+		skew[0] /= scale[1];
+		skew[1] = dot(rows[0], rows[2]);
+		rows[2] = combine(rows[2], rows[0], skew[1]);
+		skew[2] = dot(rows[1], rows[2]);
+		rows[2] = combine(rows[2], rows[1], skew[2]);
+		scale[2] = Math.hypot(...rows[2]);
+		if (!scale[2]) return null;
+		rows[2] = normalize(rows[2], scale[2]);
+		skew[1] /= scale[2];
+		skew[2] /= scale[2];
+
+		// A negative determinant flips the coordinate system
+		const cross = [
+			rows[1][1] * rows[2][2] - rows[1][2] * rows[2][1],
+			rows[1][2] * rows[2][0] - rows[1][0] * rows[2][2],
+			rows[1][0] * rows[2][1] - rows[1][1] * rows[2][0]
+		];
+		if (dot(rows[0], cross) < 0) {
+			for (let i = 0; i < 3; i++) {
+				scale[i] *= -1;
+				rows[i] = rows[i].map(value => -value);
+			}
+		}
+
+		// Each row is a column of the rotation matrix
+		const r = (row, col) => rows[col][row];
+		const degrees = radians => radians * 180 / Math.PI;
+		const rotate = [0, 0, 0];
+		rotate[1] = degrees(Math.asin(Math.max(-1, Math.min(1, r(0, 2)))));
+		if (Math.abs(r(0, 2)) < 0.999999) {
+			rotate[0] = degrees(Math.atan2(-r(1, 2), r(2, 2)));
+			rotate[2] = degrees(Math.atan2(-r(0, 1), r(0, 0)));
+		} else {
+			// Gimbal lock, attribute the whole rotation to the x axis
+			rotate[0] = degrees(Math.atan2(r(2, 1), r(1, 1)));
+		}
+
+		return { perspective, translate: [m[12], m[13], m[14]], rotate, skew, scale };
+	}
+
+	/**
+	 * Composes a matrix from the components returned by decomposeMatrix.
+	 * @param {Object} components - The components
+	 * @returns {number[]} The matrix
+	 */
+	function composeMatrix({ perspective, translate, rotate, skew, scale }) {
+		return multiplyMatrices(
+			[1, 0, 0, perspective[0], 0, 1, 0, perspective[1], 0, 0, 1, perspective[2], 0, 0, 0, perspective[3]],
+			translateMatrix(translate[0], translate[1], translate[2]),
+			rotateMatrix('x', rotate[0]),
+			rotateMatrix('y', rotate[1]),
+			rotateMatrix('z', rotate[2]),
+			[1, 0, 0, 0, skew[0], 1, 0, 0, skew[1], skew[2], 1, 0, 0, 0, 0, 1],
+			[scale[0], 0, 0, 0, 0, scale[1], 0, 0, 0, 0, scale[2], 0, 0, 0, 0, 1]
+		);
+	}
+
+	/**
+	 * Decomposes a transform string into components. Rotations written in the transform (or recovered
+	 * from the pristine cache) are used as hints, so multiple turns survive the decomposition.
+	 * @param {string} transform - The transform value
+	 * @param {HTMLElement} element - The element (for percentages)
+	 * @param {Object} [rotations] - Rotation values by key ('rotate', 'rotateX', 'rotateY', 'rotateZ')
+	 * @returns {Object|null} The components or null if the transform can not be decomposed
+	 */
+	function getTransformComponents(transform, element, rotations = {}) {
+		const width = element.offsetWidth || parseFloat(element.style.width) || 0;
+		const height = element.offsetHeight || parseFloat(element.style.height) || 0;
+		const components = decomposeMatrix(parseTransformMatrix(transform, width, height));
+		if (!components) return null;
+		const hints = [rotations.rotateX, rotations.rotateY, rotations.rotateZ !== undefined ? rotations.rotateZ : rotations.rotate];
+		hints.forEach((hint, axis) => {
+			if (hint === undefined) return;
+			const turns = Math.round(((parseFloat(hint) || 0) - components.rotate[axis]) / 360);
+			const angle = components.rotate[axis] + turns * 360;
+			if (Math.abs(angle - (parseFloat(hint) || 0)) < 0.01) components.rotate[axis] = angle;
+		});
+		return components;
+	}
+
+	/**
+	 * Interpolates two sets of transform components and returns the result as a matrix3d() value.
+	 * @param {Object} from - The start components
+	 * @param {Object} to - The end components
+	 * @param {number} t - Progress between 0 and 1
+	 * @returns {string} The transform value
+	 */
+	function interpolateTransform(from, to, t) {
+		const components = {};
+		for (let key in from) {
+			components[key] = from[key].map((value, i) => value + (to[key][i] - value) * t);
+		}
+		return 'matrix3d(' + composeMatrix(components).map(value => +value.toFixed(6)).join(', ') + ')';
+	}
+
+	/**
+	 * Resolves a magicCard navigation target to a scene name.
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {string} name - Navigation target ('>', '<', '>BaseName', '<BaseName' or 'SceneName')
+	 * @returns {string|null} The resolved scene name or null if it can not be resolved
+	 */
+	function resolveMagicCardTarget(hypeDocument, name) {
+		const sceneNames = hypeDocument.sceneNames();
+		const currentSceneName = hypeDocument.currentSceneName();
+		const currentIndex = sceneNames.indexOf(currentSceneName);
+		let targetSceneName = null;
+
+		if (name === '>' || name === '<') {
+			const step = name === '>' ? 1 : -1;
+			const targetIndex = (currentIndex + step + sceneNames.length) % sceneNames.length;
+			targetSceneName = sceneNames[targetIndex];
+
+		} else if (name.startsWith('>') || name.startsWith('<')) {
+			const direction = name.charAt(0);
+			const baseName = name.substring(1);
+			const step = direction === '>' ? 1 : -1;
+
+			for (let i = 1; i <= sceneNames.length; i++) {
+				const index = (currentIndex + (step * i) + sceneNames.length) % sceneNames.length;
+				if (sceneNames[index].startsWith(baseName)) {
+					targetSceneName = sceneNames[index];
+					break;
+				}
+			}
+
+			if (!targetSceneName) {
+				console.warn('HypeSceneMagic: Can not resolve target scene for "' + name + '".');
+			}
+
+		} else {
+			targetSceneName = name;
+		}
+
+		return targetSceneName;
+	}
+
+	/**
+	 * Main document load handler for Hype Scene Magic functionality
+	 * @param {Object} hypeDocument - The Hype document instance
+	 * @param {HTMLElement} element - The document element
+	 * @param {Event} event - The load event
+	 */
 	function HypeDocumentLoad(hypeDocument, element, event) {
 		const hypeDocElm = element;
 		addMagicTransitionCSS();
+		registerEases();
 
-		// Add registerAnimation to hypeDocument
+		// Add registerAnimation and registerCarryHandler to hypeDocument
 		hypeDocument.registerAnimation = registerAnimation;
+		hypeDocument.registerCarryHandler = registerCarryHandler;
 
 		/**
 		 * Shows a scene with magic transition effects
@@ -420,91 +4639,171 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		 * @param {Function} [options.onTransitionStart] - Called before transition starts
 		 * @param {Function} [options.onTransitionProgress] - Called during transition with progress (0-1)
 		 * @param {Function} [options.onTransitionEnd] - Called after transition completes
+		 * @param {Function} [options.onTransitionCancel] - Called after a cancelled or fully reversed transition was reverted
+		 * @param {boolean} [options.paused] - Builds the transition without playing it (use the controller to drive it)
+		 * @param {string} [options.interrupt] - Policy if a transition is running: 'finish', 'retarget', 'queue' or 'ignore'
+		 * @param {string|number|Object} [options.stagger] - Staggers the animated elements of both scenes (amount, order, ease, origin)
+		 * @param {string} [options.direction] - Navigation direction ('forward' or 'back'), inferred from the scene order if omitted
+		 * @param {boolean} [options.mirror] - Mirrors registered animations for backward navigation (defaults to mirrorBack)
+		 * @param {string|Object} [options.sceneTransition] - Scene transition style: 'crossfade', 'push', 'slide', 'cover', 'uncover',
+		 *   'zoom', 'cube' or 'flip', optionally followed by a direction ('push right', 'zoom out') or as object with style and direction
+		 * @param {string|Object} [options.reveal] - Reveals the target scene instead of fading it in: 'wipe', 'circle', 'diamond' or 'blinds'
+		 *   (optionally with a direction and slat count like 'blinds 12 up') or a custom 'polygon(...)' (defaults to data-transition-reveal of the target scene)
+		 * @param {string|Object|HTMLElement} [options.revealOrigin] - Origin of circle, diamond and polygon reveals: 'click', 'element', 'center', 'x,y' or an element
+		 * @param {HTMLElement|string|boolean} [options.expandFrom] - Element (or id) of the current scene that expands into the target scene
+		 *   (defaults to elements with data-transition-expand set to the target scene, false disables expanding and collapsing)
+		 * @param {HTMLElement|string} [options.collapseTo] - Element (or id) of the target scene the current scene collapses into
+		 *   (defaults to the element the current scene was expanded from)
+		 * @param {boolean|string} [options.crossContainer] - Flies matched pairs on a layer above both scenes: true, false or 'auto'
+		 *   (default, only pairs whose parent chains differ)
+		 * @returns {Object} The awaitable transition controller (resolves with the transition result)
 		 */
 		hypeDocument.showSceneNamedMagic = function(targetSceneName, duration, ease, options = {}) {
-			// If we are currently running a transition, end it
+			// If we are currently running a transition, handle it according to the interrupt policy
 			if (hypeDocElm.classList.contains('magicTransition')) {
 				const documentState = _documentStates.get(hypeDocument);
 				if (documentState && documentState.masterTimeline) {
-					// inform the user that the transition was ended and why
-                    logInterruptedTransition(documentState);
-                    // end the timeline by forwarding to the end
-					documentState.masterTimeline.progress(1);
-                    // kill the tweens and the timeline itself
-                    gsap.killTweensOf(documentState.masterTimeline);
-					// remove the master timeline reference
-					delete documentState.masterTimeline;
-					// call itself with same signature/params one requestAnimationFrame later if it was interrupted
-                    requestAnimationFrame(() => {
-                        this.showSceneNamedMagic(targetSceneName, duration, ease, options);
-                    });
-                    return;
+					const interrupt = options.interrupt || getDefault('interrupt');
+
+					emitEvent('interrupt', hypeDocElm, {
+						...documentState.getEventPayload(),
+						policy: interrupt,
+						nextSceneName: targetSceneName
+					});
+
+					switch (interrupt) {
+						case 'ignore':
+							// drop the new request
+							return createSkippedController('ignored', this.currentSceneName(), targetSceneName, 'A transition is already running');
+
+						case 'queue': {
+							// run the new request once the current transition has ended
+							let resolveQueued;
+							const queued = createIdleController('queued', null, targetSceneName, new Promise(resolve => resolveQueued = resolve));
+							const entry = { args: [targetSceneName, duration, ease, options], resolve: resolveQueued };
+							queued.cancel = function() {
+								const index = documentState.queue.indexOf(entry);
+								if (index !== -1) {
+									documentState.queue.splice(index, 1);
+									this.state = 'cancelled';
+									resolveQueued(createTransitionResult('cancelled', null, targetSceneName, { reason: 'Queued transition was cancelled' }));
+								}
+								return this;
+							};
+							documentState.queue = documentState.queue || [];
+							documentState.queue.push(entry);
+							return queued;
+						}
+
+						case 'retarget':
+							// stop the current transition where it is and start from the live state
+							documentState.retargetTransition();
+							break;
+
+						default:
+							// inform the user that the transition was ended and why
+							logInterruptedTransition(documentState);
+							// mark the running transition so its result reports the interruption
+							documentState.controller.interrupted = true;
+							// kill the tweens and the timeline itself
+							gsap.killTweensOf(documentState.masterTimeline);
+							// end the timeline by forwarding to the end and release the document state
+							documentState.finishTransition();
+							// call itself with same signature/params one requestAnimationFrame later if it was interrupted
+							let resolveRetry;
+							const retry = createIdleController('pending', null, targetSceneName, new Promise(resolve => resolveRetry = resolve));
+							requestAnimationFrame(() => {
+								resolveRetry(this.showSceneNamedMagic(targetSceneName, duration, ease, options));
+							});
+							return retry;
+					}
 				}
 			}
 			
-			// Get current scene and layout names
+			// Get current scene name
 			const currentSceneName = this.currentSceneName();
-			const currentLayoutName = this.currentLayoutName();
 			
 			// Avoid unnecessary calculations if target scene is the same as the current scene
-			if (targetSceneName === currentSceneName) return;
+			if (targetSceneName === currentSceneName) {
+				return createSkippedController('skipped', currentSceneName, targetSceneName, 'Target scene is the current scene');
+			}
 
 			// Validate that the target scene exists before proceeding
 			if (!this.sceneNames().includes(targetSceneName)) {
 				console.warn('HypeSceneMagic: Target scene "' + targetSceneName + '" not found.');
-				return;
+				return createSkippedController('skipped', currentSceneName, targetSceneName, 'Target scene not found');
 			}
 			
-			// Get current layout info
-			const currentLayouts = this.layoutsForSceneNamed(currentSceneName);
-			const currentLayout = currentLayouts.find(layout => {
-				// First try to match by name
-				if (layout.name === currentLayoutName) return true;
-				
-			}) || currentLayouts[0];
+			// Get the scene elements of the current and target scene (matching layouts)
+			const { currentSceneElm, targetSceneElm } = getTransitionScenes(this, targetSceneName);
 
-			// Find matching target layout by name or dimensions
-			const targetLayouts = this.layoutsForSceneNamed(targetSceneName);
-			
-			// Find matching layout in priority order:
-			const targetLayout = 
-				// 1. Match by exact name
-				targetLayouts.find(layout => layout.name === currentLayoutName) || 
-				// 2. Match by dimensions
-				targetLayouts.find(layout => layout.width === currentLayout.width && layout.height === currentLayout.height) || 
-				// 3. Fallback to first layout
-				targetLayouts[0];
-
-			// Get scene indices from layout._
-			const currentSceneIdx = currentLayout._;
-			const targetSceneIdx = targetLayout._;
-
-			// Get scene elements using correct indices
-			const currentSceneElm = document.querySelector(`#${this.documentId()} > [hype_scene_index="${currentSceneIdx}"]`);
-			const targetSceneElm = document.querySelector(`#${this.documentId()} > [hype_scene_index="${targetSceneIdx}"]`);
+			// Get the navigation direction and if registered animations are mirrored for it
+			const direction = getDirection(this, targetSceneName, options.direction);
+			const mirror = direction === 'back' && (options.mirror !== undefined ? options.mirror : getDefault('mirrorBack'));
 			
 			// Clear the temporary restore cache at the start of every transition
 			_restoreElementCache = new WeakMap();
 			
-			// Get duration and cross fade factor
+			// Get an element expanding into the target scene or the current scene collapsing into (replaces the scene transition)
+			const expand = getExpand(this, options, currentSceneElm, targetSceneElm, targetSceneName);
+			const documentState = getDocumentState(hypeDocument);
+			if (expand) {
+				if (expand.name === 'expand') {
+					documentState.expansion = { from: currentSceneName, to: targetSceneName, element: expand.element };
+				} else {
+					delete documentState.expansion;
+				}
+			}
+
+			// Get duration and cross fade factor (an expand uses the whole duration by default)
 			duration = duration || getDefault('durationTransition');
-			const crossFadeFactor = options.crossFadeFactor !== undefined ? options.crossFadeFactor : getDefault('crossFadeFactor');
+			const crossFadeFactor = options.crossFadeFactor !== undefined ? options.crossFadeFactor : (expand ? 1 : getDefault('crossFadeFactor'));
 			const crossFadeDuration = duration * crossFadeFactor;
+
+			// Get the scene transition style (null for a crossfade) and the reveal of the target scene (replaces the crossfade)
+			const sceneTransition = expand ? null : getSceneTransition(options.sceneTransition !== undefined ? options.sceneTransition : getDefault('sceneTransition'), direction);
+			const reveal = expand || getSceneReveal(getRevealOption(options, targetSceneElm), direction);
+
+			// Plan the transition: matched pairs, fallback animations and timings
+			const plan = buildTransitionPlan(currentSceneElm, targetSceneElm, duration, ease, { stagger: options.stagger, direction, mirror, crossContainer: options.crossContainer });
+			const matchedPairs = plan.pairs;
+
+			// Timing and promise for the transition result
+			let startTime = null;
+			let resolveFinished;
+			const finished = new Promise(resolve => resolveFinished = resolve);
 			
 			// Add magicTransition class to hypeDocElm to disable pointer events
 			hypeDocElm.classList.add('magicTransition');
+			if (sceneTransition) hypeDocElm.setAttribute('data-scene-transition', sceneTransition.name);
+			if (reveal) hypeDocElm.setAttribute('data-scene-reveal', reveal.name);
 
 			// Add scene-specific classes for z-index management
 			currentSceneElm.classList.add('currentScene');
 			targetSceneElm.classList.add('targetScene');
 
+			// Builds the payload shared by all lifecycle events of this transition
+			const getEventPayload = () => ({
+				hypeDocument,
+				from: currentSceneName,
+				to: targetSceneName,
+				direction,
+				fromElement: currentSceneElm,
+				toElement: targetSceneElm,
+				duration,
+				ease,
+				pairs: matchedPairs
+			});
+
 			// Call onTransitionPrepare hook if provided (before any setup)
 			if (options.onTransitionPrepare) {
-				options.onTransitionPrepare(currentSceneElm, targetSceneElm, { duration, ease });
+				options.onTransitionPrepare(currentSceneElm, targetSceneElm, { duration, ease, direction });
 			}
+			emitEvent('prepare', hypeDocElm, getEventPayload());
 
 			// Trigger magic transition start event
 			hypeDocument.triggerCustomBehaviorNamed('magicTransitionStart');
+			hypeDocument.triggerCustomBehaviorNamed(direction === 'forward' ? 'magicTransitionForward' : 'magicTransitionBack');
 			
 			// Trigger scene-specific transition behaviors (with spaces removed, sorted by specificity)
 			hypeDocument.triggerCustomBehaviorNamed(`magicTransitionFrom_${currentSceneName.replace(/\s+/g, '')}`);
@@ -513,83 +4812,424 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 			
 			// Use swap transition but prohibit default behavior with magicTransition class
 			hypeDocument.showSceneNamed(targetSceneName, hypeDocument.kSceneTransitionCrossfade, duration);
+
+			// Measure the debug overlay while both scenes are visible and untouched
+			const debugOverlay = getDefault('debug') ? createDebugOverlay(plan) : null;
 			
+			// Elements that got a temporary z-index for this transition
+			const zIndexElements = new Set();
+
+			// Elements following a curved path (offset with the CSS translate property)
+			const pathElements = new Set();
+
+			// Flights of pairs in different containers and the layer above both scenes they fly on
+			const flights = [];
+			let flyingLayer = null;
+
+			// Morphs of matched vector shapes and texts (their attributes and content are restored after the transition)
+			const contentMorphs = [];
+
+			// Clones of the shared elements of split and merge pairs
+			const matchClones = [];
+
+			// Element lists written by the proxy tweens of each pair, killTweensOf can not reach them. A later pair
+			// sharing an element removes it from the lists of earlier pairs (last match wins, like killTweensOf).
+			const proxyTargetLists = new Map();
+			const registerProxyTargets = list => list.forEach(element => {
+				if (!proxyTargetLists.has(element)) proxyTargetLists.set(element, []);
+				proxyTargetLists.get(element).push(list);
+			});
+			const releaseProxyTargets = elements => elements.forEach(element => {
+				(proxyTargetLists.get(element) || []).forEach(list => {
+					const index = list.indexOf(element);
+					if (index !== -1) list.splice(index, 1);
+				});
+				proxyTargetLists.delete(element);
+			});
+
+			// Functions undoing the state carried to the target elements
+			const carryUndos = [];
+
+			// Inline styles written by proxy tweens (reverting the timeline does not reset them)
+			const proxyStyles = new Map();
+			const rememberProxyStyle = (elements, property) => elements.forEach(element => {
+				if (!proxyStyles.has(element)) proxyStyles.set(element, {});
+				const styles = proxyStyles.get(element);
+				if (!(property in styles)) styles[property] = element.style[property];
+			});
+
+			// Removes the transition classes, scene transforms and flying layer from the document and both scenes
+			const removeTransitionClasses = () => {
+				flights.forEach(flight => flight.land());
+				contentMorphs.forEach(contentMorph => contentMorph.restore());
+				matchClones.forEach(clone => clone.remove());
+				if (flyingLayer) flyingLayer.remove();
+				if (sceneRenderer) sceneRenderer.destroy();
+				if (revealRenderer) revealRenderer.destroy();
+				hypeDocElm.removeAttribute('data-scene-transition');
+				hypeDocElm.removeAttribute('data-scene-reveal');
+				hypeDocElm.classList.remove('magicTransition');
+				currentSceneElm.classList.remove('currentScene', 'fadeComplete');
+				targetSceneElm.classList.remove('targetScene', 'fadeComplete');
+			};
+
+			// Removes the master timeline and controller references from the document state
+			const releaseDocumentState = () => {
+				const documentState = _documentStates.get(hypeDocument);
+				if (documentState && documentState.masterTimeline === masterTimeline) {
+					delete documentState.masterTimeline;
+					delete documentState.controller;
+					delete documentState.retargetTransition;
+					delete documentState.finishTransition;
+					delete documentState.getEventPayload;
+
+					// Start the next queued transition after the restore frame
+					if (documentState.queue && documentState.queue.length) {
+						const next = documentState.queue.shift();
+						requestAnimationFrame(() => {
+							next.resolve(hypeDocument.showSceneNamedMagic(...next.args));
+						});
+					}
+				}
+			};
+
+			// Stops the transition at its live state so a new transition can continue from there
+			const retargetTransition = () => {
+				if (controller.state !== 'running') return;
+				controller.state = 'interrupted';
+
+				// Collect the elements of the target scene this transition has tweened
+				const documentState = getDocumentState(hypeDocument);
+				const pendingRestore = documentState.pendingRestore || new Set();
+				masterTimeline.getChildren(true, true, false).forEach(tween => {
+					(tween.targets() || []).forEach(target => {
+						if (target instanceof Element && target !== targetSceneElm && targetSceneElm.contains(target)) pendingRestore.add(target);
+					});
+				});
+				documentState.pendingRestore = pendingRestore;
+
+				// Keep all elements at their current interpolated values
+				masterTimeline.kill();
+				zIndexElements.forEach(element => gsap.set(element, { clearProps: 'zIndex' }));
+				pathElements.forEach(element => element.style.removeProperty('translate'));
+
+				// The source scene is left for good, so restore its elements right away
+				elementsToRestore.forEach(element => {
+					const initialProps = _restoreElementCache.get(element);
+					if (initialProps) restoreMagicProperties(element, initialProps);
+				});
+
+				targetSceneElm.style.removeProperty('--scene-opacity');
+				removeTransitionClasses();
+
+				releaseDocumentState();
+				settleTransition('interrupted', 'Transition was retargeted by a new transition');
+			};
+
+			// Settles the transition promise with a result
+			const settleTransition = (status, reason) => {
+				if (debugOverlay) debugOverlay.destroy();
+				resolveFinished(createTransitionResult(status, currentSceneName, targetSceneName, {
+					reason: reason || null,
+					pairs: matchedPairs,
+					duration: startTime === null ? 0 : (performance.now() - startTime) / 1000
+				}));
+			};
+
+			// Reverts all changes and hands the source scene back to Hype
+			const revertTransition = () => {
+				if (controller.state !== 'running') return;
+				controller.state = 'cancelled';
+
+				// Put all tweened elements back to their pre-transition state
+				masterTimeline.pause();
+				if (typeof masterTimeline.revert === 'function') {
+					masterTimeline.revert();
+				} else {
+					masterTimeline.progress(0).kill();
+				}
+				proxyStyles.forEach((styles, element) => Object.assign(element.style, styles));
+				zIndexElements.forEach(element => gsap.set(element, { clearProps: 'zIndex' }));
+				pathElements.forEach(element => element.style.removeProperty('translate'));
+				targetSceneElm.style.removeProperty('--scene-opacity');
+
+				// Undo the remembered expansion (a cancelled collapse stays expanded)
+				if (expand && expand.name === 'expand') delete documentState.expansion;
+				if (expand && expand.name === 'collapse') documentState.expansion = { from: targetSceneName, to: currentSceneName, element: expand.element };
+
+				// Undo Hype's scene switch without a transition
+				hypeDocument.showSceneNamed(currentSceneName, hypeDocument.kSceneTransitionInstant);
+				removeTransitionClasses();
+
+				// Hand the carried state back to the source elements
+				carryUndos.reverse().forEach(undo => {
+					try {
+						undo();
+					} catch (error) {
+						console.error('HypeSceneMagic: Could not undo carried state', error);
+					}
+				});
+
+				if (options.onTransitionCancel) {
+					options.onTransitionCancel(currentSceneElm, targetSceneElm, { duration, ease, direction });
+				}
+
+				// Trigger magic transition cancel event
+				hypeDocument.triggerCustomBehaviorNamed('magicTransitionCancel');
+				if (progressFrame) emitProgress();
+				emitEvent('cancel', hypeDocElm, getEventPayload());
+
+				releaseDocumentState();
+				settleTransition('cancelled', 'Transition was cancelled');
+			};
+
+			// Cleans up the transition once the timeline has reached its end
+			const completeTransition = () => {
+				// Wait for target scene opacity to be 1 before cleanup
+				const checkOpacity = () => {
+					// Stop waiting if the transition was cancelled in the meantime
+					if (controller.state !== 'running') return;
+					const opacity = getComputedStyle(targetSceneElm).opacity;
+					if (parseFloat(opacity) == 1) {
+						controller.state = controller.interrupted ? 'interrupted' : 'completed';
+
+						// Reset properties for all elements that need restoration after a frame delay
+						requestAnimationFrame(() => {
+							elementsToRestore.forEach(element => {
+								const initialProps = _restoreElementCache.get(element);
+								if (initialProps) restoreMagicProperties(element, initialProps);
+							});
+
+							// Settle the transition promise once everything is cleaned up
+							settleTransition(controller.state, controller.interrupted ? 'Transition was interrupted by a new transition' : null);
+						});
+
+						// Clean up classes
+						removeTransitionClasses();
+						
+						if (options.onTransitionEnd) {
+							options.onTransitionEnd(currentSceneElm, targetSceneElm, { duration, ease, direction });
+						}
+
+						// Trigger magic transition end event
+						hypeDocument.triggerCustomBehaviorNamed('magicTransitionEnd');
+						if (progressFrame) emitProgress();
+						emitEvent('end', hypeDocElm, { ...getEventPayload(), status: controller.state });
+
+						// Remove the master timeline reference
+						releaseDocumentState();
+					} else {
+						requestAnimationFrame(checkOpacity);
+					}
+				};
+				checkOpacity();
+			};
+
+			// Emits the progress event with the latest progress, at most once per animation frame
+			let progressFrame = null;
+			const emitProgress = () => {
+				cancelAnimationFrame(progressFrame);
+				progressFrame = null;
+				emitEvent('progress', hypeDocElm, { ...getEventPayload(), progress: masterTimeline.progress() });
+			};
+
+			// Seeking renders the tweens (and their callbacks) but never settles the transition
+			let seeking = false;
+
+			// Settles a transition sitting at the end of its play direction, as the timeline never fires its end callbacks again
+			const settleAtEnd = () => {
+				if (masterTimeline.reversed() ? masterTimeline.progress() > 0 : masterTimeline.progress() < 1) return false;
+				if (masterTimeline.reversed()) {
+					revertTransition();
+				} else {
+					completeTransition();
+				}
+				return true;
+			};
+
+			// Jumps to the end and completes the transition, releasing the document state right away
+			// so the next transition does not find this one (its cleanup still waits for the target scene)
+			const finishTransition = () => {
+				seeking = true;
+				masterTimeline.progress(1);
+				seeking = false;
+				completeTransition();
+				releaseDocumentState();
+			};
+
 			// Create a timeline to manage all animations
 			const masterTimeline = gsap.timeline({
+				paused: !!options.paused,
 				onStart: () => {
+					startTime = performance.now();
+
 					// Call onTransitionStart hook when timeline actually starts
 					if (options.onTransitionStart) {
-						options.onTransitionStart(currentSceneElm, targetSceneElm, { duration, ease });
+						options.onTransitionStart(currentSceneElm, targetSceneElm, { duration, ease, direction });
 					}
+					emitEvent('start', hypeDocElm, getEventPayload());
 				},
 				onUpdate: function() {
 					if (options.onTransitionProgress) {
 						options.onTransitionProgress(this.progress(), currentSceneElm, targetSceneElm);
 					}
+					// Scrubbing can update many times per frame, the progress event is emitted once per frame
+					if (!progressFrame) progressFrame = requestAnimationFrame(emitProgress);
+					if (debugOverlay) debugOverlay.update(this.progress());
 				},
 				onComplete: () => {
-					// Wait for target scene opacity to be 1 before cleanup
-					const checkOpacity = () => {
-						const opacity = getComputedStyle(targetSceneElm).opacity;
-						if (parseFloat(opacity) == 1) {
-							// Reset properties for all elements that need restoration after a frame delay
-							requestAnimationFrame(() => {
-								elementsToRestore.forEach(element => {
-									const initialProps = _restoreElementCache.get(element);
-									if (initialProps) gsap.set(element, initialProps);
-								});
-							});
+					if (!seeking) completeTransition();
+				},
+				onReverseComplete: () => {
+					// A fully reversed transition ends on the source scene
+					if (!seeking) revertTransition();
+				}
+			});
 
-							// Clean up classes
-							hypeDocElm.classList.remove('magicTransition');
-							currentSceneElm.classList.remove('currentScene', 'fadeComplete');
-							targetSceneElm.classList.remove('targetScene', 'fadeComplete');
-							
-							if (options.onTransitionEnd) {
-								options.onTransitionEnd(currentSceneElm, targetSceneElm, { duration, ease });
-							}
+			/**
+			 * Controller for the running transition, awaitable through then/catch/finally
+			 * @property {string} state - Either 'running', 'completed', 'interrupted' or 'cancelled'
+			 * @property {Promise} finished - Resolves with the transition result once cleanup has run
+			 */
+			const controller = makeThenable({
+				state: 'running',
+				from: currentSceneName,
+				to: targetSceneName,
+				direction,
+				timeline: masterTimeline,
+				finished,
 
-							// Trigger magic transition end event
-							hypeDocument.triggerCustomBehaviorNamed('magicTransitionEnd');
+				/** Pauses the transition */
+				pause() {
+					if (this.state === 'running') masterTimeline.pause();
+					return this;
+				},
 
-							// Remove the master timeline reference
-							const documentState = _documentStates.get(hypeDocument);
-							if (documentState) {
-								delete documentState.masterTimeline;
-							}
+				/** Resumes the transition in its current direction */
+				resume() {
+					if (this.state === 'running' && !settleAtEnd()) masterTimeline.resume();
+					return this;
+				},
+
+				/**
+				 * Jumps to a progress of the transition without changing the play state. Reaching the start
+				 * or the end does not settle the transition, only resume, reverse and cancel do.
+				 * @param {number} progress - Progress between 0 and 1
+				 */
+				seek(progress) {
+					if (this.state === 'running') {
+						seeking = true;
+						masterTimeline.progress(Math.min(1, Math.max(0, parseFloat(progress) || 0)));
+						seeking = false;
+						// A playing transition seeked to its end has nothing left to play
+						if (!masterTimeline.paused()) settleAtEnd();
+					}
+					return this;
+				},
+
+				/** Plays the transition backwards and ends on the source scene */
+				reverse() {
+					if (this.state === 'running') {
+						// A reversed timeline sitting at its start never fires onReverseComplete
+						if (masterTimeline.progress() === 0) {
+							revertTransition();
 						} else {
-							requestAnimationFrame(checkOpacity);
+							masterTimeline.reverse();
 						}
-					};
-					checkOpacity();
+					}
+					return this;
+				},
+
+				/** Stops the transition immediately and restores the source scene */
+				cancel() {
+					revertTransition();
+					return this;
+				},
+
+				/**
+				 * Gets the current progress of the transition
+				 * @returns {number} Progress between 0 and 1
+				 */
+				progress() {
+					return masterTimeline.progress();
 				}
 			});
 
+			// Scale of the scene, to convert measured distances into scene pixels
+			const sceneRect = currentSceneElm.getBoundingClientRect();
+			const sceneScale = sceneRect.width ? currentSceneElm.offsetWidth / sceneRect.width : 1;
+
+			// Clone the shared elements of split and merge pairs before anything renders into them
+			const pairElements = new Map(plan.pairs.map(pair => {
+				const cloneShared = element => {
+					const clone = cloneMatchedElement(element);
+					matchClones.push(clone);
+					return clone;
+				};
+				return [pair, {
+					source: pair.split ? cloneShared(pair.source) : pair.source,
+					target: pair.merge ? cloneShared(pair.target) : pair.target
+				}];
+			}));
+
+			// Measure the counter transforms of matched elements before the scenes move
+			const sceneRenderer = sceneTransition && createSceneTransitionRenderer(sceneTransition, currentSceneElm, targetSceneElm,
+				Array.from(pairElements.values()).reduce((elements, { source, target }) => elements.concat(source, target), []), sceneScale);
+			const revealRenderer = expand ? createExpandRenderer(expand, currentSceneElm, targetSceneElm, sceneScale) : reveal && createRevealRenderer(reveal, currentSceneElm, targetSceneElm,
+				options.revealOrigin !== undefined ? options.revealOrigin : (targetSceneElm.getAttribute('data-transition-reveal-origin') || getDefault('revealOrigin')));
+			const renderScenes = progress => {
+				if (sceneRenderer) sceneRenderer.render(progress);
+				if (revealRenderer) revealRenderer.render(progress);
+			};
+			if (sceneRenderer || revealRenderer) renderScenes(0);
+
 			// Add a dummy tween to ensure minimum duration
 			masterTimeline.to({}, { duration: duration });
 
-			// Fade in the target scene with GSAP (no easing)
-			masterTimeline.fromTo(targetSceneElm, 
-				{ '--scene-opacity': 0 },
-				{ 
-					'--scene-opacity': 1,
-					duration: crossFadeDuration,
-					ease: "none",
-					onComplete: () => {
-						// Add fadeComplete class to current and target scenes (to set display and opacity)
-						currentSceneElm.classList.add('fadeComplete');
-						targetSceneElm.classList.add('fadeComplete');
+			// Callbacks of the scene tween, shared by the crossfade and all scene transition styles
+			const sceneTweenCallbacks = {
+				onUpdate: function() {
+					if (sceneRenderer || revealRenderer) renderScenes(this.targets()[0].progress);
 
-						// Kill any running animations in current scene to improve performance
-						gsap.killTweensOf(currentSceneElm.querySelectorAll('*'));
+					// Remove fadeComplete again when seeking or reversing back into the crossfade
+					if (this.progress() < 1) {
+						currentSceneElm.classList.remove('fadeComplete');
+						targetSceneElm.classList.remove('fadeComplete');
 					}
 				},
-				0
-			);
+				onComplete: () => {
+					// Add fadeComplete class to current and target scenes (to set display and opacity)
+					currentSceneElm.classList.add('fadeComplete');
+					targetSceneElm.classList.add('fadeComplete');
+
+					// Kill any running animations in current scene to improve performance,
+					// but keep the ones of this transition so it can still be reversed
+					killForeignTweensOf(currentSceneElm.querySelectorAll('*'), masterTimeline);
+				}
+			};
 
-			// Get all magic elements in target and source scenes
-			const targetMagicElms = targetSceneElm.querySelectorAll('div[class*="magic"], div[data-transition-id]');
-			const sourceMagicElms = currentSceneElm.querySelectorAll('div[class*="magic"], div[data-transition-id]');
+			if (sceneRenderer || revealRenderer) {
+				// Move both scenes and reveal the target scene with the transition ease (matched elements are counter-transformed)
+				const label = [sceneTransition && sceneTransition.name + ' ' + sceneTransition.direction, reveal && 'reveal ' + getRevealName(reveal)];
+				masterTimeline.fromTo({ progress: 0, sceneTransition: label.filter(Boolean).join(', ') }, { progress: 0 }, {
+					progress: 1,
+					duration: crossFadeDuration,
+					ease: getEase(ease),
+					...sceneTweenCallbacks
+				}, 0);
+			} else {
+				// Fade in the target scene with GSAP (no easing)
+				masterTimeline.fromTo(targetSceneElm,
+					{ '--scene-opacity': 0 },
+					{
+						'--scene-opacity': 1,
+						duration: crossFadeDuration,
+						ease: "none",
+						...sceneTweenCallbacks
+					},
+					0
+				);
+			}
 
 			// Store references to elements that need restoration
 			const elementsToRestore = new Set();
@@ -603,296 +5243,316 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 				elementsToRestore.add(element);
 			};
 
-			// Handle elements in target scene that are also in source scene
-			targetMagicElms.forEach(targetElement => {
-				const targetIds = getTransitionIdentifiers(targetElement);
-				
-				// If element has transition identifiers
-				if (targetIds.length > 0) {
-					// Find matching element in source scene
-					const sourceElement = Array.from(sourceMagicElms).find(el => {
-						const sourceIds = getTransitionIdentifiers(el);
-						return sourceIds.some(sourceId => targetIds.includes(sourceId));
+			// Measure the frames of pairs in different containers before any tween renders its start values
+			const flightFrames = new Map();
+			plan.pairs.forEach(pair => {
+				if (!pair.crossContainer) return;
+				flightFrames.set(pair, { from: getSceneFrame(pair.source, currentSceneElm), to: getSceneFrame(pair.target, targetSceneElm) });
+				if (!flyingLayer) {
+					flyingLayer = document.createElement('div');
+					flyingLayer.className = 'magicFlyingLayer';
+					Object.assign(flyingLayer.style, {
+						left: currentSceneElm.offsetLeft + 'px',
+						top: currentSceneElm.offsetTop + 'px',
+						width: currentSceneElm.offsetWidth + 'px',
+						height: currentSceneElm.offsetHeight + 'px'
 					});
+					hypeDocElm.appendChild(flyingLayer);
+				}
+			});
 
-					// If matching element is found, animate transition
-					if (sourceElement) {
-						// Kill any existing animations
-						gsap.killTweensOf([targetElement, sourceElement]);
-						
-						// Prepare the source element to be restored to its pristine state.
-						prepareForRestoration(sourceElement);
-						
-						// Get the LIVE properties from the source element for a smooth transition start.
-						const fromProperties = getCurrentMagicProperties(sourceElement);
-
-						// Then, check the pristine cache to recover any lost rotation values (e.g., 360deg becoming 0deg).
-						const pristineFromProperties = _pristineElementCache.get(sourceElement);
-						if (pristineFromProperties && pristineFromProperties.transform) {
-							// Create a safe copy to avoid mutating the cache
-							const pristineCopy = { ...pristineFromProperties };
-							
-							// Decompose the transform to access rotation values
-							const { rotations } = extractAndStripRotations(pristineCopy.transform);
-							Object.assign(pristineCopy, rotations);
-
-							// If the live transform does NOT contain a rotation, check the pristine cache to recover one under specific conditions.
-							if (fromProperties.transform && !fromProperties.transform.includes('rotate')) {
-								['rotate', 'rotateX', 'rotateY', 'rotateZ'].forEach(key => {
-									const pristineRotation = parseFloat(pristineCopy[key]) || 0;
-									// If the pristine rotation was a non-zero multiple of 360, restore it.
-									if (pristineRotation !== 0 && pristineRotation % 360 === 0) {
-										fromProperties[key] = pristineRotation + 'deg';
-									}
-								});
-							}
-						}
+			// Animate matched element pairs (last match wins for shared elements without a match policy)
+			plan.pairs.forEach(pair => {
+				const { source: sourceElement, target: targetElement } = pairElements.get(pair);
+
+				// Kill any existing animations, including the proxy tweens writing to the elements
+				gsap.killTweensOf([targetElement, sourceElement]);
+				releaseProxyTargets([targetElement, sourceElement]);
+				
+				// Prepare the source element to be restored to its pristine state.
+				prepareForRestoration(pair.source);
+				
+				// Get the LIVE properties from the source element for a smooth transition start.
+				const fromProperties = getCurrentMagicProperties(sourceElement);
+
+				// Then, check the pristine cache to recover any lost rotation values (e.g., 360deg becoming 0deg).
+				const pristineFromProperties = _pristineElementCache.get(sourceElement);
+				if (pristineFromProperties && pristineFromProperties.transform) {
+					// Create a safe copy to avoid mutating the cache
+					const pristineCopy = { ...pristineFromProperties };
 
-						// Get the PRISTINE properties of the target for the transition's end state.
-                        // Use spread syntax {...} to create a shallow COPY. This is critical to prevent
-                        // mutating the object stored in the pristine cache on subsequent runs.
-                        const toProperties = { ...(_pristineElementCache.get(targetElement) || getCurrentMagicProperties(targetElement)) };
+					// Decompose the transform to access rotation values
+					const { rotations } = extractAndStripRotations(pristineCopy.transform);
+					Object.assign(pristineCopy, rotations);
 
-						// Helper function to get attribute value from source or target element
-						function getAttributeValue(attr, defaultValue) {
-							let sourceValue = sourceElement.getAttribute(attr);
-							if (sourceValue === 'target') {
-								return targetElement.getAttribute(attr) || defaultValue;
+					// If the live transform does NOT contain a rotation, check the pristine cache to recover one under specific conditions.
+					if (fromProperties.transform && !fromProperties.transform.includes('rotate')) {
+						['rotate', 'rotateX', 'rotateY', 'rotateZ'].forEach(key => {
+							const pristineRotation = parseFloat(pristineCopy[key]) || 0;
+							// If the pristine rotation was a non-zero multiple of 360, restore it.
+							if (pristineRotation !== 0 && pristineRotation % 360 === 0) {
+								fromProperties[key] = pristineRotation + 'deg';
 							}
-							return sourceValue || defaultValue;
-						}
+						});
+					}
+				}
 
-						// Get transition attributes
-						const delayPercentage = getAttributeValue('data-transition-delay', 0);
-						const durationPercentage = getAttributeValue('data-transition-duration', 1);
-						const transitionOrder = getAttributeValue('data-transition-order', null);
+				// Get the PRISTINE properties of the target for the transition's end state.
+				// Use spread syntax {...} to create a shallow COPY. This is critical to prevent
+				// mutating the object stored in the pristine cache on subsequent runs.
+				const toProperties = { ...(_pristineElementCache.get(targetElement) || getCurrentMagicProperties(targetElement)) };
 
-						// Calculate timing values
-						const timing = calculateTimingValues(delayPercentage, durationPercentage, duration);
+				// Split pairs fade in from the shared source and merge pairs fade out into the shared target
+				if (pair.split) fromProperties.opacity = 0;
+				if (pair.merge) toProperties.opacity = 0;
 
-						// Get easing from target element or use default
-						const easing = getAttributeValue('data-transition-ease', ease);
+				// Handle transition stacking order
+				let zIndexElement = null;
 
-						// Handle transition stacking order
-						let zIndexElement = null;
+				if (pair.order !== null) {
+					zIndexElement = findZIndexElement(targetElement);
+					const newZIndex = determineZIndex(zIndexElement, pair.order);
+					gsap.set(zIndexElement, { zIndex: newZIndex });
+					zIndexElements.add(zIndexElement);
+				}
 
-						if (transitionOrder !== null) {
-							zIndexElement = findZIndexElement(targetElement);
-							const newZIndex = determineZIndex(zIndexElement, transitionOrder);
-							gsap.set(zIndexElement, { zIndex: newZIndex });
+				// Create a nested timeline for this element pair
+				let carried = false;
+				const elementTimeline = gsap.timeline({
+					onStart: () => {
+						// Hand off live state like video playback, input values and scroll offsets once the pair runs
+						if (pair.carry.length && !carried) {
+							carried = true;
+							carryUndos.push(...carryState(pair, { ...getEventPayload(), pair }));
+						}
+						emitEvent('pairStart', hypeDocElm, { ...getEventPayload(), pair });
+					},
+					onComplete: () => {
+						if (zIndexElement) {
+							gsap.set(zIndexElement, { clearProps: 'zIndex' });
 						}
+						emitEvent('pairComplete', hypeDocElm, { ...getEventPayload(), pair });
+					}
+				});
 
-						// Create a nested timeline for this element pair
-						const elementTimeline = gsap.timeline({
-							onComplete: () => {
-								if (zIndexElement) {
-									gsap.set(zIndexElement, { clearProps: 'zIndex' });
-								}
-							}
+				// Components of the transforms when they are interpolated individually
+				let transformComponents = null;
+				const decomposeTransform = getDefault('decomposeTransform');
+
+				if (decomposeTransform) {
+					const rotationKeys = ['rotate', 'rotateX', 'rotateY', 'rotateZ'];
+
+					if (decomposeTransform !== 'rotate' && (fromProperties.transform || toProperties.transform)) {
+						// Decompose both transforms, recovered rotations take precedence as hints for the start
+						const fromRotations = extractAndStripRotations(fromProperties.transform).rotations;
+						rotationKeys.forEach(key => {
+							if (fromProperties[key] !== undefined) fromRotations[key] = fromProperties[key];
 						});
+						const from = getTransformComponents(fromProperties.transform, sourceElement, fromRotations);
+						const to = getTransformComponents(toProperties.transform, targetElement, extractAndStripRotations(toProperties.transform).rotations);
+						if (from && to) {
+							transformComponents = { from, to, fromTransform: fromProperties.transform, toTransform: toProperties.transform };
+							[fromProperties, toProperties].forEach(properties => {
+								delete properties.transform;
+								rotationKeys.forEach(key => delete properties[key]);
+							});
+						}
+					}
 
-                        if (getDefault('decomposeTransform')) {
-                            // Extract and strip rotations, then merge them into the properties objects
-                            const from = extractAndStripRotations(fromProperties.transform);
-                            Object.assign(fromProperties, from.rotations);
-                            fromProperties.transform = from.transform;
-
-                            const to = extractAndStripRotations(toProperties.transform);
-                            Object.assign(toProperties, to.rotations);
-                            toProperties.transform = to.transform;
-
-                            // Handle rotation properties
-                            ['rotate', 'rotateX', 'rotateY', 'rotateZ'].forEach(key => {
-                                const fromValue = parseFloat(fromProperties[key]) || 0;
-                                const toValue = parseFloat(toProperties[key]) || 0;
-                                const delta = toValue - fromValue;
-
-                                if (delta !== 0) {
-                                    // Set the 'from' state and animate by the relative delta
-                                    fromProperties[key] = fromValue + 'deg';
-                                    toProperties[key] = `+=${delta}`;
-                                } else {
-                                    // If there's no change, remove the properties to avoid unnecessary tweening
-                                    delete fromProperties[key];
-                                    delete toProperties[key];
-                                }
-                            });
-
-                            // Filter out 'auto' width/height to prevent GSAP from animating them
-                            ['width', 'height'].forEach(key => {
-                                if (fromProperties[key] === 'auto' && toProperties[key] === 'auto') {
-                                    delete fromProperties[key];
-                                    delete toProperties[key];
-                                }
-                            });
-                        }
-
-						// Add fromTo tweens to element timeline
-						elementTimeline.fromTo(targetElement, fromProperties, {
-							...toProperties,
-							duration: timing.duration,
-							ease: getEase(easing)
-						}, timing.delay);
-
-						elementTimeline.fromTo(sourceElement, fromProperties, {
-							...toProperties,
-							duration: timing.duration,
-							ease: getEase(easing)
-						}, timing.delay);
-
-						// Add element timeline to master timeline
-						masterTimeline.add(elementTimeline, 0);
-						
-					} else {
-						// Check for data-transition-animation and data-transition-animation-from animation data
-						const animation = targetElement.getAttribute('data-transition-animation-from') || targetElement.getAttribute('data-transition-animation');
-
-						// If animation data is found, parse and animate
-						if (animation) {
-							// Kill any existing animations
-							gsap.killTweensOf(targetElement);
-							
-							let animationData;
-							
-							// Check if animation is a registered animation name
-							if (!animation.includes(':')) {
-								animationData = getRegisteredAnimation(animation);
-							}
-							
-							// If not a registered animation, parse as simple animation string
-							if (!animationData) {
-								animationData = parseSimpleAnimation(animation);
-							}
+					if (!transformComponents) {
+						// Extract and strip rotations, then merge them into the properties objects
+						const from = extractAndStripRotations(fromProperties.transform);
+						Object.assign(fromProperties, from.rotations);
+						fromProperties.transform = from.transform;
 
-							if (animationData) {
-								const delayPercentage = targetElement.getAttribute('data-transition-delay') || 0;
-								const durationPercentage = targetElement.getAttribute('data-transition-duration') || 1;
-								const timing = calculateTimingValues(delayPercentage, durationPercentage, duration);
-								const easing = targetElement.getAttribute('data-transition-ease') || ease;
-
-								masterTimeline.from(targetElement, {
-									duration: timing.duration,
-									ease: getEase(easing),
-									...animationData
-								}, timing.delay);
+						const to = extractAndStripRotations(toProperties.transform);
+						Object.assign(toProperties, to.rotations);
+						toProperties.transform = to.transform;
+
+						// Handle rotation properties
+						rotationKeys.forEach(key => {
+							const fromValue = parseFloat(fromProperties[key]) || 0;
+							const toValue = parseFloat(toProperties[key]) || 0;
+							const delta = toValue - fromValue;
+
+							if (delta !== 0) {
+								// Set the 'from' state and animate by the relative delta
+								fromProperties[key] = fromValue + 'deg';
+								toProperties[key] = `+=${delta}`;
+							} else {
+								// If there's no change, remove the properties to avoid unnecessary tweening
+								delete fromProperties[key];
+								delete toProperties[key];
 							}
-						}
+						});
 					}
-				}
-			});
 
-			// Handle elements in source scene that aren't in target scene
-			sourceMagicElms.forEach(sourceElement => {
-				const sourceIds = getTransitionIdentifiers(sourceElement);
-				if (sourceIds.length > 0) {
-					// Find matching element in target scene
-					const hasMatch = Array.from(targetMagicElms).some(el => {
-						const targetIds = getTransitionIdentifiers(el);
-						return targetIds.some(targetId => sourceIds.includes(targetId));
+					// Filter out 'auto' width/height to prevent GSAP from animating them
+					['width', 'height'].forEach(key => {
+						if (fromProperties[key] === 'auto' && toProperties[key] === 'auto') {
+							delete fromProperties[key];
+							delete toProperties[key];
+						}
 					});
+				}
 
-					// If no matching element is found
-					if (!hasMatch) {
-						// Prepare the source element to be restored to its pristine state.
-						prepareForRestoration(sourceElement);
-						
-						// Kill any existing animations
-						gsap.killTweensOf(sourceElement);
-						
-						// Check for data-transition-animation-to and data-transition-animation animation data
-						const animation = sourceElement.getAttribute('data-transition-animation-to') || sourceElement.getAttribute('data-transition-animation');
-						
-						// If animation data is found, parse and animate
-						if (animation) {
-							let animationData;
-							
-							// Check if animation is a registered animation name
-							if (!animation.includes(':')) {
-								animationData = getRegisteredAnimation(animation);
-							}
-							
-							// If not a registered animation, parse as simple animation string
-							if (!animationData) {
-								animationData = parseSimpleAnimation(animation);
-							}
-							
-							if (animationData) {
-								const delayPercentage = sourceElement.getAttribute('data-transition-delay') || 0;
-								const durationPercentage = sourceElement.getAttribute('data-transition-duration') || 1;
-								const timing = calculateTimingValues(delayPercentage, durationPercentage, duration);
-
-								// Get easing from target element or use default
-								const easing = sourceElement.getAttribute('data-transition-ease') || ease;
-
-								// Add animation to master timeline
-								masterTimeline.to(sourceElement, {
-									duration: timing.duration,
-									ease: getEase(easing),
-									...animationData,
-								}, timing.delay);
-							}
+				// Bring borders, shadows, filters, clip paths and backgrounds into matching structures
+				const backgroundCrossfade = matchMorphProperties(fromProperties, toProperties, [sourceElement, targetElement]);
+
+				// Curve the motion path, measured before the tweens render their start values
+				const sourceRect = sourceElement.getBoundingClientRect();
+				const targetRect = targetElement.getBoundingClientRect();
+				const pathOffsets = getPathOffsets(
+					pair.path,
+					((targetRect.left + targetRect.width / 2) - (sourceRect.left + sourceRect.width / 2)) * sceneScale,
+					((targetRect.top + targetRect.height / 2) - (sourceRect.top + sourceRect.height / 2)) * sceneScale
+				);
+
+				// Pairs in different containers fly as a clone on the flying layer
+				const frames = flightFrames.get(pair);
+				const flight = frames && createFlight(flyingLayer, sourceElement, targetElement, frames.from, frames.to);
+				const tweenTargets = flight ? [flight.clone] : [targetElement, sourceElement];
+				registerProxyTargets(tweenTargets);
+
+				if (pathOffsets) {
+					tweenTargets.forEach(element => pathElements.add(element));
+					// Follow the same eased progress as the straight motion
+					elementTimeline.fromTo({ t: 0, path: pair.path }, { t: 0 }, {
+						t: 1,
+						duration: pair.duration,
+						ease: pair.ease,
+						onUpdate: function() {
+							setPathOffset(tweenTargets, pathOffsets, this.targets()[0].t);
+						}
+					}, pair.delay);
+				}
+
+				// Morph vector shapes and texts along with the pair, both start on the source right away
+				const shapeMorph = createShapeMorph(sourceElement, targetElement, tweenTargets);
+				const textMorph = pair.text && createTextMorph(pair.text, sourceElement, targetElement, tweenTargets);
+				[[shapeMorph, { shape: 'morph' }], [textMorph, { text: textMorph && textMorph.mode }]].forEach(([contentMorph, label]) => {
+					if (!contentMorph) return;
+					contentMorphs.push(contentMorph);
+					contentMorph.update(0);
+					elementTimeline.fromTo({ t: 0, ...label }, { t: 0 }, {
+						t: 1,
+						duration: pair.duration,
+						ease: pair.ease,
+						onUpdate: function() {
+							contentMorph.update(this.targets()[0].t);
 						}
+					}, pair.delay);
+				});
+
+				if (backgroundCrossfade) {
+					// Crossfade gradients that can not be interpolated
+					rememberProxyStyle(tweenTargets, 'backgroundImage');
+					elementTimeline.fromTo({ t: 0, backgroundImage: 'crossfade' }, { t: 0 }, {
+						t: 1,
+						duration: pair.duration,
+						ease: pair.ease,
+						onUpdate: function() {
+							const backgroundImage = backgroundCrossfade(this.targets()[0].t);
+							tweenTargets.forEach(element => element.style.backgroundImage = backgroundImage);
+						}
+					}, pair.delay);
+				}
+
+				if (flight) {
+					flights.push(flight);
+
+					// The frames replace the local transforms and rotations
+					const stripFrame = properties => Object.fromEntries(Object.entries(properties).filter(([key]) => key !== 'transform' && !key.startsWith('rotate')));
+					elementTimeline.fromTo(flight.clone, { ...stripFrame(fromProperties), ...flight.from }, {
+						...stripFrame(toProperties),
+						...flight.to,
+						duration: pair.duration,
+						ease: pair.ease
+					}, pair.delay);
+					elementTimeline.eventCallback('onUpdate', function() {
+						flight.handoff(this.progress() === 1);
+					});
+				} else {
+					if (transformComponents) {
+						// Interpolate the decomposed transforms and end on the transform strings Hype uses
+						const { from, to, fromTransform, toTransform } = transformComponents;
+						rememberProxyStyle([targetElement, sourceElement], 'transform');
+						elementTimeline.fromTo({ t: 0, transform: 'decomposed' }, { t: 0 }, {
+							t: 1,
+							duration: pair.duration,
+							ease: pair.ease,
+							onUpdate: function() {
+								const t = this.targets()[0].t;
+								const transform = t === 1 ? toTransform : t === 0 ? fromTransform : interpolateTransform(from, to, t);
+								tweenTargets.forEach(element => element.style.transform = transform);
+							}
+						}, pair.delay);
 					}
+
+					// Add fromTo tweens to element timeline
+					elementTimeline.fromTo(targetElement, fromProperties, {
+						...toProperties,
+						duration: pair.duration,
+						ease: pair.ease
+					}, pair.delay);
+
+					elementTimeline.fromTo(sourceElement, fromProperties, {
+						...toProperties,
+						duration: pair.duration,
+						ease: pair.ease
+					}, pair.delay);
 				}
+
+				// Add element timeline to master timeline
+				masterTimeline.add(elementTimeline, 0);
 			});
 
-			// Helper function to handle animation for non-magic elements
-			const handleNonMagicAnimation = (element, isTarget) => {
-				const animationType = isTarget ? 'from' : 'to';
-				const animation = element.getAttribute(`data-transition-animation-${animationType}`) || 
-								element.getAttribute('data-transition-animation');
-				
-				if (animation) {
-					// Prepare the element to be restored to its pristine state.
-					prepareForRestoration(element);
-					
-					// Kill any existing animations
-					gsap.killTweensOf(element);
-					
-					let animationData;
-					
-					// Check if animation is a registered animation name
-					if (!animation.includes(':')) {
-						animationData = getRegisteredAnimation(animation);
-					}
-					
-					// If not a registered animation, parse as simple animation string
-					if (!animationData) {
-						animationData = parseSimpleAnimation(animation);
-					}
+			// Animate unmatched magic elements and non-magic elements with transition animations
+			plan.animations.forEach(entry => {
+				// Prepare source side and non-magic elements to be restored to their pristine state.
+				if (entry.restore) prepareForRestoration(entry.element);
 
-					if (animationData) {
-						const delayPercentage = element.getAttribute('data-transition-delay') || 0;
-						const durationPercentage = element.getAttribute('data-transition-duration') || 1;
-						const timing = calculateTimingValues(delayPercentage, durationPercentage, duration);
-						const easing = element.getAttribute('data-transition-ease') || ease;
-
-						masterTimeline[isTarget ? 'from' : 'to'](element, {
-							duration: timing.duration,
-							ease: getEase(easing),
-							...animationData
-						}, timing.delay);
-					}
+				// Kill any existing animations
+				gsap.killTweensOf(entry.element);
+
+				if (entry.data) {
+					addAnimationTweens(masterTimeline, entry.method, entry.element, {
+						duration: entry.duration,
+						ease: entry.ease,
+						...entry.data
+					}, entry.delay);
 				}
+			});
+
+			// Elements left mid-animation by a retargeted transition are restored with this one
+			if (documentState.pendingRestore) {
+				documentState.pendingRestore.forEach(element => prepareForRestoration(element));
+				delete documentState.pendingRestore;
 			}
 
-			// Get all elements with transition animations in both scenes (excluding magic elements)
-			const targetAnimationElms = Array.from(targetSceneElm.querySelectorAll('[data-transition-animation], [data-transition-animation-from], [data-transition-animation-to]'))
-				.filter(el => getTransitionIdentifiers(el).length === 0);
-			const sourceAnimationElms = Array.from(currentSceneElm.querySelectorAll('[data-transition-animation], [data-transition-animation-from], [data-transition-animation-to]'))
-				.filter(el => getTransitionIdentifiers(el).length === 0);
+			// Apply the slow-motion time scale and show the waterfall of all tweens
+			if (debugOverlay) {
+				masterTimeline.timeScale(getDefault('debugTimeScale'));
+				debugOverlay.render(masterTimeline, targetSceneElm);
+			}
 
-			// Handle non-magic elements with transition animations in target scene
-			targetAnimationElms.forEach(element => handleNonMagicAnimation(element, true));
+			// Store a reference to the master timeline and controller in the document state
+			documentState.masterTimeline = masterTimeline;
+			documentState.controller = controller;
+			documentState.retargetTransition = retargetTransition;
+			documentState.finishTransition = finishTransition;
+			documentState.getEventPayload = getEventPayload;
 
-			// Handle non-magic elements with transition animations in source scene  
-			sourceAnimationElms.forEach(element => handleNonMagicAnimation(element, false));
+			return controller;
+		}
 
-			// Store a reference to the master timeline in hypeDocument
-			if (!_documentStates.has(hypeDocument)) {
-				_documentStates.set(hypeDocument, {});
-			}
-			_documentStates.get(hypeDocument).masterTimeline = masterTimeline;
+		/**
+		 * Gets the controller of the currently running magic transition
+		 * @returns {Object|null} The transition controller or null if no transition is running
+		 */
+		hypeDocument.magicTransition = function() {
+			const documentState = _documentStates.get(hypeDocument);
+			return (documentState && documentState.controller) || null;
 		}
 
 		/**
@@ -902,6 +5562,7 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		 *   - '>BaseName' or '<BaseName': Navigate to the next/previous scene matching the base name.
 		 *   - 'SceneName': Direct navigation to a specific scene.
 		 * @param {Object|number} [options] - Navigation options. Can be an object or a number for duration.
+		 * @returns {Object} The awaitable transition controller (resolves with the transition result)
 		 */
 		if (!hypeDocument.magicCard) {
 			hypeDocument.magicCard = function(name, options) {
@@ -915,40 +5576,136 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 				// Default to next scene if name is not provided
 				if (!name) name = '>';
 
-				const sceneNames = this.sceneNames();
-				const currentSceneName = this.currentSceneName();
-				const currentIndex = sceneNames.indexOf(currentSceneName);
-				let targetSceneName = null;
-
-				if (name === '>' || name === '<') {
-					const step = name === '>' ? 1 : -1;
-					const targetIndex = (currentIndex + step + sceneNames.length) % sceneNames.length;
-					targetSceneName = sceneNames[targetIndex];
-
-				} else if (name.startsWith('>') || name.startsWith('<')) {
-					const direction = name.charAt(0);
-					const baseName = name.substring(1);
-					const step = direction === '>' ? 1 : -1;
-
-					for (let i = 1; i <= sceneNames.length; i++) {
-						const index = (currentIndex + (step * i) + sceneNames.length) % sceneNames.length;
-						if (sceneNames[index].startsWith(baseName)) {
-							targetSceneName = sceneNames[index];
-							break;
-						}
+				const targetSceneName = resolveMagicCardTarget(this, name);
+
+				if (targetSceneName) {
+					return this.showSceneNamedMagic(targetSceneName, options.duration, options.ease, {
+						direction: getMagicCardDirection(name),
+						...options
+					});
+				}
+				return createSkippedController('skipped', this.currentSceneName(), null, 'Can not resolve target scene for "' + name + '"');
+			};
+		}
+
+		/**
+		 * Lets a swipe or drag gesture drive magic transitions. The drag distance scrubs the transition
+		 * and on release it either completes or springs back to the source scene.
+		 * @param {HTMLElement|string} element - Element or CSS selector within the document that receives the gesture
+		 * @param {Object} [options] - Gesture options, all other options are passed to showSceneNamedMagic
+		 * @param {string} [options.axis='x'] - Gesture axis, either 'x' or 'y'
+		 * @param {string} [options.next='>'] - magicCard target when dragging left (or up)
+		 * @param {string} [options.previous='<'] - magicCard target when dragging right (or down)
+		 * @param {number} [options.distance] - Drag distance in pixels for a full transition (defaults to the document size)
+		 * @param {number} [options.threshold] - Progress (0-1) needed to complete on release
+		 * @param {number} [options.velocity] - Release velocity in pixels per millisecond that completes or cancels regardless of progress
+		 * @returns {Object|null} Object with a destroy function to remove the gesture or null if the element was not found
+		 */
+		hypeDocument.magicGesture = function(element, options = {}) {
+			const gestureElm = typeof element === 'string' ? hypeDocElm.querySelector(element) : element;
+			if (!gestureElm) return null;
+
+			const axis = options.axis === 'y' ? 'y' : 'x';
+			const threshold = options.threshold !== undefined ? options.threshold : getDefault('gestureThreshold');
+			const velocityThreshold = options.velocity !== undefined ? options.velocity : getDefault('gestureVelocity');
+			const slop = 10;
+
+			// Keep the browser from scrolling along the gesture axis
+			const previousTouchAction = gestureElm.style.touchAction;
+			gestureElm.style.touchAction = axis === 'x' ? 'pan-y' : 'pan-x';
+
+			let gesture = null;
+
+			const getDelta = (event) => axis === 'x' ? event.clientX - gesture.startX : event.clientY - gesture.startY;
+
+			const onPointerMove = (event) => {
+				if (!gesture || event.pointerId !== gesture.pointerId) return;
+				const delta = getDelta(event);
+				const now = performance.now();
+
+				// Track velocity from the last move
+				if (now > gesture.lastTime) {
+					gesture.velocity = (delta - gesture.lastDelta) / (now - gesture.lastTime);
+				}
+				gesture.lastDelta = delta;
+				gesture.lastTime = now;
+
+				// Start the transition once the gesture leaves the slop area
+				if (!gesture.controller) {
+					if (Math.abs(delta) < slop) return;
+					gesture.sign = delta < 0 ? -1 : 1;
+					const name = gesture.sign < 0 ? (options.next || '>') : (options.previous || '<');
+					const targetSceneName = resolveMagicCardTarget(this, name);
+					const controller = targetSceneName && this.showSceneNamedMagic(targetSceneName, options.duration, options.ease, {
+						direction: getMagicCardDirection(name),
+						...options,
+						paused: true
+					});
+					if (!controller) {
+						endGesture();
+						return;
 					}
+					gesture.controller = controller;
+					gesture.distance = options.distance || (axis === 'x' ? hypeDocElm.offsetWidth : hypeDocElm.offsetHeight) || 1;
+				}
 
-                    if (!targetSceneName) {
-                        console.warn('HypeSceneMagic: Can not resolve target scene for "' + name + '".');
-                        return;
-                    }
+				// Scrub the transition with the drag distance in the initial direction. Seeking never settles
+				// the transition, so dragging to either end keeps it running until the release decides.
+				gesture.progress = Math.min(1, Math.max(0, (delta * gesture.sign) / gesture.distance));
+				gesture.controller.seek(gesture.progress);
+			};
 
-				} else {
-					targetSceneName = name;
+			const onPointerUp = (event) => {
+				if (!gesture || event.pointerId !== gesture.pointerId) return;
+				const controller = gesture.controller;
+				if (controller && controller.state === 'running') {
+					// Ignore stale velocity if the pointer rested before release
+					const velocity = performance.now() - gesture.lastTime > 100 ? 0 : gesture.velocity * gesture.sign;
+					// A pointer taken over by the browser (pointercancel) always springs back
+					const complete = event.type === 'pointerup' && (velocity > velocityThreshold || (gesture.progress >= threshold && velocity > -velocityThreshold));
+					if (complete) {
+						controller.resume();
+					} else {
+						controller.reverse();
+					}
 				}
+				endGesture();
+			};
 
-				if (targetSceneName) {
-					this.showSceneNamedMagic(targetSceneName, options.duration, options.ease, options);
+			const endGesture = () => {
+				gesture = null;
+				window.removeEventListener('pointermove', onPointerMove);
+				window.removeEventListener('pointerup', onPointerUp);
+				window.removeEventListener('pointercancel', onPointerUp);
+			};
+
+			const onPointerDown = (event) => {
+				// Only one gesture at a time and never during a running transition
+				if (gesture || hypeDocElm.classList.contains('magicTransition')) return;
+				if (event.pointerType === 'mouse' && event.button !== 0) return;
+				gesture = {
+					pointerId: event.pointerId,
+					startX: event.clientX,
+					startY: event.clientY,
+					lastDelta: 0,
+					lastTime: performance.now(),
+					velocity: 0,
+					progress: 0,
+					controller: null
+				};
+				// Listen on the window as pointer events are disabled during magic transitions
+				window.addEventListener('pointermove', onPointerMove);
+				window.addEventListener('pointerup', onPointerUp);
+				window.addEventListener('pointercancel', onPointerUp);
+			};
+
+			gestureElm.addEventListener('pointerdown', onPointerDown);
+
+			return {
+				destroy() {
+					endGesture();
+					gestureElm.removeEventListener('pointerdown', onPointerDown);
+					gestureElm.style.touchAction = previousTouchAction;
 				}
 			};
 		}
@@ -961,14 +5718,16 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		 * @param {Function} [options.onTransitionStart] - Called before transition starts
 		 * @param {Function} [options.onTransitionProgress] - Called during transition with progress
 		 * @param {Function} [options.onTransitionEnd] - Called after transition completes
+		 * @returns {Object} The awaitable transition controller (resolves with the transition result)
 		 */
 		hypeDocument.showNextSceneMagic = function(duration, ease, options) {
 			const scenes = this.sceneNames();
 			const currentSceneIdx = scenes.indexOf(this.currentSceneName());
 			const nextSceneName = scenes[currentSceneIdx + 1];
 			if (nextSceneName != null) {
-				hypeDocument.showSceneNamedMagic(nextSceneName, duration, ease, options);
+				return hypeDocument.showSceneNamedMagic(nextSceneName, duration, ease, { direction: 'forward', ...options });
 			}
+			return createSkippedController('skipped', this.currentSceneName(), null, 'There is no next scene');
 		}
 
 		/**
@@ -979,14 +5738,16 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		 * @param {Function} [options.onTransitionStart] - Called before transition starts
 		 * @param {Function} [options.onTransitionProgress] - Called during transition with progress
 		 * @param {Function} [options.onTransitionEnd] - Called after transition completes
+		 * @returns {Object} The awaitable transition controller (resolves with the transition result)
 		 */
 		hypeDocument.showPreviousSceneMagic = function(duration, ease, options) {
 			const scenes = this.sceneNames();
 			const currentSceneIdx = scenes.indexOf(this.currentSceneName());
 			const previousSceneName = scenes[currentSceneIdx - 1];
 			if (previousSceneName != null) {
-				hypeDocument.showSceneNamedMagic(previousSceneName, duration, ease, options);
+				return hypeDocument.showSceneNamedMagic(previousSceneName, duration, ease, { direction: 'back', ...options });
 			}
+			return createSkippedController('skipped', this.currentSceneName(), null, 'There is no previous scene');
 		}
 
 		/**
@@ -994,7 +5755,8 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		 * @param {HTMLElement|string} element - Element or CSS selector within current scene
 		 * @param {string|Object} animation - Animation name or properties
 		 * @param {Object} [options] - Animation options
-		 * @returns {gsap.core.Tween|null} The GSAP tween instance or null if invalid
+		 * @returns {Promise<Object>} Promise resolving with the animation result once it has ended, the GSAP tween
+		 *   is available as its tween property (null if nothing can be animated)
 		 */
 		hypeDocument.applyAnimation = function(element, animation, options = {}) {
 			// Kill any running animations on target element
@@ -1007,24 +5769,26 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 			if (typeof element === 'string') {
 				const currentScene = document.getElementById(this.currentSceneId());
 				target = currentScene.querySelectorAll(element);
-				if (target.length === 0) return null;
+				if (target.length === 0) return createAnimationPromise(null, { status: 'skipped', reason: 'No elements found for "' + element + '"' });
 			}
 
 			// Handle different animation input types
 			if (typeof animation === 'string') {
-				// Check if it's a registered animation name
-				if (!animation.includes(':')) {
-					animationData = getRegisteredAnimation(animation);
-				}
-				// If not a registered animation, parse as simple animation string
-				if (!animationData) {
-					animationData = parseSimpleAnimation(animation);
-				}
+				animationData = getAnimationData(animation, target instanceof Element ? target : target[0]);
 			} else if (typeof animation === 'object') {
-				animationData = animation;
+				animationData = normalizeAnimation(animation);
 			}
 
-			if (!animationData) return null;
+			if (!animationData) return createAnimationPromise(null, { status: 'skipped', reason: 'Animation could not be resolved' });
+
+			let resolveAnimation;
+			const startTime = performance.now();
+			const getAnimationResult = (status) => ({
+				status,
+				reason: status === 'interrupted' ? 'Animation was killed before it completed' : null,
+				elements: target.length ? Array.from(target) : [target],
+				duration: (performance.now() - startTime) / 1000
+			});
 
 			// Map of GSAP properties to Hype properties
 			const hypePropertyMap = getDefault('hypePropertyMap');
@@ -1041,7 +5805,8 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 						// Handle both single elements and NodeLists
 						const elements = target.length ? target : [target];
 						elements.forEach(el => {
-							Object.entries(animationData).forEach(([key, value]) => {
+							// Keyframe sequences sync their final step
+							Object.entries(getFinalAnimationState(animationData)).forEach(([key, value]) => {
 								// Map GSAP props to Hype props to sync runtime state
 								const hypeProp = hypePropertyMap[key];
 								if (hypeProp) {
@@ -1059,13 +5824,20 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 					
 					// Call user's onComplete if provided
 					if (options.onComplete) options.onComplete();
+
+					resolveAnimation(getAnimationResult('completed'));
+				},
+				onInterrupt: () => {
+					if (options.onInterrupt) options.onInterrupt();
+					resolveAnimation(getAnimationResult('interrupted'));
 				}
 			};
 
 			// Use gsap.from if options.from or animationData.from is true, otherwise use gsap.to
-			return (options.from || animationData.from) ? 
-				gsap.from(target, finalAnimation) : 
-				gsap.to(target, finalAnimation);
+			return createAnimationPromise(resolve => {
+				resolveAnimation = resolve;
+				return addAnimationTweens(gsap, (options.from || animationData.from) ? 'from' : 'to', target, finalAnimation)[0];
+			});
 		}
 		
 	}
@@ -1080,7 +5852,7 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	function HypeScenePrepareForDisplay(hypeDocument, element, event) {
 		const sceneElm = element; // The 'element' argument IS the scene element
 		if (sceneElm) {
-			const transitionElements = sceneElm.querySelectorAll('div[class*="magic"], div[data-transition-id], [data-transition-animation], [data-transition-animation-from], [data-transition-animation-to]');
+			const transitionElements = queryMagicElements(sceneElm, _magicSelector + ', ' + _animationSelector);
 			
 			transitionElements.forEach(el => {
 				// This populates the pristine cache with the as-designed state.
@@ -1096,6 +5868,17 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	window.HYPE_eventListeners.push({ "type": "HypeDocumentLoad", "callback": HypeDocumentLoad });
 	window.HYPE_eventListeners.push({ "type": "HypeScenePrepareForDisplay", "callback": HypeScenePrepareForDisplay });
 
+	// Remember the last pointer position and element as origin for distance staggering and reveals
+	window.addEventListener('pointerdown', function(event) {
+		_lastPointer = { x: event.clientX, y: event.clientY, target: event.target };
+	}, true);
+
+	// Remove the debug shortcut listener when the page is left and install it again if it is restored
+	window.addEventListener('pagehide', function() {
+		window.removeEventListener('keydown', onDebugShortcut);
+	});
+	window.addEventListener('pageshow', updateDebugShortcutListener);
+
 
     // --- Hype IDE Specific Code ---
 	// This block runs only inside the Hype Editor to show visual indicators.
@@ -1120,7 +5903,7 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 				const createExclusionSelector = (baseSelectors) => {
 					const notChain = classExclusions.map(attr => `:not([${attr}])`).join('');
 					return baseSelectors.map(selector => {
-						const pseudoIndex = selector.indexOf('::');
+						const pseudoIndex = selector.indexOf('::') !== -1 ? selector.indexOf('::') : selector.length;
 						const base = selector.substring(0, pseudoIndex);
 						const pseudo = selector.substring(pseudoIndex);
 						return base + notChain + pseudo;
@@ -1135,8 +5918,8 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 	
 					/* --- Base Indicator Style --- */
 					createExclusionSelector([
-						'div[data-transition-animation]::after', 'div[data-transition-animation-from]::after', 'div[data-transition-animation-to]::after',
-						'div[class*="magic"]::after', 'div[data-transition-id]::after'
+						'[data-transition-animation]::after', '[data-transition-animation-from]::after', '[data-transition-animation-to]::after',
+						'[class*="magic"]::after', '[data-transition-id]::after'
 					]) + ' {',
 					'    position: absolute; top: -4px; right: -4px; width: 16px; height: 16px; font-size: 12px;',
 					'    background-color: rgba(255, 215, 0, 0.15); border-radius: 50%;',
@@ -1146,13 +5929,13 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 
 					/* --- Specific Indicator Styles --- */
 					createExclusionSelector([
-						'div[data-transition-animation]::after', 'div[data-transition-animation-from]::after', 'div[data-transition-animation-to]::after'
+						'[data-transition-animation]::after', '[data-transition-animation-from]::after', '[data-transition-animation-to]::after'
 					]) + ' {',
 					'    content: "🎬";',
 					'}',
 	
 					createExclusionSelector([
-						'div[class*="magic"]::after', 'div[data-transition-id]::after'
+						'[class*="magic"]::after', '[data-transition-id]::after'
 					]) + ' {',
 					'    content: "🌟";',
 					'    animation: magic-spin 5s linear infinite;',
@@ -1161,16 +5944,16 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 					/* --- Combination State (Overrides Defaults) --- */
 	
 					createExclusionSelector([
-						'div[class*="magic"][data-transition-animation]::after', 'div[class*="magic"][data-transition-animation-from]::after', 'div[class*="magic"][data-transition-animation-to]::after',
-						'div[data-transition-id][data-transition-animation]::after', 'div[data-transition-id][data-transition-animation-from]::after', 'div[data-transition-id][data-transition-animation-to]::after'
+						'[class*="magic"][data-transition-animation]::after', '[class*="magic"][data-transition-animation-from]::after', '[class*="magic"][data-transition-animation-to]::after',
+						'[data-transition-id][data-transition-animation]::after', '[data-transition-id][data-transition-animation-from]::after', '[data-transition-id][data-transition-animation-to]::after'
 					]) + ' {',
 					'    content: "🎬";',
 					'    animation: none;',
 					'}',
 					
 					createExclusionSelector([
-						'div[class*="magic"][data-transition-animation]::before', 'div[class*="magic"][data-transition-animation-from]::before', 'div[class*="magic"][data-transition-animation-to]::before',
-						'div[data-transition-id][data-transition-animation]::before', 'div[data-transition-id][data-transition-animation-from]::before', 'div[data-transition-id][data-transition-animation-to]::before'
+						'[class*="magic"][data-transition-animation]::before', '[class*="magic"][data-transition-animation-from]::before', '[class*="magic"][data-transition-animation-to]::before',
+						'[data-transition-id][data-transition-animation]::before', '[data-transition-id][data-transition-animation-from]::before', '[data-transition-id][data-transition-animation-to]::before'
 					]) + ' {',
 					'    content: "🌟";',
 					'    position: absolute;',
@@ -1181,6 +5964,14 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 					'    transform: translate(50%, 50%);',
 					'    z-index: 10000;',
 					'    pointer-events: none;',
+					'}',
+
+					/* --- Elements without pseudo elements (vector shapes, images, video and widgets) --- */
+					createExclusionSelector(['svg', 'img', 'video', 'iframe'].reduce((selectors, tag) => selectors.concat([
+						tag + '[class*="magic"]', tag + '[data-transition-id]', tag + '[data-transition-animation]', tag + '[data-transition-animation-from]', tag + '[data-transition-animation-to]'
+					]), [])) + ' {',
+					'    outline: 2px dashed rgba(255, 215, 0, 0.6);',
+					'    outline-offset: 2px;',
 					'}'
 				].join(' ');
 				document.head.appendChild(style);
@@ -1194,6 +5985,13 @@ if ("HypeSceneMagic" in window === false) window['HypeSceneMagic'] = (function()
 		setDefault,
 		clearCachedMagicProperties,
         getTransitionIdentifiers,
-		registerAnimation
+		getResolvedIdentifiers,
+		registerAnimation,
+		registerCarryHandler,
+		parseAnimation,
+		planTransition,
+		validate,
+		on,
+		off
 	};
 })();
@@ -1,29 +1,168 @@
 /*
- Hype SceneMagic 2.7.3 (GSAP Version)
+ Hype SceneMagic 2.9.8 (GSAP Version)
  Copyright (c) 2025 Max Ziebell, (https://maxziebell.de). MIT-license
  Requires GSAP animation library (https://greensock.com/gsap/)
 */
-'use strict';"HypeSceneMagic"in window===!1&&(window.HypeSceneMagic=function(){function R(a){const e={},l=y("defaultProperties");for(let b in l)y("skipProperties").includes(b)||(e[b]=a.style[b]||l[b]);return e}function y(a){return a?I[a]:I}function J(a){a=a||"power1.inOut";return y("easingMap")[a.toLowerCase()]||a}function Z(a){return a.parentElement&&a.parentElement.classList.contains("HYPE_element_container")?a.parentElement:a}function aa(a,e){return e==="front"||e==="back"?(a=Array.from(a.parentElement.children).map(l=>
-parseInt(getComputedStyle(l).zIndex)||0),e==="front"?(Math.max(...a)+1).toString():(Math.min(...a)-1).toString()):e}function B(a){const e=[];a.classList.forEach(l=>{l.toLowerCase().startsWith("magic")&&l.length>5&&e.push(l.slice(5).toLowerCase())});(a=a.getAttribute("data-transition-id"))&&e.push(...a.split(",").map(l=>l.trim().toLowerCase()).map(l=>l.startsWith("magic")?l.slice(5):l).filter(Boolean));return[...(new Set(e))]}function N(a,e,l){const b=d=>{if(typeof d==="string"){if(d.endsWith("%"))return parseFloat(d)/
-100*parseFloat(l);if(d.endsWith("ms"))return parseFloat(d)/1E3;if(d.endsWith("s"))return parseFloat(d)}return parseFloat(d)*parseFloat(l)};a=b(a);e=b(e);return{delay:a,duration:e}}function ba(){if(!document.getElementById("magicTransitionStyle")){let a=document.createElement("style");a.id="magicTransitionStyle";a.textContent=".magicTransition, .magicTransition * { pointer-events: none !important; }.magicTransition \x3e .HYPE_scene { transform: none !important; }.magicTransition \x3e .HYPE_scene.currentScene { z-index: 1 !important; display: block !important; }.magicTransition \x3e .HYPE_scene.targetScene { z-index: 2 !important; display: block !important; opacity: var(--scene-opacity, 0) !important; }.magicTransition \x3e .HYPE_document \x3e .HYPE_element_container { z-index: 1000 !important; }.magicTransition \x3e .HYPE_scene.currentScene.fadeComplete { display: none !important; }.magicTransition \x3e .HYPE_scene.targetScene.fadeComplete { opacity: 1 !important; }";
-document.head.appendChild(a)}}function K(a){if(!a)return null;const e={},l=["scale","scaleX","scaleY","scaleZ"];a.split(";").filter(Boolean).forEach(b=>{const [d,h]=b.trim().split(":").map(g=>g.trim());l.includes(d)&&h.endsWith("%")?e[d]=parseFloat(h)/100:e[d]=h});return e}function U(a,e){typeof e==="string"&&(e=K(e));I.registeredAnimations[a.toLowerCase()]=e}function O(a){return I.registeredAnimations[a.toLowerCase()]||null}function ca(a){const e=[];a.masterTimeline.getChildren().forEach(l=>{l.progress()!==
-1&&l._targets&&Array.isArray(l._targets)&&l._targets.forEach(b=>{if(b&&b.id){var d=B(b);const h=[b.getAttribute("data-transition-animation")&&`animation: ${b.getAttribute("data-transition-animation")}`,b.getAttribute("data-transition-animation-from")&&`animation-from: ${b.getAttribute("data-transition-animation-from")}`,b.getAttribute("data-transition-animation-to")&&`animation-to: ${b.getAttribute("data-transition-animation-to")}`].filter(Boolean);d=`${b.id} (magic: ${d.length>0?d.join(", "):"none"})`;
-b=[b.getAttribute("data-transition-delay")&&`delay: ${b.getAttribute("data-transition-delay")}`,b.getAttribute("data-transition-duration")&&`duration: ${b.getAttribute("data-transition-duration")}`,h.length>0&&h.join(", ")].filter(Boolean);b.length>0&&(d+=` - ${b.join(", ")}`);e.push(d)}})});a=["font-weight: bold;","font-weight: normal;"];e.length>0?console.warn("%cHypeSceneMagic: %cPrevious magic transition was interrupted by a new one. This indicates overlapping magic transitions in your Hype document.\n\n%cInterrupted elements:\n%c"+
-e.map((l,b)=>`${b+1}. ${l}`).join("\n"),...a,"font-weight: bold; margin-top: 8px;","font-family: monospace; font-size: 11px; line-height: 1.8; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.1);"):console.warn("%cHypeSceneMagic: %cPrevious magic transition was interrupted by a new one. This indicates overlapping magic transitions in your Hype document.",...a)}function S(a){if(!a)return{rotations:{},transform:""};const e={};a=a.replace(/(rotate[XYZ]?|rotate)\(([^)]+)\)/g,(l,
-b,d)=>{e[b]=d;return""}).trim();return{rotations:e,transform:a}}let I={easingMap:{easein:"power1.in",easeout:"power1.out",easeinout:"power1.inOut"},defaultProperties:{width:"auto",height:"auto",opacity:1,borderRadius:"0px",transform:"",wordSpacing:"normal",backgroundColor:"transparent",color:"inherit",fontSize:"inherit",fontWeight:"inherit",textAlign:"left",textShadow:"none",lineHeight:"normal",letterSpacing:"normal",textDecoration:"none"},crossFadeFactor:.5,durationTransition:.5,durationAnimation:.25,
-registeredAnimations:{},hypePropertyMap:{x:"left",y:"top",scale:["scaleX","scaleY"],scaleX:"scaleX",scaleY:"scaleY",rotation:"rotateZ",opacity:"opacity",width:"width",height:"height",zIndex:"z-index"},skipProperties:[],decomposeTransform:!0,highlightSceneMagic:!0},C=new WeakMap,P=new WeakMap;const L=new WeakMap;"HYPE_eventListeners"in window===!1&&(window.HYPE_eventListeners=[]);window.HYPE_eventListeners.push({type:"HypeDocumentLoad",callback:function(a,e,l){ba();a.registerAnimation=U;a.showSceneNamedMagic=
-function(b,d,h,g={}){if(e.classList.contains("magicTransition")){var k=L.get(a);if(k&&k.masterTimeline){ca(k);k.masterTimeline.progress(1);gsap.killTweensOf(k.masterTimeline);delete k.masterTimeline;requestAnimationFrame(()=>{this.showSceneNamedMagic(b,d,h,g)});return}}k=this.currentSceneName();const D=this.currentLayoutName();if(b!==k)if(this.sceneNames().includes(b)){var p=this.layoutsForSceneNamed(k),t=p.find(c=>{if(c.name===D)return!0})||p[0];p=this.layoutsForSceneNamed(b);var z=p.find(c=>c.name===
-D)||p.find(c=>c.width===t.width&&c.height===t.height)||p[0];p=t._;z=z._;var u=document.querySelector(`#${this.documentId()} > [hype_scene_index="${p}"]`),x=document.querySelector(`#${this.documentId()} > [hype_scene_index="${z}"]`);P=new WeakMap;d=d||y("durationTransition");p=g.crossFadeFactor!==void 0?g.crossFadeFactor:y("crossFadeFactor");p*=d;e.classList.add("magicTransition");u.classList.add("currentScene");x.classList.add("targetScene");if(g.onTransitionPrepare)g.onTransitionPrepare(u,x,{duration:d,
-ease:h});a.triggerCustomBehaviorNamed("magicTransitionStart");a.triggerCustomBehaviorNamed(`magicTransitionFrom_${k.replace(/\s+/g,"")}`);a.triggerCustomBehaviorNamed(`magicTransitionTo_${b.replace(/\s+/g,"")}`);a.triggerCustomBehaviorNamed(`magicTransition_${k.replace(/\s+/g,"")}_to_${b.replace(/\s+/g,"")}`);a.showSceneNamed(b,a.kSceneTransitionCrossfade,d);var F=gsap.timeline({onStart:()=>{if(g.onTransitionStart)g.onTransitionStart(u,x,{duration:d,ease:h})},onUpdate:function(){if(g.onTransitionProgress)g.onTransitionProgress(this.progress(),
-u,x)},onComplete:()=>{const c=()=>{var v=getComputedStyle(x).opacity;if(parseFloat(v)==1){requestAnimationFrame(()=>{V.forEach(f=>{const m=P.get(f);m&&gsap.set(f,m)})});e.classList.remove("magicTransition");u.classList.remove("currentScene","fadeComplete");x.classList.remove("targetScene","fadeComplete");if(g.onTransitionEnd)g.onTransitionEnd(u,x,{duration:d,ease:h});a.triggerCustomBehaviorNamed("magicTransitionEnd");(v=L.get(a))&&delete v.masterTimeline}else requestAnimationFrame(c)};c()}});F.to({},
-{duration:d});F.fromTo(x,{"--scene-opacity":0},{"--scene-opacity":1,duration:p,ease:"none",onComplete:()=>{u.classList.add("fadeComplete");x.classList.add("fadeComplete");gsap.killTweensOf(u.querySelectorAll("*"))}},0);var W=x.querySelectorAll('div[class*\x3d"magic"], div[data-transition-id]'),X=u.querySelectorAll('div[class*\x3d"magic"], div[data-transition-id]'),V=new Set,T=c=>{C.has(c)&&!P.has(c)&&P.set(c,C.get(c));V.add(c)};W.forEach(c=>{const v=B(c);if(v.length>0){const G=Array.from(X).find(r=>
-B(r).some(w=>v.includes(w)));if(G){gsap.killTweensOf([c,G]);T(G);const r=R(G);var f=C.get(G);if(f&&f.transform){const q={...f};({rotations:f}=S(q.transform));Object.assign(q,f);r.transform&&!r.transform.includes("rotate")&&["rotate","rotateX","rotateY","rotateZ"].forEach(E=>{const A=parseFloat(q[E])||0;A!==0&&A%360===0&&(r[E]=A+"deg")})}const w={...(C.get(c)||R(c))};function Q(q,E){let A=G.getAttribute(q);return A==="target"?c.getAttribute(q)||E:A||E}f=Q("data-transition-delay",0);var m=Q("data-transition-duration",
-1),n=Q("data-transition-order",null);f=N(f,m,d);m=Q("data-transition-ease",h);let M=null;n!==null&&(M=Z(c),n=aa(M,n),gsap.set(M,{zIndex:n}));n=gsap.timeline({onComplete:()=>{M&&gsap.set(M,{clearProps:"zIndex"})}});if(y("decomposeTransform")){var H=S(r.transform);Object.assign(r,H.rotations);r.transform=H.transform;H=S(w.transform);Object.assign(w,H.rotations);w.transform=H.transform;["rotate","rotateX","rotateY","rotateZ"].forEach(q=>{const E=parseFloat(r[q])||0,A=(parseFloat(w[q])||0)-E;A!==0?(r[q]=
-E+"deg",w[q]=`+=${A}`):(delete r[q],delete w[q])});["width","height"].forEach(q=>{r[q]==="auto"&&w[q]==="auto"&&(delete r[q],delete w[q])})}n.fromTo(c,r,{...w,duration:f.duration,ease:J(m)},f.delay);n.fromTo(G,r,{...w,duration:f.duration,ease:J(m)},f.delay);F.add(n,0)}else if(m=c.getAttribute("data-transition-animation-from")||c.getAttribute("data-transition-animation"))gsap.killTweensOf(c),m.includes(":")||(f=O(m)),f||=K(m),f&&(m=c.getAttribute("data-transition-delay")||0,n=c.getAttribute("data-transition-duration")||
-1,m=N(m,n,d),n=c.getAttribute("data-transition-ease")||h,F.from(c,{duration:m.duration,ease:J(n),...f},m.delay))}});X.forEach(c=>{const v=B(c);if(v.length>0&&!Array.from(W).some(n=>B(n).some(H=>v.includes(H)))){T(c);gsap.killTweensOf(c);var f=c.getAttribute("data-transition-animation-to")||c.getAttribute("data-transition-animation");if(f){let n;f.includes(":")||(n=O(f));n||=K(f);if(n){f=c.getAttribute("data-transition-delay")||0;var m=c.getAttribute("data-transition-duration")||1;f=N(f,m,d);m=c.getAttribute("data-transition-ease")||
-h;F.to(c,{duration:f.duration,ease:J(m),...n},f.delay)}}}});var Y=(c,v)=>{var f=c.getAttribute(`data-transition-animation-${v?"from":"to"}`)||c.getAttribute("data-transition-animation");if(f){T(c);gsap.killTweensOf(c);let n;f.includes(":")||(n=O(f));n||=K(f);if(n){f=c.getAttribute("data-transition-delay")||0;var m=c.getAttribute("data-transition-duration")||1;f=N(f,m,d);m=c.getAttribute("data-transition-ease")||h;F[v?"from":"to"](c,{duration:f.duration,ease:J(m),...n},f.delay)}}};k=Array.from(x.querySelectorAll("[data-transition-animation], [data-transition-animation-from], [data-transition-animation-to]")).filter(c=>
-B(c).length===0);p=Array.from(u.querySelectorAll("[data-transition-animation], [data-transition-animation-from], [data-transition-animation-to]")).filter(c=>B(c).length===0);k.forEach(c=>Y(c,!0));p.forEach(c=>Y(c,!1));L.has(a)||L.set(a,{});L.get(a).masterTimeline=F}else console.warn('HypeSceneMagic: Target scene "'+b+'" not found.')};a.magicCard||(a.magicCard=function(b,d){d=d||{};typeof d==="number"&&(d={duration:d});b||="\x3e";const h=this.sceneNames();var g=this.currentSceneName();g=h.indexOf(g);
-let k=null;if(b==="\x3e"||b==="\x3c")k=h[(g+(b==="\x3e"?1:-1)+h.length)%h.length];else if(b.startsWith("\x3e")||b.startsWith("\x3c")){var D=b.charAt(0);const p=b.substring(1);D=D==="\x3e"?1:-1;for(let t=1;t<=h.length;t++){const z=(g+D*t+h.length)%h.length;if(h[z].startsWith(p)){k=h[z];break}}if(!k){console.warn('HypeSceneMagic: Can not resolve target scene for "'+b+'".');return}}else k=b;k&&this.showSceneNamedMagic(k,d.duration,d.ease,d)});a.showNextSceneMagic=function(b,d,h){var g=this.sceneNames();
-const k=g.indexOf(this.currentSceneName());g=g[k+1];g!=null&&a.showSceneNamedMagic(g,b,d,h)};a.showPreviousSceneMagic=function(b,d,h){var g=this.sceneNames();const k=g.indexOf(this.currentSceneName());g=g[k-1];g!=null&&a.showSceneNamedMagic(g,b,d,h)};a.applyAnimation=function(b,d,h={}){gsap.killTweensOf(b);let g,k=b;if(typeof b==="string"&&(k=document.getElementById(this.currentSceneId()).querySelectorAll(b),k.length===0))return null;typeof d==="string"?(d.includes(":")||(g=O(d)),g||=K(d)):typeof d===
-"object"&&(g=d);if(!g)return null;const D=y("hypePropertyMap");b={ease:J(h.ease),duration:h.duration||y("durationAnimation"),...g,...h,onComplete:()=>{h.skipHypeSync||(k.length?k:[k]).forEach(p=>{Object.entries(g).forEach(([t,z])=>{(t=D[t])&&(Array.isArray(t)?t.forEach(u=>{this.setElementProperty(p,u,z)}):this.setElementProperty(p,t,z))})});if(h.onComplete)h.onComplete()}};return h.from||g.from?gsap.from(k,b):gsap.to(k,b)}}});window.HYPE_eventListeners.push({type:"HypeScenePrepareForDisplay",callback:function(a,
-e,l){e&&e.querySelectorAll('div[class*\x3d"magic"], div[data-transition-id], [data-transition-animation], [data-transition-animation-from], [data-transition-animation-to]').forEach(b=>{C.has(b)||C.set(b,R(b))})}});return{version:"2.7.3",getDefault:y,setDefault:function(a,e){typeof a=="object"?I=a:I[a]=e},clearCachedMagicProperties:function(a){a?C.delete(a):C=new WeakMap},getTransitionIdentifiers:B,registerAnimation:U}}());
+'use strict';"HypeSceneMagic"in window===!1&&(window.HypeSceneMagic=function(){function Ta(a){ra.has(a)||ra.set(a,{});return ra.get(a)}function Hc(a){return G("skipProperties").some(b=>b===a||(Ic[b]||[]).includes(a))}function Ua(a){var b={},d=G("defaultProperties");for(let c in d)Hc(c)||(b[c]=a.style[c]||d[c]);return b}function zb(a,b){var d=G("defaultProperties"),c={};for(let e in b){let f=a.style[e];if(f||b[e]!==d[e])if(e==="transform"||f!==String(b[e]))c[e]=b[e]}gsap.set(a,c)}function Va(a){Jc(a,
+G("debugShortcut"))&&Wa("debug",!G("debug"))}function Ab(){window.removeEventListener("keydown",Va);G("debugShortcut")&&window.addEventListener("keydown",Va)}function Wa(a,b){typeof a=="object"?W=a:W[a]=b;typeof a!="object"&&a!=="debugShortcut"||Ab()}function G(a){return a?W[a]:W}function da(a){a=a||"power1.inOut";return typeof a!=="string"?a:G("easingMap")[a.toLowerCase()]||a}function Bb(a,b,d,c){a=Math.min(1,Math.max(0,parseFloat(a)||0));d=Math.min(1,Math.max(0,parseFloat(d)||0));b=parseFloat(b)||
+0;c=parseFloat(c)||0;var e=(f,g,h)=>3*(1-f)*(1-f)*f*g+3*(1-f)*f*f*h+f*f*f;return function(f){if(f<=0||f>=1)return f<=0?0:1;var g=f;for(var h=0;h<8;h++){var k=e(g,a,d)-f,m=3*(1-g)*(1-g)*a+6*(1-g)*g*(d-a)+3*g*g*(1-d);if(Math.abs(k)<1E-6)return e(g,b,c);if(Math.abs(m)<1E-6)break;g-=k/m}h=0;k=1;g=f;for(m=0;m<30;m++){let l=e(g,a,d);if(Math.abs(l-f)<1E-6)break;l<f?h=g:k=g;g=(h+k)/2}return e(g,b,c)}}function Xa(a,b,d,c){a=parseFloat(a)>0?parseFloat(a):1;b=parseFloat(b)>0?parseFloat(b):100;d=parseFloat(d)>=
+0?parseFloat(d):10;c=parseFloat(c)||0;var e=[a,b,d,c].join();if(Ya.has(e))return Ya.get(e);var f=Math.sqrt(b/a),g=d/(2*Math.sqrt(b*a));if(g<1){let k=f*Math.sqrt(1-g*g),m=(c-g*f)/k;var h=l=>Math.exp(-g*f*l)*(-Math.cos(k*l)+m*Math.sin(k*l))}else if(g===1){let k=c-f;h=m=>Math.exp(-f*m)*(-1+k*m)}else{a=Math.sqrt(g*g-1);let k=-f*(g-a),m=-f*(g+a),l=(c+k)/(m-k),n=-1-l;h=p=>n*Math.exp(k*p)+l*Math.exp(m*p)}a=c=1/60;for(b=0;b<=10;b+=c)Math.abs(h(b))>=.001&&(a=b+c);c={position:k=>1+h(k),settleTime:a};Ya.set(e,
+c);return c}function Cb(a,b,d,c){var e=Xa(a,b,d,c);return f=>f>=1?1:e.position(f*e.settleTime)}function Kc(){if(!gsap.parseEase().spring){var a=Bb(.25,.1,.25,1);a.config=Bb;gsap.registerEase("cubic-bezier",a);a=Cb();a.config=Cb;gsap.registerEase("spring",a)}}function Za(a){var b=typeof a==="string"&&a.trim().match(/^spring\(([^)]*)\)$/i);return b?Xa(...b[1].split(",")).settleTime:a==="spring"?Xa().settleTime:0}function Db(a){return a.parentElement&&a.parentElement.classList.contains("HYPE_element_container")?
+a.parentElement:a}function Eb(a,b){return b==="front"||b==="back"?(a=Array.from(a.parentElement.children).map(d=>parseInt(getComputedStyle(d).zIndex)||0),b==="front"?(Math.max(...a)+1).toString():(Math.min(...a)-1).toString()):b}function $a(a){var b=[];if(a.closest(Fb))return b;a.classList.forEach(d=>{d.toLowerCase().startsWith("magic")&&d.length>5&&b.push(d.slice(5).toLowerCase())});(a=a.getAttribute("data-transition-id"))&&b.push(...a.split(",").map(d=>d.trim().toLowerCase()).map(d=>d.startsWith("magic")?
+d.slice(5):d).filter(Boolean));return[...(new Set(b))]}function ma(a,b='[class*="magic"], [data-transition-id]'){return Array.from(a.querySelectorAll(b)).filter(d=>!d.closest(Fb))}function Ga(a){return a.parentElement&&a.parentElement.closest('[data-transition-scope]:not([data-transition-scope=""])')}function Lc(a){var b=[];for(a=Ga(a);a;a=Ga(a))b.unshift(a.getAttribute("data-transition-scope").trim().toLowerCase());return b.join("/")}function Mc(a,b,d){var c=Ga(a),e=c||a.closest(".HYPE_scene")||
+a.ownerDocument,f=d&&d.get(e);f||(f=new Map,ma(e).forEach(g=>{Ga(g)===c&&$a(g).filter(h=>h.includes("[n]")).forEach(h=>{f.has(h)||f.set(h,[]);f.get(h).push(g)})}),d&&d.set(e,f));return b.replace(/\[n\]/g,(f.get(b)||[]).indexOf(a)+1)}function na(a,b){var d=Lc(a);return[...(new Set($a(a).map(c=>{c=c.includes("[n]")?Mc(a,c,b):c;return d?d+"/"+c:c})))]}function Nc(a,b){if(a===b)return!0;var d=(c,e)=>{if(!c.includes("*"))return!1;if(!ab.has(c)){let f=c.split("*").map(g=>g.replace(/[.+?^${}()|[\]\\]/g,
+"\\$&")).join("[^/]*");ab.set(c,new RegExp("^"+f+"$"))}return ab.get(c).test(e)};return d(a,b)||d(b,a)}function bb(a,b){var d=[];a.forEach(c=>b.forEach(e=>{Nc(c,e)&&d.push(c.includes("*")?e:c)}));return[...(new Set(d))]}function Ha(a,b,d){var c=e=>{if(typeof e==="string"){if(e.endsWith("%"))return parseFloat(e)/100*parseFloat(d);if(e.endsWith("ms"))return parseFloat(e)/1E3;if(e.endsWith("s"))return parseFloat(e)}return parseFloat(e)*parseFloat(d)};a=c(a);b=c(b);return{delay:a,duration:b}}function Oc(){if(!document.getElementById("magicTransitionStyle")){let a=
+document.createElement("style");a.id="magicTransitionStyle";a.textContent='.magicTransition, .magicTransition * { pointer-events: none !important; }.magicTransition > .HYPE_scene { transform: var(--scene-transform, none) !important; transform-origin: 0 0 !important; }.magicTransition[data-scene-transition] { overflow: hidden !important; }.magicTransition[data-scene-transition] > .HYPE_scene { overflow: visible !important; }.magicTransition[data-scene-transition="flip"] > .HYPE_scene { backface-visibility: hidden !important; }.magicTransition[data-scene-transition="uncover"] > .HYPE_scene.targetScene { z-index: 0 !important; }.magicTransition[data-scene-reveal] > .HYPE_scene.targetScene { clip-path: var(--scene-clip, none) !important; }.magicTransition[data-scene-reveal="collapse"] > .HYPE_scene.targetScene { z-index: 0 !important; }.magicTransition[data-scene-reveal="collapse"] > .HYPE_scene.currentScene { clip-path: var(--scene-clip, none) !important; opacity: var(--scene-opacity, 1) !important; }.magicExpandLayer { position: absolute; z-index: 100000; pointer-events: none; box-sizing: border-box; }.magicFlyingLayer { position: absolute; z-index: 3; pointer-events: none; overflow: visible; }.magicTransition > .HYPE_scene.currentScene { z-index: 1 !important; display: block !important; }.magicTransition > .HYPE_scene.targetScene { z-index: 2 !important; display: block !important; opacity: var(--scene-opacity, 0) !important; }.magicTransition > .HYPE_document > .HYPE_element_container { z-index: 1000 !important; }.magicTransition > .HYPE_scene.currentScene.fadeComplete { display: none !important; }.magicTransition > .HYPE_scene.targetScene.fadeComplete { opacity: 1 !important; clip-path: none !important; }';
+document.head.appendChild(a)}}function Pc(a,b){var d=b.match(/^(["'])([\s\S]*)\1$/);if(d)return d[2].replace(/\\(.)/g,"$1");if(b==="true"||b==="false")return b==="true";var c=b.match(/^([+-]=)?(-?(?:\d+\.?\d*|\.\d+))([a-z%]*)$/i);if(!c)return b;d=c[1]||"";var e=parseFloat(c[2]),f=(c=c[3].toLowerCase())?null:e;Qc.includes(a)&&c==="%"?f=e/100:Rc.includes(a)&&Gb[c]?f=e*Gb[c]+"deg":!Sc.includes(a)||c!=="ms"&&c!=="s"||(f=c==="ms"?e/1E3:e);return f===null?b:d?d+f:f}function Hb(a){var b=a.map(c=>c.position===
+void 0?null:c.position);b[0]===null&&(b[0]=0);b[b.length-1]===null&&(b[b.length-1]=100);for(let c=1;c<b.length-1;c++){if(b[c]!==null)continue;let e=c+1;for(;b[e]===null;)e++;b[c]=b[c-1]+(b[e]-b[c-1])/(e-c+1)}var d={};a.forEach((c,e)=>{d[+b[e].toFixed(4)+"%"]=c.animation});return d}function Ib(a){return Array.isArray(a)?a:Object.keys(a).filter(b=>b.endsWith("%")).sort((b,d)=>parseFloat(b)-parseFloat(d)).map(b=>a[b])}function Tc(a){if(!a.keyframes)return a;var b={};Ib(a.keyframes).forEach(d=>{Object.keys(d).forEach(c=>
+{c!=="ease"&&(b[c]=d[c])})});return b}function Jb(a){return Array.isArray(a)?{keyframes:Hb(a.map(b=>({animation:b})))}:a}function Kb(a){a=String(a||"");var b=[],d=[],c=[],e=1,f=[],g=null,h=[];for(var k=0;k<a.length;k++){let n=a[k],p=k+1;if(g)n==="\\"&&k+1<a.length?(f.push({char:n,column:p,top:!1},{char:a[k+1],column:p+1,top:!1}),k++):(n===g.char&&(g=null),f.push({char:n,column:p,top:!1}));else if(n==="/"&&a[k+1]==="*"){k=a.indexOf("*/",k+2);if(k===-1){b.push({column:p,message:"Unterminated comment"});
+break}k+=1}else n!==";"&&n!==">"||h.length!==0?(n==='"'||n==="'"?g={char:n,column:p}:n==="("?h.push(p):n===")"&&(h.length===0?b.push({column:p,message:"Unexpected ')'"}):h.pop()),f.push({char:n,column:p,top:!g&&h.length===0&&n!==")"})):(c.push(f),f=[],n===">"&&(d.push({declarations:c,column:e}),c=[],e=p+1))}g?b.push({column:g.column,message:"Unterminated quote"}):h.length?b.push({column:h[0],message:"Missing ')'"}):c.push(f);d.push({declarations:c,column:e});var m=n=>n.map(p=>p.char).join(""),l=(n,
+p)=>{var w=n.find(x=>!/\s/.test(x.char));if(w){var r=n.findIndex(x=>x.top&&x.char===":");if(r===-1)b.push({column:w.column,message:`Expected ':' after "${m(n).trim()}"`});else{var t=m(n.slice(0,r)).trim();if(/^(--)?[a-zA-Z_$][\w$-]*$/.test(t)){w=t.startsWith("--")?t:t.replace(/-([a-z])/g,(x,B)=>B.toUpperCase());var y=[],v=null;n.slice(r+1).forEach(x=>{x.top&&/\s/.test(x.char)?v=null:(v||y.push(v={text:"",column:x.column}),v.text+=x.char)});var q=null,z=y.filter(x=>{if(!x.text.startsWith("ease="))return!0;
+(q=x.text.slice(5))||b.push({column:x.column,message:`Missing ease name for "${t}"`});return!1});z.length===0?b.push({column:n[r].column,message:`Missing value for "${t}"`}):(p[w]=Pc(w,z.map(x=>x.text).join(" ")),q&&(p.propertyEases=p.propertyEases||{},p.propertyEases[w]=q))}else b.push({column:w.column,message:`Invalid property name "${t}"`})}}};a=d.map(n=>{var p={},w=n.declarations[0],r=w.findIndex(y=>!/\s/.test(y.char));if(r!==-1&&w[r].char==="@"){let y=r;for(;y<w.length&&!/\s/.test(w[y].char);)y++;
+let v=m(w.slice(r+1,y));var t=v.endsWith("%")?parseFloat(v):parseFloat(v)*100;if(!/^(\d+\.?\d*|\.\d+)%?$/.test(v)||t>100)b.push({column:w[r].column,message:`Invalid keyframe position "@${v}"`}),t=void 0;n.declarations[0]=w.slice(y)}n.declarations.forEach(y=>l(y,p));return{animation:p,position:t,column:n.column}});d=a[0].animation;if(a.length>1){a=a.filter(p=>{if(Object.keys(p.animation).length>0)return!0;b.push({column:p.column,message:"Empty keyframe step"});return!1});a.forEach(p=>{var w=p.animation.propertyEases;
+w&&(delete p.animation.propertyEases,p.animation.ease=p.animation.ease||Object.values(w).pop())});let n=-1;a.forEach(p=>{p.position!==void 0&&(p.position<=n?(b.push({column:p.column,message:`Keyframe position ${p.position}% does not increase`}),p.position=void 0):n=p.position)});d=a.length>1?{keyframes:Hb(a)}:(a[0]||{}).animation||{}}b.sort((n,p)=>n.column-p.column);return{animation:d,errors:b}}function Lb(a,b,d){console.warn(`%cHypeSceneMagic: %cCould not parse animation "${b}"${d?` on ${d.id||"an element without id"}`:
+""}\n%c`+a.map(c=>`column ${c.column}: ${c.message}`).join("\n"),"font-weight: bold;","font-weight: normal;","font-family: monospace; font-size: 11px; line-height: 1.8;")}function Ia(a,b,d){if(!a)return null;var {animation:c,errors:e}=Kb(a);e.length&&!d&&Lb(e,a,b);return Object.keys(c).length?c:null}function Mb(a,b,d,c,e){var {propertyEases:f,...g}=c;g.ease=da(g.ease);if(g.keyframes){if(b==="from"){let {ease:h,...k}=Ib(g.keyframes)[0];a.set(d,{...k,immediateRender:!0},e===void 0?void 0:0)}b="to";
+Array.isArray(g.keyframes)||(g.keyframes={easeEach:g.ease,...g.keyframes},g.ease="none")}c=Object.keys(f||{}).filter(h=>h in g).map(h=>{var k={[h]:g[h],ease:da(f[h])};"duration delay repeat repeatDelay yoyo stagger".split(" ").forEach(m=>{m in g&&(k[m]=g[m])});delete g[h];return k});return[g,...c].map(h=>{var k=Za(h.ease);k>(h.duration||0)&&(h.duration=k);return a[b](d,h,e)})}function Nb(a,b){typeof b==="string"&&(b=Ia(b));b=Jb(b);W.registeredAnimations[a.toLowerCase()]=b}function Ob(a,b){W.registeredCarryHandlers[a.toLowerCase()]=
+b}function Pb(a,b,d,c){if(!a)return null;if(!a.includes(":")){let e=W.registeredAnimations[a.toLowerCase()]||null;e||c||Lb([{column:1,message:"Not a registered animation"}],a,b);return e&&d?cb(e):e}return Ia(a,b,c)}function cb(a){var b={...a};Uc.forEach(d=>{if(d in b){var c=b[d];if(typeof c==="number")c=-c;else if(typeof c==="string"){var e=c.trim(),f=e.match(/^([+-])=(.*)$/);c=f?(f[1]==="+"?"-=":"+=")+f[2]:/^-[\d.]/.test(e)?e.slice(1):/^[\d.]/.test(e)?"-"+e:c}b[d]=c}});a.keyframes&&(b.keyframes=
+Array.isArray(a.keyframes)?a.keyframes.map(cb):Object.fromEntries(Object.entries(a.keyframes).map(([d,c])=>[d,c&&typeof c==="object"?cb(c):c])));return b}function Qb(a,b,d){b=d?[`-${b}-${d}`,`-${b}`,`-${d}`,""]:[`-${b}`,""];for(let c of b)if(b=a.getAttribute("data-transition-animation"+c))return b;return null}function Rb(a,b,d){if(d==="forward"||d==="back")return d;d=a.sceneNames();return d.indexOf(b)>d.indexOf(a.currentSceneName())?"forward":"back"}function Sb(a){if(a.startsWith(">"))return"forward";
+if(a.startsWith("<"))return"back"}function oa(a,b,d,c){a=a.getAttribute(d);return a==="target"?b.getAttribute(d)||c:a||c}function Tb(a,b){return a.find(d=>d.name===b.name)||a.find(d=>d.width===b.width&&d.height===b.height)||a[0]}function Ja(a,b){return document.querySelector(`#${a.documentId()} > [hype_scene_index="${b._}"]`)}function Ub(a,b){var d=a.currentSceneName(),c=a.currentLayoutName();d=a.layoutsForSceneNamed(d);d=d.find(e=>e.name===c)||d[0];b=Tb(a.layoutsForSceneNamed(b),d);return{currentSceneElm:Ja(a,
+d),targetSceneElm:Ja(a,b)}}function Vc(a,b,d){var c=String(a||"straight").trim().toLowerCase().split(/\s+/),e=Math.hypot(b,d),f=k=>k.endsWith("%")?parseFloat(k)/100:parseFloat(k),g=null,h=1;if(c[0]==="straight"||!e)return null;if(["arc","arc-cw","arc-ccw"].includes(c[0]))h=c[0]==="arc-ccw"?-1:c[0]==="arc-cw"||b>=0?1:-1,g=c[1]!==void 0?f(c[1]):G("pathBend");else{if(c.length!==1||c[0].includes(","))return b=c.map(k=>k.split(",").map(m=>parseFloat(m))),b.length>2||b.some(k=>k.length!==2||k.some(isNaN))?
+(console.warn('HypeSceneMagic: Can not resolve transition path "'+a+'".'),null):b.length===1?{x1:b[0][0]*2/3,y1:b[0][1]*2/3,x2:b[0][0]*2/3,y2:b[0][1]*2/3}:{x1:b[0][0],y1:b[0][1],x2:b[1][0],y2:b[1][1]};g=f(c[0])}if(isNaN(g))return console.warn('HypeSceneMagic: Can not resolve transition path "'+a+'".'),null;a=2*g*h*(2/3);return{x1:d*a,y1:-b*a,x2:d*a,y2:-b*a}}function Wc(a,b,d){var c=3*(1-d)*(1-d)*d*b.x1+3*(1-d)*d*d*b.x2,e=3*(1-d)*(1-d)*d*b.y1+3*(1-d)*d*d*b.y2;a.forEach(f=>{Math.abs(c)<.01&&Math.abs(e)<
+.01?f.style.removeProperty("translate"):f.style.translate=`${c}px ${e}px`})}function ea(...a){return a.reduce((b,d)=>{var c=Array(16);for(let e=0;e<4;e++)for(let f=0;f<4;f++){let g=0;for(let h=0;h<4;h++)g+=b[h*4+f]*d[e*4+h];c[e*4+f]=g}return c})}function K(a,b,d=0){return[1,0,0,0,0,1,0,0,0,0,1,0,a,b,d,1]}function sa(a,b=a){return[a,0,0,0,0,b,0,0,0,0,1,0,0,0,0,1]}function fa(a,b){var d=Math.cos(b*Math.PI/180);b=Math.sin(b*Math.PI/180);return a==="z"?[d,b,0,0,-b,d,0,0,0,0,1,0,0,0,0,1]:a==="x"?[1,0,
+0,0,0,d,b,0,0,-b,d,0,0,0,0,1]:[d,0,-b,0,0,1,0,0,b,0,d,0,0,0,0,1]}function Vb(a,b,d){var c=(h,k)=>h!==void 0&&h.trim().endsWith("%")?parseFloat(h)/100*k:parseFloat(h)||0,e=h=>{var k=parseFloat(h)||0;return h.includes("grad")?k*.9:h.includes("rad")?k*180/Math.PI:h.includes("turn")?k*360:k},f=h=>Math.tan(h*Math.PI/180),g=[];(a||"").replace(/([a-zA-Z0-9]+)\(([^)]*)\)/g,(h,k,m)=>{var l=m.split(","),n=l.map(parseFloat);switch(k){case "translate":g.push(K(c(l[0],b),c(l[1],d)));break;case "translate3d":g.push(K(c(l[0],
+b),c(l[1],d),c(l[2],0)));break;case "translateX":g.push(K(c(l[0],b),0));break;case "translateY":g.push(K(0,c(l[0],d)));break;case "translateZ":g.push(K(0,0,c(l[0],0)));break;case "rotate":case "rotateZ":g.push(fa("z",e(l[0])));break;case "rotateX":g.push(fa("x",e(l[0])));break;case "rotateY":g.push(fa("y",e(l[0])));break;case "rotate3d":k=g.push;m=n[0];var p=n[1];n=n[2];var w=e(l[3]||"0");if(l=Math.hypot(m,p,n)){[m,p,n]=[m/l,p/l,n/l];l=Math.cos(w*Math.PI/180);w=Math.sin(w*Math.PI/180);var r=1-l;m=
+[r*m*m+l,r*m*p+w*n,r*m*n-w*p,0,r*m*p-w*n,r*p*p+l,r*p*n+w*m,0,r*m*n+w*p,r*p*n-w*m,r*n*n+l,0,0,0,0,1]}else m=K(0,0);k.call(g,m);break;case "scale":g.push(sa(n[0],isNaN(n[1])?n[0]:n[1]));break;case "scale3d":g.push(ea(sa(n[0],n[1]),[1,0,0,0,0,1,0,0,0,0,n[2],0,0,0,0,1]));break;case "scaleX":g.push(sa(n[0],1));break;case "scaleY":g.push(sa(1,n[0]));break;case "scaleZ":g.push([1,0,0,0,0,1,0,0,0,0,n[0],0,0,0,0,1]);break;case "skew":g.push([1,f(e(l[1]||"0")),0,0,f(e(l[0])),1,0,0,0,0,1,0,0,0,0,1]);break;case "skewX":g.push([1,
+0,0,0,f(e(l[0])),1,0,0,0,0,1,0,0,0,0,1]);break;case "skewY":g.push([1,f(e(l[0])),0,0,0,1,0,0,0,0,1,0,0,0,0,1]);break;case "perspective":n[0]&&g.push(db(n[0]));break;case "matrix":g.push([n[0],n[1],0,0,n[2],n[3],0,0,0,0,1,0,n[4],n[5],0,1]);break;case "matrix3d":n.length===16&&g.push(n)}return h});return g.length?ea(...g):K(0,0)}function db(a){return[1,0,0,0,0,1,0,0,0,0,1,-1/a,0,0,0,1]}function Xc(a){var b=Array(16);b[0]=a[5]*a[10]*a[15]-a[5]*a[11]*a[14]-a[9]*a[6]*a[15]+a[9]*a[7]*a[14]+a[13]*a[6]*a[11]-
+a[13]*a[7]*a[10];b[4]=-a[4]*a[10]*a[15]+a[4]*a[11]*a[14]+a[8]*a[6]*a[15]-a[8]*a[7]*a[14]-a[12]*a[6]*a[11]+a[12]*a[7]*a[10];b[8]=a[4]*a[9]*a[15]-a[4]*a[11]*a[13]-a[8]*a[5]*a[15]+a[8]*a[7]*a[13]+a[12]*a[5]*a[11]-a[12]*a[7]*a[9];b[12]=-a[4]*a[9]*a[14]+a[4]*a[10]*a[13]+a[8]*a[5]*a[14]-a[8]*a[6]*a[13]-a[12]*a[5]*a[10]+a[12]*a[6]*a[9];b[1]=-a[1]*a[10]*a[15]+a[1]*a[11]*a[14]+a[9]*a[2]*a[15]-a[9]*a[3]*a[14]-a[13]*a[2]*a[11]+a[13]*a[3]*a[10];b[5]=a[0]*a[10]*a[15]-a[0]*a[11]*a[14]-a[8]*a[2]*a[15]+a[8]*a[3]*
+a[14]+a[12]*a[2]*a[11]-a[12]*a[3]*a[10];b[9]=-a[0]*a[9]*a[15]+a[0]*a[11]*a[13]+a[8]*a[1]*a[15]-a[8]*a[3]*a[13]-a[12]*a[1]*a[11]+a[12]*a[3]*a[9];b[13]=a[0]*a[9]*a[14]-a[0]*a[10]*a[13]-a[8]*a[1]*a[14]+a[8]*a[2]*a[13]+a[12]*a[1]*a[10]-a[12]*a[2]*a[9];b[2]=a[1]*a[6]*a[15]-a[1]*a[7]*a[14]-a[5]*a[2]*a[15]+a[5]*a[3]*a[14]+a[13]*a[2]*a[7]-a[13]*a[3]*a[6];b[6]=-a[0]*a[6]*a[15]+a[0]*a[7]*a[14]+a[4]*a[2]*a[15]-a[4]*a[3]*a[14]-a[12]*a[2]*a[7]+a[12]*a[3]*a[6];b[10]=a[0]*a[5]*a[15]-a[0]*a[7]*a[13]-a[4]*a[1]*a[15]+
+a[4]*a[3]*a[13]+a[12]*a[1]*a[7]-a[12]*a[3]*a[5];b[14]=-a[0]*a[5]*a[14]+a[0]*a[6]*a[13]+a[4]*a[1]*a[14]-a[4]*a[2]*a[13]-a[12]*a[1]*a[6]+a[12]*a[2]*a[5];b[3]=-a[1]*a[6]*a[11]+a[1]*a[7]*a[10]+a[5]*a[2]*a[11]-a[5]*a[3]*a[10]-a[9]*a[2]*a[7]+a[9]*a[3]*a[6];b[7]=a[0]*a[6]*a[11]-a[0]*a[7]*a[10]-a[4]*a[2]*a[11]+a[4]*a[3]*a[10]+a[8]*a[2]*a[7]-a[8]*a[3]*a[6];b[11]=-a[0]*a[5]*a[11]+a[0]*a[7]*a[9]+a[4]*a[1]*a[11]-a[4]*a[3]*a[9]-a[8]*a[1]*a[7]+a[8]*a[3]*a[5];b[15]=a[0]*a[5]*a[10]-a[0]*a[6]*a[9]-a[4]*a[1]*a[10]+
+a[4]*a[2]*a[9]+a[8]*a[1]*a[6]-a[8]*a[2]*a[5];var d=a[0]*b[0]+a[1]*b[4]+a[2]*b[8]+a[3]*b[12];return Math.abs(d)<1E-12?null:b.map(c=>c/d)}function Yc(a){var [b,d,c,e,f,g,h,k,m]=[a[0],a[4],a[12],a[1],a[5],a[13],a[3],a[7],a[15]];a=b*(f*m-g*k)-d*(e*m-g*h)+c*(e*k-f*h);return Math.abs(a)<1E-9?null:[(f*m-g*k)/a,(g*h-e*m)/a,0,(e*k-f*h)/a,(c*k-d*m)/a,(b*m-c*h)/a,0,(d*h-b*k)/a,0,0,1,0,(d*g-c*f)/a,(c*e-b*g)/a,0,(b*f-d*e)/a]}function Wb(a,b){var d=a;if(a&&typeof a==="object"){d=a.style;var c=a.direction}else typeof a===
+"string"&&([d,c]=a.trim().toLowerCase().split(/\s+/));if(!d||d==="crossfade")return null;a=Zc[d];if(!a)return console.warn('HypeSceneMagic: Unknown scene transition "'+d+'", using crossfade.'),null;var e=a.directions||["left","right","up","down"];e.includes(c)||(c&&console.warn('HypeSceneMagic: Unknown direction "'+c+'" for scene transition "'+d+'".'),c=e[b==="back"?1:0]);return{name:d,style:a,direction:c,vector:eb[c]}}function $c(a,b,d,c,e){var f=b.offsetWidth,g=b.offsetHeight,h=K(f/2,g/2),k=K(-f/
+2,-g/2),m=c.filter(l=>!c.some(n=>n!==l&&n.contains(l))&&l.parentElement&&l.parentElement.classList.contains("HYPE_element_container")).map(l=>{l=l.parentElement;var n=b.contains(l)?b:d,p=n.getBoundingClientRect(),w=l.getBoundingClientRect();return{container:l,side:n===b?"current":"target",x:(w.left-p.left)*e,y:(w.top-p.top)*e,transform:l.style.transform,transformOrigin:l.style.transformOrigin}});return{render(l){var n=a.style.frame(l,a.vector,f,g);[["current",b],["target",d]].forEach(([p,w])=>{var r=
+n[p]?ea(h,n[p],k):null;r?w.style.setProperty("--scene-transform",`matrix3d(${r.join(",")})`):w.style.removeProperty("--scene-transform");var t=r&&Yc(r);m.filter(y=>y.side===p).forEach(y=>{if(t){var v=ea(K(-y.x,-y.y),t,K(y.x,y.y));y.container.style.transformOrigin="0 0";y.container.style.transform=`matrix3d(${v.join(",")})`}else y.container.style.transform=y.transform})});d.style.setProperty("--scene-opacity",a.style.fade?l:1)},destroy(){b.style.removeProperty("--scene-transform");d.style.removeProperty("--scene-transform");
+m.forEach(l=>{l.container.style.transform=l.transform;l.container.style.transformOrigin=l.transformOrigin})}}}function fb(a,b,d,c){return[[0,0],[b,0],[0,d],[b,d]].map(([e,f])=>c(e-a.x,f-a.y))}function gb(a){return`polygon(${a.map(([b,d])=>`${b}px ${d}px`).join(", ")})`}function ad(a){return Math.min(...a.map((b,d)=>{var c=a[(d+1)%a.length];d=c[0]-b[0];c=c[1]-b[1];var e=Math.min(1,Math.max(0,((.5-b[0])*d+(.5-b[1])*c)/(d*d+c*c||1)));return Math.hypot(b[0]+e*d-.5,b[1]+e*c-.5)}))}function Xb(a,b){if(!a||
+a==="none")return null;var d=a;typeof a==="string"&&((d=a.trim().match(/^polygon\((.*)\)$/i))?d={style:"polygon",points:d[1].split(",").map(e=>e.trim().split(/\s+/).map(f=>parseFloat(f)/(f.endsWith("%")?100:1)))}:(d=a.trim().toLowerCase().split(/\s+/),d={style:d[0],direction:d.find(e=>eb[e]),slats:parseInt(d.find(e=>/^\d+$/.test(e)),10)}));a=d.style==="iris"?"circle":d.style;if(!Yb[a])return console.warn('HypeSceneMagic: Unknown reveal "'+d.style+'".'),null;var c={name:a,style:Yb[a]};if(a==="wipe"||
+a==="blinds")c.direction=["left","right","up","down"].includes(d.direction)?d.direction:b==="back"?"right":"left",c.vector=eb[c.direction],c.slats=d.slats>0?d.slats:8;if(a==="polygon"){c.points=(d.points||[]).filter(e=>e.length===2&&!e.some(isNaN));if(c.points.length<3)return console.warn("HypeSceneMagic: A reveal polygon needs at least three points."),null;c.radius=Math.max(ad(c.points),.05)}return c}function Zb(a,b){return a.reveal!==void 0?a.reveal:b.getAttribute("data-transition-reveal")||G("reveal")}
+function $b(a){return a?a.direction?a.name+" "+a.direction:a.name:null}function bd(a,b,d,c){var e=b.offsetWidth,f=b.offsetHeight,g=ac(c,b);return{render(h){d.style.setProperty("--scene-clip",a.style(h,a,g,e,f));d.style.setProperty("--scene-opacity",1)},destroy(){d.style.removeProperty("--scene-clip")}}}function bc(a,b,d,c,e){if(b.expandFrom===!1)return null;var f=h=>typeof h==="string"?document.getElementById(h):h,g=f(b.expandFrom);if(g&&d.contains(g))return{name:"expand",element:g};if((b=f(b.collapseTo))&&
+c.contains(b))return{name:"collapse",element:b};d=Array.from(d.querySelectorAll("[data-transition-expand]")).filter(h=>h.getAttribute("data-transition-expand").trim()===e);return d.length?{name:"expand",element:X&&d.find(h=>h.contains(X.target))||d[0]}:(d=Ta(a).expansion)&&d.from===e&&d.to===a.currentSceneName()&&c.contains(d.element)?{name:"collapse",element:d.element}:(c=Array.from(c.querySelectorAll("[data-transition-expand]")).find(h=>h.getAttribute("data-transition-expand").trim()===a.currentSceneName()))?
+{name:"collapse",element:c}:null}function cd(a){return(a=getComputedStyle(a).backgroundColor)&&a!=="transparent"&&a!=="rgba(0, 0, 0, 0)"?a:"rgb(255, 255, 255)"}function dd(a,b,d,c){var e=a.name==="collapse",f=a.element,g=b.offsetWidth,h=b.offsetHeight,k=e?b:d;a=e?d:b;b=a.getBoundingClientRect();var m=f.getBoundingClientRect(),l=getComputedStyle(f);c={x:(m.left-b.left)*c,y:(m.top-b.top)*c,width:m.width*c,height:m.height*c,radius:parseFloat(l.borderTopLeftRadius)||0,background:l.backgroundColor||"rgba(0, 0, 0, 0)"};
+b={x:0,y:0,width:g,height:h,radius:0,background:cd(k)};var n=gsap.utils.interpolate(e?b:c,e?c:b),p=document.createElement("div");p.className="magicExpandLayer";a.appendChild(p);var w=f.style.visibility;f.style.visibility="hidden";return{render(r){var t=n(r);Object.assign(p.style,{left:t.x+"px",top:t.y+"px",width:t.width+"px",height:t.height+"px",borderRadius:t.radius+"px",backgroundColor:t.background});k.style.setProperty("--scene-clip",`inset(${t.y}px ${g-t.x-t.width}px ${h-t.y-t.height}px ${t.x}px round ${t.radius}px)`);
+k.style.setProperty("--scene-opacity",e?1-Math.min(1,r/.75):Math.max(0,(r-.25)/.75));e&&d.style.setProperty("--scene-opacity",1)},destroy(){p.remove();f.style.visibility=w;k.style.removeProperty("--scene-clip");e&&k.style.removeProperty("--scene-opacity")}}}function T(a,b){var d=[],c=0,e="";for(let f of String(a))f==="("&&c++,f===")"&&c--,c===0&&(b===" "?/\s/.test(f):f===b)?(e.trim()&&d.push(e.trim()),e=""):e+=f;e.trim()&&d.push(e.trim());return d}function ha(a){if(!/^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.*\)|[a-z]+)$/i.test(a)||
+a==="inset")return null;var b=gsap.utils.splitColor(a);return b.length!==4||b[3]||/^(transparent|#|(rgb|hsl)a)/i.test(a)?b.length===4?b:[...b,1]:null}function za(a,b=1){return`rgba(${a[0]}, ${a[1]}, ${a[2]}, ${+(a[3]*b).toFixed(4)})`}function ta(a){var [b,d=b,c=b,e=d]=T(a," ");return[b,d,c,e]}function ua(a){return String(a).replace(/-?(\d+\.?\d*|\.\d+)(e-?\d+)?/g,"#")}function cc(a,b=[0,0,0,1]){var d={inset:!1,lengths:[],color:null};for(let c of T(a," "))if(c==="inset")d.inset=!0;else if(/^-?(\d+\.?\d*|\.\d+)(px)?$/.test(c))d.lengths.push(parseFloat(c));
+else if(d.color||c.toLowerCase()!=="currentcolor"){if(d.color||!(d.color=ha(c)))return null}else d.color=b;if(d.lengths.length<2)return null;d.lengths=[...d.lengths,0,0].slice(0,4);d.color=d.color||b;return d}function hb(a,b=4){return[za(a.color),...a.lengths.slice(0,b).map(d=>d+"px")].join(" ")+(a.inset?" inset":"")}function ib(a){return{...a,color:[...a.color.slice(0,3),0]}}function dc(a,b){if(a==="none")return[];var d=[];for(let c of T(a," ")){let e=c.match(/^([a-z-]+)\((.*)\)$/);if(!(e&&e[1]in
+ec)||d.some(h=>h.name===e[1]))return null;let [,f,g]=e;if(f==="drop-shadow"){if(a=cc(g,b),!a)return null}else if(f==="hue-rotate")a=parseFloat(g)*(g.includes("turn")?360:g.includes("rad")?180/Math.PI:1)||0;else if(a=g.trim().endsWith("%")?parseFloat(g)/100:parseFloat(g),isNaN(a))return null;d.push({name:f,value:a})}return d}function fc({name:a,value:b}){return a==="drop-shadow"?`drop-shadow(${hb(b,3)})`:a==="blur"?`blur(${b}px)`:a==="hue-rotate"?`hue-rotate(${b}deg)`:`${a}(${b})`}function hc(a,b,
+d=[]){var c=dc(a,d[0]),e=dc(b,d[1]);if(!c||!e)return null;a=[];b=0;for(let {name:g}of e)if(d=c.findIndex(h=>h.name===g),d===-1)a.push(g);else if(d<b){a=null;break}else a.push(...c.slice(b,d+1).map(h=>h.name)),b=d+1;a?a.push(...c.slice(b).map(g=>g.name)):a=[...e,...c.filter(g=>!e.some(h=>h.name===g.name))].map(g=>g.name);var f=[[],[]];a.forEach(g=>{var h=c.find(l=>l.name===g),k=e.find(l=>l.name===g),m=l=>g==="drop-shadow"?{name:g,value:ib(l.value)}:{name:g,value:ec[g]};f[0].push(fc(h||m(k)));f[1].push(fc(k||
+m(h)))});return f.map(g=>g.join(" ")||"none")}function Ka(a){a=T(a,",").length===1&&a.match(/^((?:repeating-)?(linear|radial|conic)-gradient)\((.*)\)$/);if(!a)return null;var b=T(a[3],","),d=[],c="";b.length&&!ha(T(b[0]," ")[0])&&(c=b.shift());for(var e of b){let [f,...g]=T(e," "),h=ha(f);if(!h||g.some(k=>!/^-?[\d.]+%$/.test(k)))return null;g.length||g.push(null);g.forEach(k=>d.push({color:h,position:k===null?null:parseFloat(k)}))}if(d.length<2)return null;d[0].position===null&&(d[0].position=0);
+d[d.length-1].position===null&&(d[d.length-1].position=100);d.forEach((f,g)=>{if(f.position===null){var h=d.findIndex((m,l)=>l>g&&m.position!==null),k=d[g-1].position;f.position=k+(d[h].position-k)/(h-g+1)}});a[2]==="linear"&&(e={top:0,right:90,bottom:180,left:270},c||="180deg",c.startsWith("to ")&&c.split(" ").length===2&&(c=e[c.split(" ")[1]]+"deg"),c.endsWith("turn")&&(c=parseFloat(c)*360+"deg"));return{type:a[1],prelude:c,stops:d}}function La({type:a,prelude:b,stops:d},c=1){d=d.map(e=>`${za(e.color,
+typeof c==="function"?c(e):c)} ${+e.position.toFixed(4)}%`);return`${a}(${[b,...d].filter(Boolean).join(", ")})`}function ic(a,b){for(a=a.stops;a.length<b;){let d=1;for(let f=1;f<a.length;f++)a[f].position-a[f-1].position>a[d].position-a[d-1].position&&(d=f);let [c,e]=[a[d-1],a[d]];a.splice(d,0,{color:c.color.map((f,g)=>f+(e.color[g]-f)/2),position:(c.position+e.position)/2})}}function ed({stops:a},b){var d=a.findIndex(f=>f.position>=b);if(d<=0)return a[d===-1?a.length-1:0].color[3];var [c,e]=[a[d-
+1],a[d]];return c.color[3]+(b-c.position)/(e.position-c.position||1)*(e.color[3]-c.color[3])}function fd(a,b){var d=a==="none"?null:Ka(a),c=b==="none"?null:Ka(b);return a!=="none"&&!d||b!=="none"&&!c?null:e=>{if(e>=1)return b;if(e<=0)return a;var f=g=>{g=c?e*ed(c,g.position):0;return(1-e)/(1-g)};return[c&&La(c,e),d&&La(d,f)].filter(Boolean).join(", ")}}function Aa(a,b){var d={left:"0%",top:"0%",center:"50%",right:"100%",bottom:"100%"},c=e=>T(e," ").map(f=>d[f]||f).join(" ");[a,b]=[c(a),c(b)];return ua(a)===
+ua(b)?[a,b]:null}function gd(a,b,d=[]){d=d.map(e=>ha(getComputedStyle(e).color)||void 0);var c=null;for(let e in jc){if(!(e in a&&e in b))continue;let f=String(a[e]).trim(),g=String(b[e]).trim(),h=f!==g&&jc[e](f,g,d);h?[a[e],b[e]]=h:(e==="backgroundImage"&&f!==g&&(c=fd(f,g)),delete a[e],delete b[e])}return c}function hd(a,b,d,c,e,f,g,h,k){if(a===h&&b===k)return[];d=Math.abs(d);c=Math.abs(c);if(!d||!c)return[[a+(h-a)/3,b+(k-b)/3,a+(h-a)*2/3,b+(k-b)*2/3,h,k]];var m=Math.cos(e*Math.PI/180),l=Math.sin(e*
+Math.PI/180),n=(a-h)/2,p=(b-k)/2;e=m*n+l*p;n=-l*n+m*p;p=e*e/(d*d)+n*n/(c*c);p>1&&(d*=Math.sqrt(p),c*=Math.sqrt(p));p=(f===g?-1:1)*Math.sqrt(Math.max(0,(d*d*c*c-d*d*n*n-c*c*e*e)/(d*d*n*n+c*c*e*e)));f=p*d*n/c;p=-p*c*e/d;var w=m*f-l*p+(a+h)/2,r=l*f+m*p+(b+k)/2;b=(t,y,v,q)=>Math.atan2(t*q-y*v,t*v+y*q);a=b(1,0,(e-f)/d,(n-p)/c);e=b((e-f)/d,(n-p)/c,(-e-f)/d,(-n-p)/c);!g&&e>0&&(e-=2*Math.PI);g&&e<0&&(e+=2*Math.PI);g=Math.max(1,Math.ceil(Math.abs(e)/(Math.PI/2)-1E-9));e/=g;b=4/3*Math.tan(e/4);n=t=>[w+d*Math.cos(t)*
+m-c*Math.sin(t)*l,r+d*Math.cos(t)*l+c*Math.sin(t)*m];f=t=>[-d*Math.sin(t)*m-c*Math.cos(t)*l,-d*Math.sin(t)*l+c*Math.cos(t)*m];p=[];for(let t=0;t<g;t++){let [y,v]=[a+t*e,a+(t+1)*e],[q,z,x,B]=[n(y),n(v),f(y),f(v)];p.push([q[0]+b*x[0],q[1]+b*x[1],z[0]-b*B[0],z[1]-b*B[1],z[0],z[1]])}p[g-1].splice(4,2,h,k);return p}function kc(a){var b=[],d=/[\s,]*(-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)/iy,c=/[\s,]*([01])/y,e=0,f=null,g=0,h=0,k=null,m=null,l=(r=d)=>{r.lastIndex=e;var t=r.exec(a);if(!t)throw Error("Invalid path data");
+e=r.lastIndex;return parseFloat(t[1])},n=(r,t,y,v,q,z)=>{if(!k||k.closed)k={start:[g,h],curves:[],closed:!1},b.push(k);k.curves.push([r,t,y,v,q,z]);g=q;h=z},p=(r,t)=>n(g+(r-g)/3,h+(t-h)/3,g+(r-g)*2/3,h+(t-h)*2/3,r,t),w=(r,t,y,v)=>n(g+(r-g)*2/3,h+(t-h)*2/3,y+(r-y)*2/3,v+(t-v)*2/3,y,v);try{for(;;){let r=a.slice(e).match(/^[\s,]*([a-z])?/i);if(!r[1]&&r[0].length===a.length-e)break;if(r[1])f=r[1],e+=r[0].length;else if(!f)return null;let t=f===f.toLowerCase(),y=t?g:0,v=t?h:0,q=null;switch(f.toUpperCase()){case "M":g=
+y+l();h=v+l();k={start:[g,h],curves:[],closed:!1};b.push(k);f=t?"l":"L";break;case "L":p(y+l(),v+l());break;case "H":p(y+l(),h);break;case "V":p(g,v+l());break;case "C":let z=[l(),l(),l(),l(),l(),l()];n(y+z[0],v+z[1],y+z[2],v+z[3],y+z[4],v+z[5]);q=["C",y+z[2],v+z[3]];break;case "S":let x=[l(),l(),l(),l()],B=m&&m[0]==="C"?[2*g-m[1],2*h-m[2]]:[g,h];n(B[0],B[1],y+x[0],v+x[1],y+x[2],v+x[3]);q=["C",y+x[0],v+x[1]];break;case "Q":let A=[l(),l(),l(),l()];w(y+A[0],v+A[1],y+A[2],v+A[3]);q=["Q",y+A[0],v+A[1]];
+break;case "T":let F=[l(),l()],H=m&&m[0]==="Q"?[2*g-m[1],2*h-m[2]]:[g,h];w(H[0],H[1],y+F[0],v+F[1]);q=["Q",H[0],H[1]];break;case "A":let [P,O,ia,Y,pa]=[l(),l(),l(),l(c),l(c)];hd(g,h,P,O,ia,Y,pa,y+l(),v+l()).forEach(jb=>n(...jb));break;case "Z":k&&!k.closed&&(g===k.start[0]&&h===k.start[1]||p(...k.start),k.closed=!0,[g,h]=k.start);f=null;break;default:return null}m=q}}catch(r){return null}return b.length?b:null}function id(a,b){for(var d=a.curves;d.length<b;){let c=0,e=-1;d.forEach((P,O)=>{var [ia,
+Y]=O?d[O-1].slice(4):a.start;P=Math.hypot(P[4]-ia,P[5]-Y);P>e&&([c,e]=[O,P])});let [f,g]=c?d[c-1].slice(4):a.start,[h,k,m,l,n,p]=d[c],[w,r,t,y,v,q]=[(f+h)/2,(g+k)/2,(h+m)/2,(k+l)/2,(m+n)/2,(l+p)/2],[z,x,B,A]=[(w+t)/2,(r+y)/2,(t+v)/2,(y+q)/2],[F,H]=[(z+B)/2,(x+A)/2];d.splice(c,1,[w,r,z,x,F,H],[B,A,v,q,n,p])}}function jd(a){var b=[a.start,...a.curves.map(c=>c.slice(4))],d=a.curves.map((c,e)=>[c[2],c[3],c[0],c[1],...b[e]]).reverse();return{...a,start:b[b.length-1],curves:d}}function kd(a,b){var d=a,
+c=Infinity;[a,jd(a)].forEach(e=>{var f=e.curves.length;for(let h=0;h<f;h++){let k=0;for(var g=0;g<f;g++){let m=e.curves[(g+h)%f];k+=Math.hypot(m[4]-b.curves[g][4],m[5]-b.curves[g][5])}k<c&&(g=[...e.curves.slice(h),...e.curves.slice(0,h)],d={...e,start:g[f-1].slice(4),curves:g},c=k)}});return d}function ld(a,b){var d=c=>+c.toFixed(3);return a.map((c,e)=>"M "+c.start.map(d).join(" ")+c.curves.map(f=>" C "+f.map(d).join(" ")).join("")+(b[e]?" Z":"")).join(" ")}function md(a,b){a=kc(a||"");b=kc(b||"");
+if(!a||!b)return null;var d=f=>{var g=[f.start,...f.curves.map(k=>k.slice(4))],h=[0,1].map(k=>g.reduce((m,l)=>m+l[k],0)/g.length);return{start:h,curves:f.curves.map(()=>[...h,...h,...h]),closed:f.closed}},c=[[],[]],e=[];for(let f=0;f<Math.max(a.length,b.length);f++){let g=a[f]||d(b[f]),h=b[f]||d(a[f]),k=Math.max(g.curves.length,h.curves.length,1);[g,h].forEach(m=>{m.curves.length||m.curves.push([...m.start,...m.start,...m.start]);id(m,k)});g.closed&&h.closed&&(g=kd(g,h));c[0].push(g);c[1].push(h);
+e.push(h.closed)}return c.map(f=>ld(f,e))}function kb(a){var b=(a=a.tagName.toLowerCase()==="svg"?a:a.querySelector(":scope > svg"))?Array.from(a.querySelectorAll("path")):[];return b.length?{svg:a,paths:b}:null}function nd(a,b,d){a=kb(a);b=kb(b);if(!a||!b)return null;var c=[],e=(h,k,m,l,n)=>{m!==null&&l!==null&&m!==l&&(n=n(m,l))&&c.push({index:h,name:k,from:m,to:l,interpolate:gsap.utils.interpolate(...n)})};e(-1,"viewBox",a.svg.getAttribute("viewBox"),b.svg.getAttribute("viewBox"),Aa);for(let h=
+0;h<Math.min(a.paths.length,b.paths.length);h++){let [k,m]=[a.paths[h],b.paths[h]];e(h,"d",k.getAttribute("d"),m.getAttribute("d"),md);e(h,"stroke-width",k.getAttribute("stroke-width"),m.getAttribute("stroke-width"),Aa);["fill","stroke"].forEach(l=>{e(h,l,k.getAttribute(l),m.getAttribute(l),(n,p)=>{n=[ha(n),ha(p)];return n.includes(null)?null:n.map(w=>za(w))})})}if(!c.length)return null;var f=[],g=new Map(d.map(h=>[h,kb(h)]));g.forEach(h=>h&&c.forEach(({index:k,name:m})=>{(k=k===-1?h.svg:h.paths[k])&&
+f.push({node:k,name:m,value:k.getAttribute(m)})}));return{update(h){d.map(k=>g.get(k)).filter(Boolean).forEach(k=>c.forEach(({index:m,name:l,from:n,to:p,interpolate:w})=>{(m=m===-1?k.svg:k.paths[m])&&m.setAttribute(l,h>=1?p:h<=0?n:w(h))}))},restore(){f.forEach(({node:h,name:k,value:m})=>{m===null?h.removeAttribute(k):h.setAttribute(k,m)})}}}function od(a,b){var d=a.match(Ba)||[];return(b.match(Ba)||[]).length&&a.replace(Ba,"#")===b.replace(Ba,"#")?c=>{var e=0;return b.replace(Ba,f=>{var g=d[e++];
+g=parseFloat(g.replace(/,/g,""));g+=(parseFloat(f.replace(/,/g,""))-g)*c;var h=(f.split(".")[1]||"").length,[k,m]=Math.abs(g).toFixed(h).split(".");f=f.includes(",")?k.replace(/\B(?=(\d{3})+(?!\d))/g,","):k;return(g<0&&parseFloat(g.toFixed(h))!==0?"-":"")+f+(m?"."+m:"")})}:null}function pd(a,b){return d=>{var c=Math.round(a.length+(b.length-a.length)*d);d=Math.floor(b.length*d);var e="";for(let f=0;f<c;f++){let g=f<d?b[f]:b[f]||a[f]||"";e+=f<d||/\s/.test(g)?g:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789"[Math.floor(Math.random()*
+62)]}return e}}function qd(a,b){for(var d=0;d<a.length&&a[d]===b[d];)d++;var c=a.length-d,e=c+b.length-d;return f=>{f=Math.round(e*f);return f<=c?a.slice(0,a.length-f):b.slice(0,d+f-c)}}function rd(a,b,d,c){if(!Ma.includes(a)||b.querySelector(".HYPE_element, svg, img, video, iframe")||d.querySelector(".HYPE_element, svg, img, video, iframe"))return null;var [e,f]=[b.innerHTML,d.innerHTML],[g,h]=[b.textContent,d.textContent];if(e===f)return null;var k=null;a==="count"&&(k=od(g,h));a==="scramble"&&
+(k=pd(g,h));a==="typewriter"&&(k=qd(g,h));var m=new Map,l=(p,w)=>{var [r,t]=m.get(p)||[];if(!r||r.parentNode.parentNode!==p){let y=document.createElement("div");y.className="magicTextLayers";y.style.display="grid";[r,t]=[e,f].map(v=>{var q=document.createElement("div");q.style.gridArea="1 / 1";q.innerHTML=v;return y.appendChild(q)});p.replaceChildren(y);m.set(p,[r,t])}r.style.opacity=1-w;t.style.opacity=w},n=c.map(p=>({element:p,html:p.innerHTML}));return{mode:k?a:"crossfade",update(p){c.forEach(w=>
+{if(p<=0||p>=1){var r=p<=0?e:f;w.innerHTML!==r&&(w.innerHTML=r)}else if(k){if(r=k(p),w.textContent!==r||w.children.length)w.textContent=r}else l(w,p)})},restore(){n.forEach(({element:p,html:w})=>{p.innerHTML!==w&&(p.innerHTML=w)})}}}function Na(a,b){return a.matches(b)?[a]:Array.from(a.querySelectorAll(b))}function lc(a,b,d,c){a=Na(a,d);b=Na(b,d);for(d=0;d<Math.min(a.length,b.length);d++)c(a[d],b[d])}function mc(a){return a?String(a).toLowerCase().split(/[\s,]+/).filter(Boolean):[]}function sd(a,
+b){var d=[];a.carry.forEach(c=>{var e=nc[c]||W.registeredCarryHandlers[c];if(e)try{let f=e(a.source,a.target,b);typeof f==="function"&&d.push(f)}catch(f){console.error(`HypeSceneMagic: Could not carry state "${c}"`,f)}else console.warn(`HypeSceneMagic: Unknown state "${c}" in data-transition-carry`)});return d}function Oa(a,b){for(var d=K(0,0);a&&a!==b;a=a.parentElement){let e=parseFloat(a.style.width)||0,f=parseFloat(a.style.height)||0;var c=(a.style.transformOrigin||"50% 50%").split(/\s+/);let g=
+c[0].endsWith("%")?parseFloat(c[0])/100*e:parseFloat(c[0])||0;c=(c[1]||"50%").endsWith("%")?parseFloat(c[1]||50)/100*f:parseFloat(c[1])||0;d=ea(K((parseFloat(a.style.left)||0)+g,(parseFloat(a.style.top)||0)+c),Vb(a.style.transform,e,f),K(-g,-c),d)}return d}function oc(a,b){var d=0;for(a=a.parentElement;a&&a!==b;a=a.parentElement)a.classList.contains("HYPE_element")&&d++;return d}function td(a,b,d,c){if(oc(a,d)!==oc(b,c))return!0;var e=Oa(a.parentElement,d),f=Oa(b.parentElement,c);return[0,1,4,5].some(g=>
+Math.abs(e[g]-f[g])>.001)||[12,13].some(g=>Math.abs(e[g]-f[g])>.5)}function pc(a,b){b=Oa(a,b);var d=(parseFloat(a.style.width)||0)/2;a=(parseFloat(a.style.height)||0)/2;var c=Math.hypot(b[0],b[1]);return{x:b[12]-d+b[0]*d+b[4]*a,y:b[13]-a+b[1]*d+b[5]*a,rotation:Math.atan2(b[1],b[0])*180/Math.PI,scaleX:c,scaleY:c?(b[0]*b[5]-b[1]*b[4])/c:1}}function ud(a,b,d,c,e){var f=d.cloneNode(!0);f.removeAttribute("id");f.querySelectorAll("[id]").forEach(k=>k.removeAttribute("id"));f.style.left="0px";f.style.top=
+"0px";f.style.visibility="";a.appendChild(f);var g=b.style.visibility,h=d.style.visibility;b.style.visibility="hidden";d.style.visibility="hidden";return{clone:f,from:{...c,transformOrigin:"50% 50%"},to:e,handoff(k){f.style.visibility=k?"hidden":"";d.style.visibility=k?h:"hidden"},land(){f.remove();b.style.visibility=g;d.style.visibility=h}}}function lb(a){a=(a=a.find(b=>b.hasAttribute("data-transition-match")))?a.getAttribute("data-transition-match").trim().toLowerCase():G("matchPolicy");return mb.includes(a)?
+a:null}function qc(a,b){b=Oa(a,b);var d=(parseFloat(a.style.width)||0)/2;a=(parseFloat(a.style.height)||0)/2;return{x:b[0]*d+b[4]*a+b[12],y:b[1]*d+b[5]*a+b[13]}}function rc(a,b,d,c){var e=qc(a,b),f=d[0],g=Infinity;d.forEach(h=>{var {x:k,y:m}=qc(h,c),l=Math.hypot(k-e.x,m-e.y);l<g&&(f=h,g=l)});return f}function vd(a){var b=a.cloneNode(!0);b.removeAttribute("id");b.querySelectorAll("[id]").forEach(d=>d.removeAttribute("id"));b.classList.add("magicMatchClone");b.setAttribute("aria-hidden","true");a.parentNode.insertBefore(b,
+a);U.has(a)&&U.set(b,U.get(a));return b}function sc(a,b,d){var c=a;typeof a==="number"||typeof a==="string"&&!a.includes(":")?c={amount:a}:typeof a==="string"&&(c=Ia(a,b,d)||{});return{...G("staggerDefaults"),...c}}function tc(a,b){for(var d=(parseFloat(a.style.width)||0)/2,c=(parseFloat(a.style.height)||0)/2;a&&a!==b;a=a.parentElement)d+=parseFloat(a.style.left)||0,c+=parseFloat(a.style.top)||0;return{x:d,y:c}}function ac(a,b,d){if(a&&typeof a==="object"&&!(a instanceof Element))return a;if(typeof a===
+"string"&&a.includes(",")){let [g,h]=a.split(",").map(k=>parseFloat(k)||0);return{x:g,y:h}}d=b.getBoundingClientRect().width||!d?b:d;var c=d.getBoundingClientRect(),e=b.offsetWidth||parseFloat(b.style.width)||c.width;b=b.offsetHeight||parseFloat(b.style.height)||c.height;var f=null;if(a==="click"&&X)f=X;else if(a instanceof Element||a==="element"&&X&&X.target instanceof Element)a=(a instanceof Element?a:X.target.closest(".HYPE_element")||X.target).getBoundingClientRect(),f={x:a.left+a.width/2,y:a.top+
+a.height/2};return f&&c.width?{x:(d.offsetWidth||c.width)/c.width*(f.x-c.left),y:(d.offsetHeight||c.height)/c.height*(f.y-c.top)}:{x:e/2,y:b/2}}function wd(a,b,d,c,e,f){var g=new Map,h=(k,m,l)=>{var n=m.parentElement&&m.parentElement.closest("[data-transition-stagger]");n=n&&l.contains(n)?n:e?l:null;if(!n)return!1;g.has(n)||g.set(n,{config:n===l?sc(e,null,f):sc(n.getAttribute("data-transition-stagger"),n,f),sceneElm:l,members:[]});g.get(n).members.push({entry:k,element:m});return!0};a.pairs.forEach(k=>
+{h(k,k.target,d)||h(k,k.source,b)});a.animations.filter(k=>k.data).forEach(k=>{h(k,k.element,k.side==="target"?d:b)});g.forEach(({config:k,sceneElm:m,members:l})=>{switch(k.order){case "position":l.forEach(r=>r.position=tc(r.element,m));l.sort((r,t)=>r.position.y-t.position.y||r.position.x-t.position.x);break;case "distance":let w=ac(k.origin,m,b);l.forEach(r=>{var {x:t,y}=tc(r.element,m);r.distance=Math.hypot(t-w.x,y-w.y)});l.sort((r,t)=>r.distance-t.distance);break;case "random":for(let r=l.length-
+1;r>0;r--){let t=Math.floor(Math.random()*(r+1));[l[r],l[t]]=[l[t],l[r]]}break;default:l.sort((r,t)=>r.element.compareDocumentPosition(t.element)&Node.DOCUMENT_POSITION_FOLLOWING?-1:1)}var n=Ha(k.amount,0,c).delay||0,p=gsap.parseEase(da(k.ease))||gsap.parseEase("none");l.forEach((w,r)=>{r=l.length>1?n*p(r/(l.length-1)):0;w.entry.stagger=r;w.entry.delay+=r})})}function nb(a,b,d,c,e={}){var f={pairs:[],animations:[],unmatched:[],zOrder:[],conflicts:[]},g=new Map,h=q=>q.map(z=>({element:z,ids:na(z,g)})).filter(z=>
+z.ids.length>0),k=h(ma(b)),m=h(ma(a)),l=(q,z,x)=>{var B=z==="target"?"from":"to",A=Qb(q,B,e.direction);z={element:q,side:z,method:B,magic:x,animation:A||null,data:null,restore:z==="source"||!x};if(A&&(z.data=Pb(A,q,e.mirror,e.quiet),z.data)){A=Object;x=A.assign;B=q.getAttribute("data-transition-delay")||0;let F=q.getAttribute("data-transition-duration")||1;B=Ha(B,F,d);q=da(q.getAttribute("data-transition-ease")||c);q={delay:B.delay,duration:Math.max(B.duration,Za(q)),ease:q};x.call(A,z,q)}f.animations.push(z)},
+n=({element:q,ids:z},{element:x,ids:B})=>{var A=oa(q,x,"data-transition-delay",0),F=oa(q,x,"data-transition-duration",1);A=Ha(A,F,d);F=da(oa(q,x,"data-transition-ease",c));var H=oa(q,x,"data-transition-order",null),P=oa(q,x,"data-transition-path",G("transitionPath")),O=oa(q,x,"data-transition-text",G("transitionText")),ia=mc(oa(q,x,"data-transition-carry",G("transitionCarry"))),Y=e.crossContainer!==void 0?e.crossContainer:G("crossContainer");f.pairs.push({source:q,target:x,identifiers:bb(B,z),delay:A.delay,
+duration:Math.max(A.duration,Za(F)),ease:F,order:H,path:P,text:Ma.includes(O)?O:null,carry:ia,crossContainer:Y==="auto"?td(q,x,a,b):!!Y,split:!1,merge:!1})},p=k.map(q=>({...q,candidates:m.filter(z=>bb(q.ids,z.ids).length>0)})),w=new Set,r=new Map;p.forEach(q=>{var {element:z,candidates:x}=q;if(x.length!==0){var B=[x[0]];if(x.length>1){let A=p.filter(H=>H.candidates.length===x.length&&H.candidates.every((P,O)=>P===x[O]));r.set(z,[...A,...x].map(H=>H.element));let F=lb(r.get(z));if(F==="last")B=[x[x.length-
+1]];else if(F==="nearest"){let H=rc(z,b,x.map(P=>P.element),a);B=x.filter(P=>P.element===H)}else if(F==="all"){let H=Math.min(A.indexOf(q),x.length-1);B=q===A[A.length-1]?x.slice(H):[x[H]]}else F||f.conflicts.push({type:"multipleSources",element:z,chosen:x[0].element,candidates:x.map(H=>H.element)});F&&x.forEach(H=>{B.includes(H)||w.add(H.element)})}B.forEach(A=>n(A,q))}});var t=new Map;f.pairs.forEach(q=>{t.has(q.source)||t.set(q.source,[]);t.get(q.source).push(q)});t.forEach((q,z)=>{if(!(q.length<
+2)){var x=q.map(A=>A.target),B=lb([z,...x.flatMap(A=>r.get(A)||[A])]);if(B==="all")q.slice(1).forEach(A=>A.split=!0);else if(B){let A=B==="last"?q[q.length-1]:B==="nearest"?q[x.indexOf(rc(z,a,x,b))]:q[0];f.pairs=f.pairs.filter(F=>F===A||!q.includes(F))}else f.conflicts.push({type:"sharedSource",element:z,chosen:x[x.length-1],candidates:x})}});var y=new Set;f.pairs.forEach(q=>{q.merge=y.has(q.target);y.add(q.target);if(q.order!==null&&!q.merge){let z=Db(q.target);f.zOrder.push({element:z,order:q.order,
+zIndex:Eb(z,q.order)})}});k.forEach(({element:q,ids:z})=>{y.has(q)||(f.unmatched.push({element:q,side:"target",identifiers:z}),Qb(q,"from",e.direction)&&l(q,"target",!0))});var v=new Set(f.pairs.map(q=>q.source));m.forEach(({element:q,ids:z})=>{v.has(q)||!w.has(q)&&k.some(x=>bb(x.ids,z).length>0)||(f.unmatched.push({element:q,side:"source",identifiers:z}),l(q,"source",!0))});h=q=>ma(q,ob).filter(z=>na(z,g).length===0);h(b).forEach(q=>l(q,"target",!1));h(a).forEach(q=>l(q,"source",!1));f.animations=
+f.animations.filter(q=>q.magic||q.animation);wd(f,a,b,d,e.stagger,e.quiet);return f}function Z(a,b){return{id:a.id||null,identifiers:na(a,b)}}function xd(a){var b=new Map,d=c=>Z(c,b);return{from:a.from,to:a.to,direction:a.direction,sceneTransition:a.sceneTransition,reveal:a.reveal,expand:a.expand?{mode:a.expand.name,element:Z(a.expand.element,b)}:null,duration:a.duration,ease:a.ease,pairs:a.pairs.map(c=>({...c,source:Z(c.source,b),target:Z(c.target,b)})),animations:a.animations.map(c=>({...c,element:Z(c.element,
+b),data:c.data?{...c.data}:null})),unmatched:a.unmatched.map(c=>({...c,element:Z(c.element,b)})),zOrder:a.zOrder.map(c=>({...c,element:Z(c.element,b)})),conflicts:a.conflicts.map(c=>({...c,element:Z(c.element,b),chosen:Z(c.chosen,b),candidates:c.candidates.map(d)}))}}function yd(a){var b=`%cHypeSceneMagic: %cValidation found ${a.errors} error(s), ${a.warnings} warning(s) and ${a.infos} info(s).`,d=["font-weight: bold;","font-weight: normal;"];if(a.issues.length===0)console.log(b,...d);else{var c=
+a.issues.map((e,f)=>`${f+1}. [${e.severity}] ${e.to?`${e.scene} \u2192 ${e.to}`:e.scene} (${e.layout}): ${e.message} - ${e.elements.filter(Boolean).join(", ")||"no id"}`);console[a.errors>0||a.warnings>0?"warn":"log"](b+"\n\n%cIssues:\n%c"+c.join("\n"),...d,"font-weight: bold; margin-top: 8px;","font-family: monospace; font-size: 11px; line-height: 1.8; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.1);")}}function zd(a){var b=[];a.masterTimeline.getChildren().forEach(d=>
+{d.progress()!==1&&d._targets&&Array.isArray(d._targets)&&d._targets.forEach(c=>{if(c&&c.id){var e=na(c);let f=[c.getAttribute("data-transition-animation")&&`animation: ${c.getAttribute("data-transition-animation")}`,c.getAttribute("data-transition-animation-from")&&`animation-from: ${c.getAttribute("data-transition-animation-from")}`,c.getAttribute("data-transition-animation-to")&&`animation-to: ${c.getAttribute("data-transition-animation-to")}`].filter(Boolean);e=`${c.id} (magic: ${e.length>0?e.join(", "):
+"none"})`;c=[c.getAttribute("data-transition-delay")&&`delay: ${c.getAttribute("data-transition-delay")}`,c.getAttribute("data-transition-duration")&&`duration: ${c.getAttribute("data-transition-duration")}`,f.length>0&&f.join(", ")].filter(Boolean);c.length>0&&(e+=` - ${c.join(", ")}`);b.push(e)}})});a=["font-weight: bold;","font-weight: normal;"];b.length>0?console.warn("%cHypeSceneMagic: %cPrevious magic transition was interrupted by a new one. This indicates overlapping magic transitions in your Hype document.\n\n%cInterrupted elements:\n%c"+
+b.map((d,c)=>`${c+1}. ${d}`).join("\n"),...a,"font-weight: bold; margin-top: 8px;","font-family: monospace; font-size: 11px; line-height: 1.8; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.1);"):console.warn("%cHypeSceneMagic: %cPrevious magic transition was interrupted by a new one. This indicates overlapping magic transitions in your Hype document.",...a)}function Ad(){if(!document.getElementById("magicDebugStyle")){let a=document.createElement("style");a.id="magicDebugStyle";
+a.textContent=".magicDebugOverlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 2147483647; pointer-events: none; font: 10px/1.4 monospace; }.magicDebugOverlay svg { position: absolute; top: 0; left: 0; width: 100%; height: 100%; overflow: visible; }.magicDebugOverlay text { font: 10px monospace; paint-order: stroke; stroke: rgba(0,0,0,0.7); stroke-width: 3px; }.magicDebugPanel { position: absolute; left: 8px; bottom: 8px; width: 340px; max-height: 50%; overflow: auto; padding: 8px; border-radius: 4px; background: rgba(0,0,0,0.8); color: #fff; pointer-events: auto; }.magicDebugSpeed { margin-bottom: 6px; }.magicDebugSpeed button { margin-right: 4px; padding: 1px 6px; border: 1px solid rgba(255,255,255,0.3); border-radius: 3px; background: none; color: #fff; font: inherit; cursor: pointer; }.magicDebugSpeed button.active { background: rgba(255,255,255,0.3); }.magicDebugWaterfall { position: relative; }.magicDebugRow { display: flex; align-items: center; height: 14px; }.magicDebugLabel { width: 120px; flex: none; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }.magicDebugTrack { position: relative; flex: 1; height: 8px; background: rgba(255,255,255,0.1); }.magicDebugBar { position: absolute; top: 0; bottom: 0; min-width: 1px; }.magicDebugPlayhead { position: absolute; top: 0; bottom: 0; width: 1px; background: #fff; }";
+document.head.appendChild(a)}}function uc(a,b=0){var d=[];a.getChildren(!1,!0,!0).forEach(c=>{var e=b+c.startTime();c instanceof gsap.core.Timeline?d.push(...uc(c,e)):d.push({tween:c,start:e,duration:c.duration()})});return d}function Bd(a){Ad();var b=document.createElement("div");b.className="magicDebugOverlay";var d=document.createElementNS("http://www.w3.org/2000/svg","svg");b.appendChild(d);var c=(k,m)=>{var l=document.createElementNS("http://www.w3.org/2000/svg",k);Object.entries(m).forEach(([n,
+p])=>l.setAttribute(n,p));d.appendChild(l);return l},e=(k,m,l)=>{k=k.getBoundingClientRect();if(k.width||k.height)c("rect",{x:k.left,y:k.top,width:k.width,height:k.height,fill:"none",stroke:Ca[m],"stroke-dasharray":"4 2"}),c("text",{x:k.left+2,y:k.top-3,fill:Ca[m]}).textContent=`${m}: ${l}`};a.pairs.forEach(k=>{var m=k.source.getBoundingClientRect(),l=k.target.getBoundingClientRect(),n=l.left+l.width/2;l=l.top+l.height/2;c("line",{x1:m.left+m.width/2,y1:m.top+m.height/2,x2:n,y2:l,stroke:Ca.matched,
+"stroke-width":2});c("circle",{cx:n,cy:l,r:3,fill:Ca.matched});e(k.target,"matched",k.identifiers.join(", "))});var f=a.animations.filter(k=>k.data);f.forEach(k=>e(k.element,"fallback",k.animation));a.unmatched.forEach(k=>{f.some(m=>m.element===k.element)||e(k.element,"unmatched",k.identifiers.join(", "))});var g=document.createElement("div");g.className="magicDebugPanel";b.appendChild(g);document.body.appendChild(b);var h=null;return{render(k,m){var l=document.createElement("div");l.className="magicDebugSpeed";
+l.textContent="Speed ";[1,.5,.25,.1].forEach(r=>{var t=document.createElement("button");t.textContent=r+"x";t.classList.toggle("active",r===k.timeScale());t.addEventListener("click",()=>{Wa("debugTimeScale",r);k.timeScale(r);l.querySelectorAll("button").forEach(y=>y.classList.toggle("active",y===t))});l.appendChild(t)});g.appendChild(l);var n=document.createElement("div");n.className="magicDebugWaterfall";var p=k.duration()||1,w=new Map;uc(k).forEach(({tween:r,start:t,duration:y})=>{var v=(r.targets()||
+[])[0],q="minimum duration";r="other";v===m?q="scene crossfade":v&&v.sceneTransition?q="scene "+v.sceneTransition:v&&v.path?(q="path: "+v.path,r="matched"):v&&v.transform?(q="transform: "+v.transform,r="matched"):v&&v.backgroundImage?(q="background crossfade",r="matched"):v&&v.shape?(q="shape morph",r="matched"):v&&v.text?(q="text: "+v.text,r="matched"):v instanceof Element&&(q=na(v,w),q=v.id||q.join(", ")||v.className,a.pairs.some(x=>x.source===v||x.target===v)?r="matched":a.animations.some(x=>x.element===
+v)&&(r="fallback"));var z=document.createElement("div");z.className="magicDebugRow";z.title=`${q}: delay ${+t.toFixed(3)}s, duration ${+y.toFixed(3)}s`;z.innerHTML='<div class="magicDebugLabel"></div><div class="magicDebugTrack"><div class="magicDebugBar"></div></div>';z.firstChild.textContent=q;Object.assign(z.querySelector(".magicDebugBar").style,{left:t/p*100+"%",width:y/p*100+"%",background:Ca[r]});n.appendChild(z)});h=document.createElement("div");h.className="magicDebugPlayhead";n.appendChild(h);
+g.appendChild(n);this.update(k.progress())},update(k){h&&(h.style.left=`calc(120px + (100% - 120px) * ${k})`)},destroy(){b.remove()}}}function Jc(a,b){if(!b)return!1;var d=b.toLowerCase().split("+").map(c=>c.trim());b=d.pop();return["ctrl","alt","shift","meta"].some(c=>d.includes(c)!==a[c+"Key"])?!1:a.code==="Key"+b.toUpperCase()||(a.key||"").toLowerCase()===b}function Cd(a,b){gsap.getTweensOf(a).forEach(d=>{for(var c=d.parent;c&&c!==b;)c=c.parent;c||d.kill()})}function ja(a,b,d){var c={type:a,...d};
+(qa[a]||[]).slice().forEach(e=>{try{e(c)}catch(f){console.error('HypeSceneMagic: Error in "'+a+'" event handler.',f)}});b.dispatchEvent(new CustomEvent("magicTransition"+a.charAt(0).toUpperCase()+a.slice(1),{detail:c}))}function pb(a,b,d,c){return{status:a,from:b||null,to:d||null,reason:null,pairs:[],duration:0,...c}}function vc(a){a.then=(b,d)=>a.finished.then(b,d);a.catch=b=>a.finished.catch(b);a.finally=b=>a.finished.finally(b);return a}function qb(a,b,d,c){return vc({state:a,from:b||null,to:d||
+null,timeline:null,finished:c,pause(){return this},resume(){return this},seek(){return this},reverse(){return this},cancel(){return this},progress(){return 0}})}function va(a,b,d,c){return qb(a,b,d,Promise.resolve(pb(a,b,d,{reason:c})))}function rb(a,b){var d=null;b=(a?new Promise(c=>d=a(c)):Promise.resolve({elements:[],duration:0,...b})).then(c=>({...c,tween:d}));b.tween=d;return b}function Da(a){if(!a)return{rotations:{},transform:""};var b={};a=a.replace(/(rotate[XYZ]?|rotate)\(([^)]+)\)/g,(d,
+c,e)=>{b[c]=e;return""}).trim();return{rotations:b,transform:a}}function Dd(a){if(!a[15])return null;var b=a.map(m=>m/a[15]),d=[0,0,0,1];if(b[3]||b[7]||b[11]){var c=Xc([...b.slice(0,3),0,...b.slice(4,7),0,...b.slice(8,11),0,...b.slice(12,15),1]);if(!c)return null;var e=[b[3],b[7],b[11],b[15]];for(var f=0;f<4;f++)d[f]=c[f*4]*e[0]+c[f*4+1]*e[1]+c[f*4+2]*e[2]+c[f*4+3]*e[3]}var g=(m,l)=>m[0]*l[0]+m[1]*l[1]+m[2]*l[2],h=(m,l,n)=>m.map((p,w)=>p-l[w]*n),k=(m,l)=>m.map(n=>n/l);c=[b.slice(0,3),b.slice(4,7),
+b.slice(8,11)];e=[0,0,0];f=[0,0,0];e[0]=Math.hypot(...c[0]);if(!e[0])return null;c[0]=k(c[0],e[0]);f[0]=g(c[0],c[1]);c[1]=h(c[1],c[0],f[0]);e[1]=Math.hypot(...c[1]);if(!e[1])return null;c[1]=k(c[1],e[1]);f[0]/=e[1];f[1]=g(c[0],c[2]);c[2]=h(c[2],c[0],f[1]);f[2]=g(c[1],c[2]);c[2]=h(c[2],c[1],f[2]);e[2]=Math.hypot(...c[2]);if(!e[2])return null;c[2]=k(c[2],e[2]);f[1]/=e[2];f[2]/=e[2];if(g(c[0],[c[1][1]*c[2][2]-c[1][2]*c[2][1],c[1][2]*c[2][0]-c[1][0]*c[2][2],c[1][0]*c[2][1]-c[1][1]*c[2][0]])<0)for(g=0;g<
+3;g++)e[g]*=-1,c[g]=c[g].map(m=>-m);g=[0,0,0];g[1]=Math.asin(Math.max(-1,Math.min(1,c[2][0])))*180/Math.PI;Math.abs(c[2][0])<.999999?(g[0]=Math.atan2(-c[2][1],c[2][2])*180/Math.PI,g[2]=Math.atan2(-c[1][0],c[0][0])*180/Math.PI):g[0]=Math.atan2(c[1][2],c[1][1])*180/Math.PI;return{perspective:d,translate:[b[12],b[13],b[14]],rotate:g,skew:f,scale:e}}function Ed({perspective:a,translate:b,rotate:d,skew:c,scale:e}){return ea([1,0,0,a[0],0,1,0,a[1],0,0,1,a[2],0,0,0,a[3]],K(b[0],b[1],b[2]),fa("x",d[0]),fa("y",
+d[1]),fa("z",d[2]),[1,0,0,0,c[0],1,0,0,c[1],c[2],1,0,0,0,0,1],[e[0],0,0,0,0,e[1],0,0,0,0,e[2],0,0,0,0,1])}function wc(a,b,d={}){var c=b.offsetWidth||parseFloat(b.style.width)||0;b=b.offsetHeight||parseFloat(b.style.height)||0;var e=Dd(Vb(a,c,b));if(!e)return null;[d.rotateX,d.rotateY,d.rotateZ!==void 0?d.rotateZ:d.rotate].forEach((f,g)=>{if(f!==void 0){var h=Math.round(((parseFloat(f)||0)-e.rotate[g])/360);h=e.rotate[g]+h*360;Math.abs(h-(parseFloat(f)||0))<.01&&(e.rotate[g]=h)}});return e}function Fd(a,
+b,d){var c={};for(let e in a)c[e]=a[e].map((f,g)=>f+(b[e][g]-f)*d);return"matrix3d("+Ed(c).map(e=>+e.toFixed(6)).join(", ")+")"}function xc(a,b){var d=a.sceneNames();a=a.currentSceneName();a=d.indexOf(a);var c=null;if(b===">"||b==="<")c=d[(a+(b===">"?1:-1)+d.length)%d.length];else if(b.startsWith(">")||b.startsWith("<")){var e=b.charAt(0);let f=b.substring(1);e=e===">"?1:-1;for(let g=1;g<=d.length;g++){let h=(a+e*g+d.length)%d.length;if(d[h].startsWith(f)){c=d[h];break}}c||console.warn('HypeSceneMagic: Can not resolve target scene for "'+
+b+'".')}else c=b;return c}var W={easingMap:{easein:"power1.in",easeout:"power1.out",easeinout:"power1.inOut",linear:"none",easeinquad:"power1.in",easeoutquad:"power1.out",easeinoutquad:"power1.inOut",easeincubic:"power2.in",easeoutcubic:"power2.out",easeinoutcubic:"power2.inOut",easeinquart:"power3.in",easeoutquart:"power3.out",easeinoutquart:"power3.inOut",easeinquint:"power4.in",easeoutquint:"power4.out",easeinoutquint:"power4.inOut",easeinsine:"sine.in",easeoutsine:"sine.out",easeinoutsine:"sine.inOut",
+easeinexpo:"expo.in",easeoutexpo:"expo.out",easeinoutexpo:"expo.inOut",easeincirc:"circ.in",easeoutcirc:"circ.out",easeinoutcirc:"circ.inOut",easeinelastic:"elastic.in",easeoutelastic:"elastic.out",easeinoutelastic:"elastic.inOut",easeinback:"back.in",easeoutback:"back.out",easeinoutback:"back.inOut",easeinbounce:"bounce.in",easeoutbounce:"bounce.out",easeinoutbounce:"bounce.inOut",ease:"cubic-bezier(0.25, 0.1, 0.25, 1)","ease-in":"cubic-bezier(0.42, 0, 1, 1)","ease-out":"cubic-bezier(0, 0, 0.58, 1)",
+"ease-in-out":"cubic-bezier(0.42, 0, 0.58, 1)"},defaultProperties:{width:"auto",height:"auto",opacity:1,borderRadius:"0px",borderWidth:"0px",borderColor:"transparent",boxShadow:"none",filter:"none",backdropFilter:"none",clipPath:"none",backgroundImage:"none",backgroundPosition:"0% 0%",backgroundSize:"auto",transform:"",wordSpacing:"normal",backgroundColor:"transparent",color:"inherit",fontSize:"inherit",fontWeight:"inherit",textAlign:"left",textShadow:"none",lineHeight:"normal",letterSpacing:"normal",
+textDecoration:"none"},crossFadeFactor:.5,sceneTransition:"crossfade",reveal:null,revealOrigin:"click",durationTransition:.5,durationAnimation:.25,registeredAnimations:{},registeredCarryHandlers:{},hypePropertyMap:{x:"left",y:"top",scale:["scaleX","scaleY"],scaleX:"scaleX",scaleY:"scaleY",rotation:"rotateZ",opacity:"opacity",width:"width",height:"height",zIndex:"z-index"},skipProperties:[],decomposeTransform:!0,highlightSceneMagic:!0,gestureThreshold:.5,gestureVelocity:.5,interrupt:"finish",debug:!1,
+debugTimeScale:1,debugShortcut:null,mirrorBack:!1,transitionPath:"straight",transitionText:null,transitionCarry:null,matchPolicy:null,crossContainer:"auto",pathBend:.2,staggerDefaults:{amount:.5,order:"dom",ease:"none",origin:"click"}},U=new WeakMap,Ea=new WeakMap,ra=new WeakMap,Ic={borders:["borderWidth","borderColor","borderRadius"],shadows:["boxShadow"],filters:["filter","backdropFilter"],clipPaths:["clipPath"],backgrounds:["backgroundImage","backgroundPosition","backgroundSize"]},Fb=["magicExpandLayer",
+"magicFlyingLayer","magicTextLayers","magicMatchClone"].map(a=>"."+a).join(", "),yc=["","-from","-to"].reduce((a,b)=>a.concat(["","-forward","-back"].map(d=>"data-transition-animation"+b+d)),[]),ob=yc.map(a=>`[${a}]`).join(", "),Uc="x xPercent rotation rotate rotateZ rotationZ rotateY rotationY skewX skewY".split(" "),Qc="scale scaleX scaleY scaleZ opacity autoAlpha".split(" "),Rc="rotation rotate rotateX rotateY rotateZ rotationX rotationY rotationZ skewX skewY".split(" "),Gb={deg:1,turn:360,rad:180/
+Math.PI,grad:.9},Sc=["duration","delay","repeatDelay","stagger"],Ya=new Map,X=null,qa={},Ca={matched:"#2ecc71",fallback:"#f39c12",unmatched:"#e74c3c",other:"#95a5a6"},ab=new Map,Zc={push:{frame:(a,[b,d],c,e)=>({current:K(b*c*a,d*e*a),target:K(b*c*(a-1),d*e*(a-1))})},slide:{frame:(a,[b,d],c,e)=>({current:K(b*c*a/3,d*e*a/3),target:K(b*c*(a-1),d*e*(a-1))})},cover:{frame:(a,[b,d],c,e)=>({target:K(b*c*(a-1),d*e*(a-1))})},uncover:{frame:(a,[b,d],c,e)=>({current:K(b*c*a,d*e*a)})},zoom:{fade:!0,directions:["in",
+"out"],frame:(a,b)=>({current:sa(1+b[2]*.5*a),target:sa(1-b[2]*.5*(1-a))})},cube:{frame:(a,[b,d],c,e)=>{var f=b?"y":"x",g=(b?c:e)/2;b=b?90*b:-90*d;d=h=>ea(db(Math.max(c,e)*2),K(0,0,-g),fa(f,h),K(0,0,g));return{current:d(b*a),target:d(b*(a-1))}}},flip:{frame:(a,[b,d],c,e)=>{var f=b?"y":"x";b=b?180*b:-180*d;d=g=>ea(db(Math.max(c,e)*2),fa(f,g));return{current:d(b*a),target:d(b*(a-1))}}}},eb={left:[-1,0,0],right:[1,0,0],up:[0,-1,0],down:[0,1,0],in:[0,0,1],out:[0,0,-1]},Yb={wipe:(a,b,d,c,e)=>{var [f,g]=
+b.vector;a=(1-a)*100+"%";return`inset(${g<0?a:0} ${f>0?a:0} ${g>0?a:0} ${f<0?a:0})`},circle:(a,b,d,c,e)=>`circle(${Math.max(...fb(d,c,e,Math.hypot))*a}px at ${d.x}px ${d.y}px)`,diamond:(a,b,d,c,e)=>{a=Math.max(...fb(d,c,e,(f,g)=>Math.abs(f)+Math.abs(g)))*a;return gb([[d.x,d.y-a],[d.x+a,d.y],[d.x,d.y+a],[d.x-a,d.y]])},blinds:(a,b,d,c,e)=>{var [f,g]=b.vector;d=(f?c:e)/b.slats;var h=[];for(let k=0;k<b.slats;k++){let m=(f||g)>0?k*d:(k+1-a)*d,l=m+d*a;h.push(...(f?[[m,e],[m,0],[l,0],[l,e]]:[[c,m],[0,m],
+[0,l],[c,l]]))}return gb(h)},polygon:(a,b,d,c,e)=>{var f=Math.max(...fb(d,c,e,Math.hypot))/b.radius*a;return gb(b.points.map(([g,h])=>[d.x+(g-.5)*f,d.y+(h-.5)*f]))}},ec={blur:0,brightness:1,contrast:1,grayscale:0,"hue-rotate":0,invert:0,opacity:1,saturate:1,sepia:0,"drop-shadow":null},jc={borderWidth:(a,b)=>Aa(ta(a).join(" "),ta(b).join(" ")),borderColor:(a,b)=>{var [d,c]=[ta(a).map(ha),ta(b).map(ha)];return d.includes(null)||c.includes(null)?null:[d.map(e=>za(e)).join(" "),c.map(e=>za(e)).join(" ")]},
+boxShadow:function(a,b,d=[]){var c=(e,f)=>e==="none"?[]:T(e,",").map(g=>cc(g,f));a=c(a,d[0]);b=c(b,d[1]);if(a.includes(null)||b.includes(null))return null;d=[[],[]];for(c=0;c<Math.max(a.length,b.length);c++){let e=a[c]||ib(b[c]),f=b[c]||ib(a[c]);if(e.inset!==f.inset)return null;d[0].push(hb(e));d[1].push(hb(f))}return d.map(e=>e.join(", "))},filter:hc,backdropFilter:hc,clipPath:function(a,b){var d=(e,f)=>{var g=e.match(/^(inset|circle|ellipse|polygon)\((.*)\)$/);if(e==="none"&&f){let [,m,l]=f.match(/^(inset|circle|ellipse|polygon)\((.*)\)$/)||
+[];e=l&&l.includes(" at ")?" at "+l.split(" at ")[1]:"";return m==="inset"?f.replace(/-?(\d+\.?\d*|\.\d+)/g,"0"):m==="circle"?`circle(71%${e})`:m==="ellipse"?`ellipse(71% 71%${e})`:null}if(!g)return null;if(g[1]!=="inset")return e;var [h,k]=g[2].split(/\s+round\s+/);return`inset(${ta(h).join(" ")}${k?" round "+ta(k).join(" "):""})`},c=d(a,b!=="none"&&d(b));a=d(b,a!=="none"&&d(a));return c&&a&&ua(c)===ua(a)?[c,a]:null},backgroundImage:function(a,b){a=Ka(a);b=Ka(b);if(!a||!b||a.type!==b.type||ua(a.prelude)!==
+ua(b.prelude))return null;var d=Math.max(a.stops.length,b.stops.length);ic(a,d);ic(b,d);return[La(a),La(b)]},backgroundPosition:function(a,b){var d={left:"0%",center:"50%",right:"100%"},c={top:"0%",center:"50%",bottom:"100%"},e=f=>T(f,",").map(g=>{var [h,k="center",...m]=T(g," ");if(m.length)return g;if(h in c&&!(h in d)||k in d&&!(k in c))[h,k]=[k,h];return(d[h]||h)+" "+(c[k]||k)}).join(", ");return Aa(e(a),e(b))},backgroundSize:Aa},Ma=["crossfade","scramble","typewriter","count"],Ba=/-?\d+(?:,\d{3})*(?:\.\d+)?/g,
+nc={media(a,b){var d=[];lc(a,b,"video, audio",(c,e)=>{var f=!c.paused&&!c.ended,g=e.currentTime,h=e.paused,k=e.muted,m=e.volume,l=e.playbackRate,n=w=>{(w=w.play())&&w.catch(()=>{})},p=()=>{e.currentTime=c.currentTime;f?n(e):e.pause()};e.muted=c.muted;e.volume=c.volume;e.playbackRate=c.playbackRate;e.readyState>=1?p():e.addEventListener("loadedmetadata",p,{once:!0});c.pause();d.push(()=>{e.removeEventListener("loadedmetadata",p);h?e.pause():n(e);e.readyState>=1&&(e.currentTime=g);e.muted=k;e.volume=
+m;e.playbackRate=l;f&&n(c)})});return()=>d.forEach(c=>c())},value(a,b){var d=[];lc(a,b,"input, textarea, select",(c,e)=>{if(c.type!=="file")if(c.type==="checkbox"||c.type==="radio"){let f=e.checked;e.checked=c.checked;d.push(()=>e.checked=f)}else if(c.tagName.toLowerCase()==="select"){let f=Array.from(e.options).map(g=>g.selected);Array.from(e.options).forEach((g,h)=>g.selected=!(!c.options[h]||!c.options[h].selected));d.push(()=>Array.from(e.options).forEach((g,h)=>g.selected=f[h]))}else{let f=e.value;
+e.value=c.value;d.push(()=>e.value=f)}});return()=>d.forEach(c=>c())},scroll(a,b){var d=[];a=[a,...a.querySelectorAll("*")];var c=[b,...b.querySelectorAll("*")];a.forEach((e,f)=>{var g=c[f];if(g&&(e.scrollTop||e.scrollLeft)){var {scrollTop:h,scrollLeft:k}=g;g.scrollTop=e.scrollTop;g.scrollLeft=e.scrollLeft;d.push(()=>{g.scrollTop=h;g.scrollLeft=k})}});return()=>d.forEach(e=>e())},focus(a,b){var d=document.activeElement;if(!d||!a.contains(d))return null;var c=d.matches("input, textarea, select, button, a[href], [tabindex], [contenteditable]")?
+d.tagName.toLowerCase():null;if(!c)return null;a=Na(a,c).indexOf(d);b=Na(b,c)[a];if(!b)return null;var e=typeof d.selectionStart==="number"?[d.selectionStart,d.selectionEnd,d.selectionDirection||"none"]:null;b.focus({preventScroll:!0});try{e&&b.setSelectionRange(...e)}catch(f){}return()=>{d.focus({preventScroll:!0});try{e&&d.setSelectionRange(...e)}catch(f){}}}},mb=["first","last","nearest","all"];"HYPE_eventListeners"in window===!1&&(window.HYPE_eventListeners=[]);window.HYPE_eventListeners.push({type:"HypeDocumentLoad",
+callback:function(a,b,d){Oc();Kc();a.registerAnimation=Nb;a.registerCarryHandler=Ob;a.showSceneNamedMagic=function(c,e,f,g={}){if(b.classList.contains("magicTransition")){let u=ra.get(a);if(u&&u.masterTimeline){var h=g.interrupt||G("interrupt");ja("interrupt",b,{...u.getEventPayload(),policy:h,nextSceneName:c});switch(h){case "ignore":return va("ignored",this.currentSceneName(),c,"A transition is already running");case "queue":let C;h=qb("queued",null,c,new Promise(L=>C=L));let D={args:[c,e,f,g],
+resolve:C};h.cancel=function(){var L=u.queue.indexOf(D);L!==-1&&(u.queue.splice(L,1),this.state="cancelled",C(pb("cancelled",null,c,{reason:"Queued transition was cancelled"})));return this};u.queue=u.queue||[];u.queue.push(D);return h;case "retarget":u.retargetTransition();break;default:zd(u);u.controller.interrupted=!0;gsap.killTweensOf(u.masterTimeline);u.finishTransition();let E;h=qb("pending",null,c,new Promise(L=>E=L));requestAnimationFrame(()=>{E(this.showSceneNamedMagic(c,e,f,g))});return h}}}var k=
+this.currentSceneName();if(c===k)return va("skipped",k,c,"Target scene is the current scene");if(!this.sceneNames().includes(c))return console.warn('HypeSceneMagic: Target scene "'+c+'" not found.'),va("skipped",k,c,"Target scene not found");var {currentSceneElm:m,targetSceneElm:l}=Ub(this,c),n=Rb(this,c,g.direction),p=n==="back"&&(g.mirror!==void 0?g.mirror:G("mirrorBack"));Ea=new WeakMap;var w=bc(this,g,m,l,c),r=Ta(a);w&&(w.name==="expand"?r.expansion={from:k,to:c,element:w.element}:delete r.expansion);
+e=e||G("durationTransition");h=g.crossFadeFactor!==void 0?g.crossFadeFactor:w?1:G("crossFadeFactor");h*=e;var t=w?null:Wb(g.sceneTransition!==void 0?g.sceneTransition:G("sceneTransition"),n),y=w||Xb(Zb(g,l),n);p=nb(m,l,e,f,{stagger:g.stagger,direction:n,mirror:p,crossContainer:g.crossContainer});var v=p.pairs,q=null,z,x=new Promise(u=>z=u);b.classList.add("magicTransition");t&&b.setAttribute("data-scene-transition",t.name);y&&b.setAttribute("data-scene-reveal",y.name);m.classList.add("currentScene");
+l.classList.add("targetScene");var B=()=>({hypeDocument:a,from:k,to:c,direction:n,fromElement:m,toElement:l,duration:e,ease:f,pairs:v});if(g.onTransitionPrepare)g.onTransitionPrepare(m,l,{duration:e,ease:f,direction:n});ja("prepare",b,B());a.triggerCustomBehaviorNamed("magicTransitionStart");a.triggerCustomBehaviorNamed(n==="forward"?"magicTransitionForward":"magicTransitionBack");a.triggerCustomBehaviorNamed(`magicTransitionFrom_${k.replace(/\s+/g,"")}`);a.triggerCustomBehaviorNamed(`magicTransitionTo_${c.replace(/\s+/g,
+"")}`);a.triggerCustomBehaviorNamed(`magicTransition_${k.replace(/\s+/g,"")}_to_${c.replace(/\s+/g,"")}`);a.showSceneNamed(c,a.kSceneTransitionCrossfade,e);var A=G("debug")?Bd(p):null,F=new Set,H=new Set,P=[],O=null,ia=[],Y=[],pa=new Map,jb=u=>u.forEach(C=>{pa.has(C)||pa.set(C,[]);pa.get(C).push(u)}),Gd=u=>u.forEach(C=>{(pa.get(C)||[]).forEach(D=>{var E=D.indexOf(C);E!==-1&&D.splice(E,1)});pa.delete(C)}),zc=[],Pa=new Map,Ac=(u,C)=>u.forEach(D=>{Pa.has(D)||Pa.set(D,{});var E=Pa.get(D);C in E||(E[C]=
+D.style[C])}),sb=()=>{P.forEach(u=>u.land());ia.forEach(u=>u.restore());Y.forEach(u=>u.remove());O&&O.remove();aa&&aa.destroy();ba&&ba.destroy();b.removeAttribute("data-scene-transition");b.removeAttribute("data-scene-reveal");b.classList.remove("magicTransition");m.classList.remove("currentScene","fadeComplete");l.classList.remove("targetScene","fadeComplete")},Qa=()=>{var u=ra.get(a);if(u&&u.masterTimeline===I&&(delete u.masterTimeline,delete u.controller,delete u.retargetTransition,delete u.finishTransition,
+delete u.getEventPayload,u.queue&&u.queue.length)){let C=u.queue.shift();requestAnimationFrame(()=>{C.resolve(a.showSceneNamedMagic(...C.args))})}},tb=(u,C)=>{A&&A.destroy();z(pb(u,k,c,{reason:C||null,pairs:v,duration:q===null?0:(performance.now()-q)/1E3}))},Ra=()=>{if(S.state==="running"){S.state="cancelled";I.pause();typeof I.revert==="function"?I.revert():I.progress(0).kill();Pa.forEach((u,C)=>Object.assign(C.style,u));F.forEach(u=>gsap.set(u,{clearProps:"zIndex"}));H.forEach(u=>u.style.removeProperty("translate"));
+l.style.removeProperty("--scene-opacity");w&&w.name==="expand"&&delete r.expansion;w&&w.name==="collapse"&&(r.expansion={from:c,to:k,element:w.element});a.showSceneNamed(k,a.kSceneTransitionInstant);sb();zc.reverse().forEach(u=>{try{u()}catch(C){console.error("HypeSceneMagic: Could not undo carried state",C)}});if(g.onTransitionCancel)g.onTransitionCancel(m,l,{duration:e,ease:f,direction:n});a.triggerCustomBehaviorNamed("magicTransitionCancel");Fa&&ub();ja("cancel",b,B());Qa();tb("cancelled","Transition was cancelled")}},
+wb=()=>{var u=()=>{if(S.state==="running"){var C=getComputedStyle(l).opacity;if(parseFloat(C)==1){S.state=S.interrupted?"interrupted":"completed";requestAnimationFrame(()=>{vb.forEach(D=>{var E=Ea.get(D);E&&zb(D,E)});tb(S.state,S.interrupted?"Transition was interrupted by a new transition":null)});sb();if(g.onTransitionEnd)g.onTransitionEnd(m,l,{duration:e,ease:f,direction:n});a.triggerCustomBehaviorNamed("magicTransitionEnd");Fa&&ub();ja("end",b,{...B(),status:S.state});Qa()}else requestAnimationFrame(u)}};
+u()},Fa=null,ub=()=>{cancelAnimationFrame(Fa);Fa=null;ja("progress",b,{...B(),progress:I.progress()})},wa=!1,Bc=()=>{if(I.reversed()?I.progress()>0:I.progress()<1)return!1;I.reversed()?Ra():wb();return!0},I=gsap.timeline({paused:!!g.paused,onStart:()=>{q=performance.now();if(g.onTransitionStart)g.onTransitionStart(m,l,{duration:e,ease:f,direction:n});ja("start",b,B())},onUpdate:function(){if(g.onTransitionProgress)g.onTransitionProgress(this.progress(),m,l);Fa||=requestAnimationFrame(ub);A&&A.update(this.progress())},
+onComplete:()=>{wa||wb()},onReverseComplete:()=>{wa||Ra()}}),S=vc({state:"running",from:k,to:c,direction:n,timeline:I,finished:x,pause(){this.state==="running"&&I.pause();return this},resume(){this.state!=="running"||Bc()||I.resume();return this},seek(u){this.state==="running"&&(wa=!0,I.progress(Math.min(1,Math.max(0,parseFloat(u)||0))),wa=!1,I.paused()||Bc());return this},reverse(){this.state==="running"&&(I.progress()===0?Ra():I.reverse());return this},cancel(){Ra();return this},progress(){return I.progress()}});
+x=m.getBoundingClientRect();var Sa=x.width?m.offsetWidth/x.width:1,Cc=new Map(p.pairs.map(u=>{var C=D=>{D=vd(D);Y.push(D);return D};return[u,{source:u.split?C(u.source):u.source,target:u.merge?C(u.target):u.target}]})),aa=t&&$c(t,m,l,Array.from(Cc.values()).reduce((u,{source:C,target:D})=>u.concat(C,D),[]),Sa),ba=w?dd(w,m,l,Sa):y&&bd(y,m,l,g.revealOrigin!==void 0?g.revealOrigin:l.getAttribute("data-transition-reveal-origin")||G("revealOrigin"));if(aa||ba)aa&&aa.render(0),ba&&ba.render(0);I.to({},
+{duration:e});x={onUpdate:function(){if(aa||ba){var u=this.targets()[0].progress;aa&&aa.render(u);ba&&ba.render(u)}this.progress()<1&&(m.classList.remove("fadeComplete"),l.classList.remove("fadeComplete"))},onComplete:()=>{m.classList.add("fadeComplete");l.classList.add("fadeComplete");Cd(m.querySelectorAll("*"),I)}};aa||ba?(t=[t&&t.name+" "+t.direction,y&&"reveal "+$b(y)],I.fromTo({progress:0,sceneTransition:t.filter(Boolean).join(", ")},{progress:0},{progress:1,duration:h,ease:da(f),...x},0)):I.fromTo(l,
+{"--scene-opacity":0},{"--scene-opacity":1,duration:h,ease:"none",...x},0);var vb=new Set,xb=u=>{U.has(u)&&!Ea.has(u)&&Ea.set(u,U.get(u));vb.add(u)},Dc=new Map;p.pairs.forEach(u=>{u.crossContainer&&(Dc.set(u,{from:pc(u.source,m),to:pc(u.target,l)}),O||(O=document.createElement("div"),O.className="magicFlyingLayer",Object.assign(O.style,{left:m.offsetLeft+"px",top:m.offsetTop+"px",width:m.offsetWidth+"px",height:m.offsetHeight+"px"}),b.appendChild(O)))});p.pairs.forEach(u=>{var {source:C,target:D}=
+Cc.get(u);gsap.killTweensOf([D,C]);Gd([D,C]);xb(u.source);var E=Ua(C),L=U.get(C);if(L&&L.transform){let N={...L};({rotations:L}=Da(N.transform));Object.assign(N,L);E.transform&&!E.transform.includes("rotate")&&["rotate","rotateX","rotateY","rotateZ"].forEach(J=>{var R=parseFloat(N[J])||0;R!==0&&R%360===0&&(E[J]=R+"deg")})}var Q={...(U.get(D)||Ua(D))};u.split&&(E.opacity=0);u.merge&&(Q.opacity=0);var xa=null;u.order!==null&&(xa=Db(D),L=Eb(xa,u.order),gsap.set(xa,{zIndex:L}),F.add(xa));var Ec=!1,ca=
+gsap.timeline({onStart:()=>{u.carry.length&&!Ec&&(Ec=!0,zc.push(...sd(u,{...B(),pair:u})));ja("pairStart",b,{...B(),pair:u})},onComplete:()=>{xa&&gsap.set(xa,{clearProps:"zIndex"});ja("pairComplete",b,{...B(),pair:u})}});L=null;var M=G("decomposeTransform");if(M){let N=["rotate","rotateX","rotateY","rotateZ"];if(M!=="rotate"&&(E.transform||Q.transform)){let J=Da(E.transform).rotations;N.forEach(R=>{E[R]!==void 0&&(J[R]=E[R])});M=wc(E.transform,C,J);var V=wc(Q.transform,D,Da(Q.transform).rotations);
+M&&V&&(L={from:M,to:V,fromTransform:E.transform,toTransform:Q.transform},[E,Q].forEach(R=>{delete R.transform;N.forEach(ya=>delete R[ya])}))}L||(M=Da(E.transform),Object.assign(E,M.rotations),E.transform=M.transform,M=Da(Q.transform),Object.assign(Q,M.rotations),Q.transform=M.transform,N.forEach(J=>{var R=parseFloat(E[J])||0,ya=(parseFloat(Q[J])||0)-R;ya!==0?(E[J]=R+"deg",Q[J]=`+=${ya}`):(delete E[J],delete Q[J])}));["width","height"].forEach(J=>{E[J]==="auto"&&Q[J]==="auto"&&(delete E[J],delete Q[J])})}var Fc=
+gd(E,Q,[C,D]);M=C.getBoundingClientRect();V=D.getBoundingClientRect();var Gc=Vc(u.path,(V.left+V.width/2-(M.left+M.width/2))*Sa,(V.top+V.height/2-(M.top+M.height/2))*Sa),ka=(M=Dc.get(u))&&ud(O,C,D,M.from,M.to),la=ka?[ka.clone]:[D,C];jb(la);Gc&&(la.forEach(N=>H.add(N)),ca.fromTo({t:0,path:u.path},{t:0},{t:1,duration:u.duration,ease:u.ease,onUpdate:function(){Wc(la,Gc,this.targets()[0].t)}},u.delay));M=nd(C,D,la);V=u.text&&rd(u.text,C,D,la);[[M,{shape:"morph"}],[V,{text:V&&V.mode}]].forEach(([N,J])=>
+{N&&(ia.push(N),N.update(0),ca.fromTo({t:0,...J},{t:0},{t:1,duration:u.duration,ease:u.ease,onUpdate:function(){N.update(this.targets()[0].t)}},u.delay))});Fc&&(Ac(la,"backgroundImage"),ca.fromTo({t:0,backgroundImage:"crossfade"},{t:0},{t:1,duration:u.duration,ease:u.ease,onUpdate:function(){var N=Fc(this.targets()[0].t);la.forEach(J=>J.style.backgroundImage=N)}},u.delay));if(ka)P.push(ka),L=N=>Object.fromEntries(Object.entries(N).filter(([J])=>J!=="transform"&&!J.startsWith("rotate"))),ca.fromTo(ka.clone,
+{...L(E),...ka.from},{...L(Q),...ka.to,duration:u.duration,ease:u.ease},u.delay),ca.eventCallback("onUpdate",function(){ka.handoff(this.progress()===1)});else{if(L){let {from:N,to:J,fromTransform:R,toTransform:ya}=L;Ac([D,C],"transform");ca.fromTo({t:0,transform:"decomposed"},{t:0},{t:1,duration:u.duration,ease:u.ease,onUpdate:function(){var yb=this.targets()[0].t,Hd=yb===1?ya:yb===0?R:Fd(N,J,yb);la.forEach(Id=>Id.style.transform=Hd)}},u.delay)}ca.fromTo(D,E,{...Q,duration:u.duration,ease:u.ease},
+u.delay);ca.fromTo(C,E,{...Q,duration:u.duration,ease:u.ease},u.delay)}I.add(ca,0)});p.animations.forEach(u=>{u.restore&&xb(u.element);gsap.killTweensOf(u.element);u.data&&Mb(I,u.method,u.element,{duration:u.duration,ease:u.ease,...u.data},u.delay)});r.pendingRestore&&(r.pendingRestore.forEach(u=>xb(u)),delete r.pendingRestore);A&&(I.timeScale(G("debugTimeScale")),A.render(I,l));r.masterTimeline=I;r.controller=S;r.retargetTransition=()=>{if(S.state==="running"){S.state="interrupted";var u=Ta(a),C=
+u.pendingRestore||new Set;I.getChildren(!0,!0,!1).forEach(D=>{(D.targets()||[]).forEach(E=>{E instanceof Element&&E!==l&&l.contains(E)&&C.add(E)})});u.pendingRestore=C;I.kill();F.forEach(D=>gsap.set(D,{clearProps:"zIndex"}));H.forEach(D=>D.style.removeProperty("translate"));vb.forEach(D=>{var E=Ea.get(D);E&&zb(D,E)});l.style.removeProperty("--scene-opacity");sb();Qa();tb("interrupted","Transition was retargeted by a new transition")}};r.finishTransition=()=>{wa=!0;I.progress(1);wa=!1;wb();Qa()};r.getEventPayload=
+B;return S};a.magicTransition=function(){var c=ra.get(a);return c&&c.controller||null};a.magicCard||(a.magicCard=function(c,e){e=e||{};typeof e==="number"&&(e={duration:e});c||=">";var f=xc(this,c);return f?this.showSceneNamedMagic(f,e.duration,e.ease,{direction:Sb(c),...e}):va("skipped",this.currentSceneName(),null,'Can not resolve target scene for "'+c+'"')});a.magicGesture=function(c,e={}){var f=typeof c==="string"?b.querySelector(c):c;if(!f)return null;var g=e.axis==="y"?"y":"x",h=e.threshold!==
+void 0?e.threshold:G("gestureThreshold"),k=e.velocity!==void 0?e.velocity:G("gestureVelocity"),m=f.style.touchAction;f.style.touchAction=g==="x"?"pan-y":"pan-x";var l=null,n=t=>{if(l&&t.pointerId===l.pointerId){t=g==="x"?t.clientX-l.startX:t.clientY-l.startY;var y=performance.now();y>l.lastTime&&(l.velocity=(t-l.lastDelta)/(y-l.lastTime));l.lastDelta=t;l.lastTime=y;if(!l.controller){if(Math.abs(t)<10)return;l.sign=t<0?-1:1;y=l.sign<0?e.next||">":e.previous||"<";let v=xc(this,y);y=v&&this.showSceneNamedMagic(v,
+e.duration,e.ease,{direction:Sb(y),...e,paused:!0});if(!y){w();return}l.controller=y;l.distance=e.distance||(g==="x"?b.offsetWidth:b.offsetHeight)||1}l.progress=Math.min(1,Math.max(0,t*l.sign/l.distance));l.controller.seek(l.progress)}},p=t=>{if(l&&t.pointerId===l.pointerId){var y=l.controller;if(y&&y.state==="running"){let v=performance.now()-l.lastTime>100?0:l.velocity*l.sign;t.type==="pointerup"&&(v>k||l.progress>=h&&v>-k)?y.resume():y.reverse()}w()}},w=()=>{l=null;window.removeEventListener("pointermove",
+n);window.removeEventListener("pointerup",p);window.removeEventListener("pointercancel",p)},r=t=>{l||b.classList.contains("magicTransition")||t.pointerType==="mouse"&&t.button!==0||(l={pointerId:t.pointerId,startX:t.clientX,startY:t.clientY,lastDelta:0,lastTime:performance.now(),velocity:0,progress:0,controller:null},window.addEventListener("pointermove",n),window.addEventListener("pointerup",p),window.addEventListener("pointercancel",p))};f.addEventListener("pointerdown",r);return{destroy(){w();
+f.removeEventListener("pointerdown",r);f.style.touchAction=m}}};a.showNextSceneMagic=function(c,e,f){var g=this.sceneNames(),h=g.indexOf(this.currentSceneName());g=g[h+1];return g!=null?a.showSceneNamedMagic(g,c,e,{direction:"forward",...f}):va("skipped",this.currentSceneName(),null,"There is no next scene")};a.showPreviousSceneMagic=function(c,e,f){var g=this.sceneNames(),h=g.indexOf(this.currentSceneName());g=g[h-1];return g!=null?a.showSceneNamedMagic(g,c,e,{direction:"back",...f}):va("skipped",
+this.currentSceneName(),null,"There is no previous scene")};a.applyAnimation=function(c,e,f={}){gsap.killTweensOf(c);var g,h=c;if(typeof c==="string"&&(h=document.getElementById(this.currentSceneId()).querySelectorAll(c),h.length===0))return rb(null,{status:"skipped",reason:'No elements found for "'+c+'"'});typeof e==="string"?g=Pb(e,h instanceof Element?h:h[0]):typeof e==="object"&&(g=Jb(e));if(!g)return rb(null,{status:"skipped",reason:"Animation could not be resolved"});var k,m=performance.now(),
+l=w=>({status:w,reason:w==="interrupted"?"Animation was killed before it completed":null,elements:h.length?Array.from(h):[h],duration:(performance.now()-m)/1E3}),n=G("hypePropertyMap"),p={ease:da(f.ease),duration:f.duration||G("durationAnimation"),...g,...f,onComplete:()=>{f.skipHypeSync||(h.length?h:[h]).forEach(w=>{Object.entries(Tc(g)).forEach(([r,t])=>{(r=n[r])&&(Array.isArray(r)?r.forEach(y=>{this.setElementProperty(w,y,t)}):this.setElementProperty(w,r,t))})});if(f.onComplete)f.onComplete();
+k(l("completed"))},onInterrupt:()=>{if(f.onInterrupt)f.onInterrupt();k(l("interrupted"))}};return rb(w=>{k=w;return Mb(gsap,f.from||g.from?"from":"to",h,p)[0]})}}});window.HYPE_eventListeners.push({type:"HypeScenePrepareForDisplay",callback:function(a,b,d){b&&ma(b,'[class*="magic"], [data-transition-id], '+ob).forEach(c=>{U.has(c)||U.set(c,Ua(c))})}});window.addEventListener("pointerdown",function(a){X={x:a.clientX,y:a.clientY,target:a.target}},!0);window.addEventListener("pagehide",function(){window.removeEventListener("keydown",
+Va)});window.addEventListener("pageshow",Ab);return{version:"2.9.8",getDefault:G,setDefault:Wa,clearCachedMagicProperties:function(a){a?U.delete(a):U=new WeakMap},getTransitionIdentifiers:$a,getResolvedIdentifiers:na,registerAnimation:Nb,registerCarryHandler:Ob,parseAnimation:Ia,planTransition:function(a,b,d={}){var c=a.currentSceneName();if(b===c||!a.sceneNames().includes(b))return console.warn('HypeSceneMagic: Can not plan a transition to "'+b+'".'),null;var e=d.duration||G("durationTransition"),
+{currentSceneElm:f,targetSceneElm:g}=Ub(a,b),h=Rb(a,b,d.direction),k=h==="back"&&(d.mirror!==void 0?d.mirror:G("mirrorBack"));k=nb(f,g,e,d.ease,{stagger:d.stagger,direction:h,mirror:k,crossContainer:d.crossContainer});var m=Wb(d.sceneTransition!==void 0?d.sceneTransition:G("sceneTransition"),h);Object.assign(k,{from:c,to:b,direction:h,duration:e,ease:da(d.ease)});k.sceneTransition=m?m.name+" "+m.direction:"crossfade";a=bc(a,d,f,g,b);k.reveal=a?null:$b(Xb(Zb(d,g),h));if(k.expand=a)k.sceneTransition=
+"crossfade";return xd(k)},validate:function(a,b={}){var d=b.duration||G("durationTransition"),c=a.sceneNames(),e=[],f=k=>k.map(m=>m.id||null),g=(k,m,l,n)=>e.push({type:k,severity:m,message:l,...n});c.forEach((k,m)=>{a.layoutsForSceneNamed(k).forEach(l=>{var n=Ja(a,l);if(n){var p={scene:k,layout:l.name},w=new Map,r=new Map;ma(n).forEach(v=>{na(v,r).forEach(q=>{w.has(q)||w.set(q,[]);w.get(q).push(v)})});w.forEach((v,q)=>{v.length>1&&!lb(v)&&g("duplicateIdentifier","warning",`Identifier "${q}" is used by ${v.length} elements (the first one is used as source)`,
+{...p,identifier:q,elements:f(v)})});ma(n,'[class*="magic"], [data-transition-id], '+ob).forEach(v=>{var q={...p,elements:f([v])},z=!0;["data-transition-delay","data-transition-duration"].forEach(A=>{var F=v.getAttribute(A);F===null||F==="target"||/^-?(\d+\.?\d*|\.\d+)(%|ms|s)?$/.test(F)||(z=!1,g("invalidTiming","error",`${A}="${F}" can not be parsed`,{...q,attribute:A,value:F}))});var x=v.getAttribute("data-transition-delay"),B=v.getAttribute("data-transition-duration");z&&(x||B)&&x!=="target"&&
+B!=="target"&&(x=Ha(x||0,B||1,d),B=x.delay+x.duration,B>d+1E-4&&g("timingOverrun","warning",`Delay and duration end at ${+B.toFixed(3)}s, past the total duration of ${d}s`,{...q,delay:x.delay,duration:x.duration}));(x=v.getAttribute("data-transition-text"))&&x!=="target"&&!Ma.includes(x)&&g("unknownTextMode","error",`data-transition-text="${x}" is not a text mode (${Ma.join(", ")})`,{...q,attribute:"data-transition-text",value:x});x=v.getAttribute("data-transition-match");x===null||mb.includes(x.trim().toLowerCase())||
+g("unknownMatchPolicy","error",`data-transition-match="${x}" is not a match policy (${mb.join(", ")})`,{...q,attribute:"data-transition-match",value:x});mc(v.getAttribute("data-transition-carry")).forEach(A=>{A==="target"||nc[A]||W.registeredCarryHandlers[A]||g("unknownCarry","error",`data-transition-carry names "${A}", which is neither built in nor registered`,{...q,attribute:"data-transition-carry",value:A})});yc.forEach(A=>{var F=v.getAttribute(A);F&&(F.includes(":")?Kb(F).errors.forEach(H=>{g("invalidAnimation",
+"error",`${A}="${F}" at column ${H.column}: ${H.message}`,{...q,attribute:A,value:F,column:H.column})}):W.registeredAnimations[F.toLowerCase()]||g("unknownAnimation","error",`${A}="${F}" is not a registered animation`,{...q,attribute:A,value:F}))})});var t=c[m+1];if(t!==void 0&&(l=Ja(a,Tb(a.layoutsForSceneNamed(t),l)))){n=nb(n,l,d,void 0,{quiet:!0});var y={...p,to:t};n.conflicts.forEach(v=>{g("ambiguousMatch","warning",v.type==="multipleSources"?`Target element matches ${v.candidates.length} source elements (the first one is used, set data-transition-match to choose)`:
+`Source element is matched by ${v.candidates.length} target elements (the last match wins, set data-transition-match to choose)`,{...y,conflict:v.type,elements:f([v.element,...v.candidates])})});n.unmatched.forEach(v=>{var q=v.side==="source"?t:k;g("unmatchedIdentifier","info",`Identifier "${v.identifiers.join(", ")}" has no match in scene "${q}"`,{...y,side:v.side,identifier:v.identifiers.join(", "),elements:f([v.element])})})}}})});var h=k=>e.filter(m=>m.severity===k).length;h={valid:h("error")===
+0,errors:h("error"),warnings:h("warning"),infos:h("info"),issues:e};b.log&&yd(h);return h},on:function(a,b){typeof b==="function"&&(qa[a]=qa[a]||[]).push(b)},off:function(a,b){qa[a]&&(b?qa[a]=qa[a].filter(d=>d!==b):delete qa[a])}}}());